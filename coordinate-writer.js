@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+// Flush the buffer once this many points are waiting, or every interval, whichever comes first
+const BATCH_SIZE = parseInt(process.env.COORDINATE_BATCH_SIZE, 10) || 50;
+const FLUSH_INTERVAL_MS = parseInt(process.env.COORDINATE_FLUSH_INTERVAL_MS, 10) || 5000;
+// Failed batches wait on disk; the queue is checked on this interval
+const RETRY_FILE = process.env.COORDINATE_RETRY_FILE || path.join(__dirname, 'data', 'coordinate-retry-queue.jsonl');
+const RETRY_INTERVAL_MS = parseInt(process.env.COORDINATE_RETRY_INTERVAL_MS, 10) || 30000;
+// Each batch backs off exponentially between attempts, from the retry interval up to this
+const RETRY_MAX_SECONDS = parseFloat(process.env.COORDINATE_RETRY_MAX_SECONDS) || 900;
+// A batch still failing this long after it first failed is dropped - outages shorter than this lose nothing
+const RETRY_MAX_AGE_HOURS = parseFloat(process.env.COORDINATE_RETRY_MAX_AGE_HOURS) || 72;
+
+// Batches trip_coordinates inserts. Failed batches go to a JSONL retry queue on disk
+// ({ attempts, failed_at, next_attempt_at, error, rows } per line) so points survive a database
+// outage or restart. retryFile: null keeps the writer off disk - failed batches are dropped (replays, tests).
+function createCoordinateWriter(store, {
+  batchSize = BATCH_SIZE,
+  flushIntervalMs = FLUSH_INTERVAL_MS,
+  retryFile = RETRY_FILE,
+  retryIntervalMs = RETRY_INTERVAL_MS,
+  retryMaxSeconds = RETRY_MAX_SECONDS,
+  retryMaxAgeHours = RETRY_MAX_AGE_HOURS,
+  clock = () => new Date()
+} = {}) {
+  let buffer = [];
+  // Writes and retry-file rewrites run one at a time
+  let queue = Promise.resolve();
+
+  const metrics = {
+    queued: 0,         // points handed to the writer
+    written: 0,        // points confirmed in trip_coordinates
+    retried: 0,        // points written from the retry queue (included in written)
+    failed_batches: 0, // insert attempts that failed
+    dropped: 0,        // points given up on after retryMaxAgeHours
+    last_error: null,
+    last_error_at: null
+  };
+
+  function serialize(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function insertBatch(rows) {
+    try {
+      const { error } = await store.coordinates.insert(rows);
+      return error || null;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  function recordFailure(error) {
+    metrics.failed_batches++;
+    metrics.last_error = error.message || String(error);
+    metrics.last_error_at = clock().toISOString();
+  }
+
+  // When a batch that has failed this many times is tried again
+  function nextAttemptAt(attempts, now) {
+    const delayMs = Math.min(retryIntervalMs * 2 ** (attempts - 1), retryMaxSeconds * 1000);
+    return new Date(now.getTime() + delayMs).toISOString();
+  }
+
+  async function readRetryQueue() {
+    if (!retryFile) return [];
+    try {
+      const content = await fs.promises.readFile(retryFile, 'utf8');
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async function appendToRetryQueue(entry) {
+    await fs.promises.mkdir(path.dirname(retryFile), { recursive: true });
+    await fs.promises.appendFile(retryFile, JSON.stringify(entry) + '\n');
+  }
+
+  async function writeBatch(rows) {
+    const error = await insertBatch(rows);
+    if (!error) {
+      metrics.written += rows.length;
+      return;
+    }
+
+    recordFailure(error);
+    if (!retryFile) {
+      metrics.dropped += rows.length;
+      console.error(`Error writing ${rows.length} coordinates - no retry queue, points dropped:`, error.message || error);
+      return;
+    }
+    console.error(`Error writing ${rows.length} coordinates - queued for retry:`, error.message || error);
+    try {
+      const now = clock();
+      await appendToRetryQueue({
+        attempts: 1,
+        failed_at: now.toISOString(),
+        next_attempt_at: nextAttemptAt(1, now),
+        error: metrics.last_error,
+        rows
+      });
+    } catch (diskError) {
+      metrics.dropped += rows.length;
+      console.error(`Error saving coordinates to retry queue ${retryFile} - ${rows.length} points dropped:`, diskError);
+    }
+  }
+
+  function enqueue(row) {
+    buffer.push(row);
+    metrics.queued++;
+    if (buffer.length >= batchSize) flush();
+  }
+
+  // Write whatever is buffered; resolves once the batch is written or safely queued on disk
+  function flush() {
+    if (buffer.length === 0) return queue;
+    const rows = buffer;
+    buffer = [];
+    return serialize(() => writeBatch(rows));
+  }
+
+  function retryFailed() {
+    if (!retryFile) return queue;
+    return serialize(async () => {
+      const entries = await readRetryQueue();
+      if (entries.length === 0) return;
+
+      const now = clock();
+      const remaining = [];
+      let cleared = 0;
+      // After one failure the database is taken to be down - the rest wait for a later round
+      let databaseDown = false;
+      for (const entry of entries) {
+        const due = !entry.next_attempt_at || new Date(entry.next_attempt_at) <= now;
+        if (databaseDown || !due) {
+          remaining.push(entry);
+          continue;
+        }
+
+        const error = await insertBatch(entry.rows);
+        if (!error) {
+          metrics.written += entry.rows.length;
+          metrics.retried += entry.rows.length;
+          cleared++;
+          continue;
+        }
+
+        recordFailure(error);
+        databaseDown = true;
+        const attempts = entry.attempts + 1;
+        const ageHours = (now - new Date(entry.failed_at)) / 1000 / 60 / 60;
+        if (ageHours >= retryMaxAgeHours) {
+          metrics.dropped += entry.rows.length;
+          console.error(`Dropping ${entry.rows.length} coordinates still failing ${ageHours.toFixed(1)}h after the first attempt (${attempts} attempts):`, metrics.last_error);
+        } else {
+          remaining.push({ ...entry, attempts, next_attempt_at: nextAttemptAt(attempts, now), error: metrics.last_error });
+        }
+      }
+
+      const content = remaining.map(entry => JSON.stringify(entry) + '\n').join('');
+      await fs.promises.writeFile(retryFile, content);
+      if (cleared > 0) {
+        console.log(`Coordinate retry queue: ${cleared} batches written, ${remaining.length} waiting`);
+      }
+    }).catch(error => {
+      console.error(`Error processing coordinate retry queue ${retryFile}:`, error);
+    });
+  }
+
+  async function getMetrics() {
+    let pendingRetry = 0;
+    try {
+      pendingRetry = (await readRetryQueue()).reduce((sum, entry) => sum + entry.rows.length, 0);
+    } catch (error) {
+      pendingRetry = null;
+    }
+    return { ...metrics, buffered: buffer.length, pending_retry: pendingRetry };
+  }
+
+  // Timers don't hold the process open - call close() on shutdown to flush
+  const flushTimer = setInterval(flush, flushIntervalMs);
+  const retryTimer = setInterval(retryFailed, retryIntervalMs);
+  flushTimer.unref();
+  retryTimer.unref();
+
+  // Pick up batches left over from a previous run
+  retryFailed();
+
+  async function close() {
+    clearInterval(flushTimer);
+    clearInterval(retryTimer);
+    await flush();
+    await retryFailed();
+  }
+
+  return {
+    enqueue,
+    flush,
+    retryFailed,
+    getMetrics,
+    close
+  };
+}
+
+module.exports = {
+  createCoordinateWriter
+};
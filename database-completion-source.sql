@@ -0,0 +1,21 @@
+-- How each customer was completed, plus an audit trail of dispatcher overrides
+--   completion_source: 'live_stop' (tracker stop match), 'script' (reconcile.js complete), 'manual' (API)
+
+ALTER TABLE assigned_customers
+  ADD COLUMN IF NOT EXISTS completion_source TEXT
+    CHECK (completion_source IN ('live_stop', 'script', 'manual')),
+  ADD COLUMN IF NOT EXISTS completed_by TEXT,        -- actor for manual completions
+  ADD COLUMN IF NOT EXISTS completion_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS customer_completion_log (
+  id BIGSERIAL PRIMARY KEY,
+  trip_id UUID NOT NULL,
+  customer_code TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('complete', 'reopen')),
+  source TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_completion_log_trip ON customer_completion_log (trip_id, created_at);
@@ -0,0 +1,35 @@
+-- Depot geofences (see depots.js). A trip starts when its vehicle leaves the depot, and the
+-- departure and return times are recorded on the trip. A depot is a polygon, or a radius
+-- around latitude/longitude when no polygon is set.
+
+CREATE TABLE IF NOT EXISTS depots (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  latitude NUMERIC,
+  longitude NUMERIC,
+  radius_m NUMERIC CHECK (radius_m > 0),
+  polygon JSONB,                       -- [[lng, lat], ...], at least 3 points
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (polygon IS NOT NULL OR (latitude IS NOT NULL AND longitude IS NOT NULL AND radius_m IS NOT NULL))
+);
+
+-- A depot serves routes and/or vehicles. A trip uses route_plans.depot_id, then its route's
+-- depot, then its vehicle's depot; trips with none start on driving away (TRIP_START_DISTANCE_M).
+CREATE TABLE IF NOT EXISTS depot_assignments (
+  id BIGSERIAL PRIMARY KEY,
+  depot_id BIGINT NOT NULL REFERENCES depots (id) ON DELETE CASCADE,
+  vehicle_plate TEXT UNIQUE,
+  route_name TEXT UNIQUE,
+  CHECK ((vehicle_plate IS NULL) <> (route_name IS NULL))
+);
+
+ALTER TABLE route_plans
+  ADD COLUMN IF NOT EXISTS depot_id BIGINT REFERENCES depots (id),
+  ADD COLUMN IF NOT EXISTS depot_departure_time TIMESTAMPTZ,  -- GPS time the vehicle left the depot
+  ADD COLUMN IF NOT EXISTS depot_return_time TIMESTAMPTZ;     -- GPS time it was last back inside
+
+-- Example: a radius depot serving one vehicle, and a polygon depot serving a route
+-- INSERT INTO depots (name, latitude, longitude, radius_m) VALUES ('Midrand', -26.0100, 28.1200, 250);
+-- INSERT INTO depot_assignments (depot_id, vehicle_plate) VALUES (1, 'ABC123');
+-- INSERT INTO depots (name, polygon) VALUES ('Germiston', '[[28.15,-26.21],[28.16,-26.21],[28.16,-26.22],[28.15,-26.22]]');
+-- INSERT INTO depot_assignments (depot_id, route_name) VALUES (2, '845R1');
@@ -0,0 +1,17 @@
+-- Lateness events raised when a stop's live ETA misses planned_eta by more than ETA_LATENESS_MARGIN_MINUTES
+
+CREATE TABLE IF NOT EXISTS eta_lateness_events (
+  id BIGSERIAL PRIMARY KEY,
+  trip_id UUID NOT NULL,
+  vehicle_plate TEXT NOT NULL,
+  customer_code TEXT NOT NULL,
+  planned_eta TIMESTAMPTZ,             -- planned_eta resolved on the trip's operating day
+  predicted_eta TIMESTAMPTZ NOT NULL,
+  late_by_minutes INTEGER,
+  detected_at TIMESTAMPTZ NOT NULL,    -- GPS time of the position that produced the prediction
+  latitude NUMERIC,
+  longitude NUMERIC,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_eta_lateness_trip ON eta_lateness_events (trip_id, detected_at);
@@ -0,0 +1,12 @@
+-- Per-customer and per-route geofence radius used for stop auto-completion
+
+-- Radius for a single customer stop (NULL falls back to the route radius)
+ALTER TABLE assigned_customers
+  ADD COLUMN IF NOT EXISTS geofence_radius_km NUMERIC;
+
+-- Radius for every stop on a trip (NULL falls back to GEOFENCE_RADIUS_KM, default 0.3km)
+ALTER TABLE route_plans
+  ADD COLUMN IF NOT EXISTS geofence_radius_km NUMERIC;
+
+-- Example: widen the geofence for a large site (a stop completes within half the radius)
+-- UPDATE assigned_customers SET geofence_radius_km = 1.0 WHERE customer_code = 'CUST001';
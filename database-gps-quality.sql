@@ -0,0 +1,6 @@
+-- Fixes rejected by the GPS quality filter (see gps-quality.js). With GPS_QUALITY_ACTION=tag they
+-- are still recorded on the trip track, flagged with the failed rules, e.g. {impossible_jump}.
+-- Flagged rows are left out of audits and reconciliation.
+
+ALTER TABLE trip_coordinates
+  ADD COLUMN IF NOT EXISTS quality_flags TEXT[];
@@ -0,0 +1,26 @@
+-- Sustained off-route driving measured against route_plans.route_coordinates
+
+CREATE TABLE IF NOT EXISTS route_deviations (
+  id BIGSERIAL PRIMARY KEY,
+  trip_id UUID NOT NULL,
+  vehicle_plate TEXT NOT NULL,
+  start_time TIMESTAMPTZ NOT NULL,     -- GPS time of the first fix outside the corridor
+  end_time TIMESTAMPTZ,                -- GPS time back inside the corridor (NULL while still off route)
+  start_latitude NUMERIC,
+  start_longitude NUMERIC,
+  end_latitude NUMERIC,
+  end_longitude NUMERIC,
+  duration_minutes NUMERIC,
+  max_offset_km NUMERIC,               -- Furthest distance from the planned path
+  driven_distance_km NUMERIC,          -- Distance driven while off route
+  extra_distance_km NUMERIC,           -- Driven minus the planned distance that was bypassed
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_route_deviations_trip ON route_deviations (trip_id, start_time);
+
+-- Route Deviation metric on the audit
+ALTER TABLE trip_audit
+  ADD COLUMN IF NOT EXISTS avg_route_deviation_km NUMERIC,
+  ADD COLUMN IF NOT EXISTS route_deviation_count INTEGER,
+  ADD COLUMN IF NOT EXISTS route_deviation_extra_km NUMERIC;
@@ -0,0 +1,5 @@
+-- Visit sequence compliance on the audit (see sequence-compliance.js)
+ALTER TABLE trip_audit
+  ADD COLUMN IF NOT EXISTS sequence_compliance NUMERIC,          -- % of visits on the longest in-order run
+  ADD COLUMN IF NOT EXISTS out_of_sequence_visits INTEGER,       -- visits that were not the next open stop
+  ADD COLUMN IF NOT EXISTS skipped_revisited_visits INTEGER;     -- stops jumped over and completed later
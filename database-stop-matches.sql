@@ -0,0 +1,25 @@
+-- Stop-to-customer match decisions recorded by handleLongStop
+
+CREATE TABLE IF NOT EXISTS stop_matches (
+  id BIGSERIAL PRIMARY KEY,
+  trip_id UUID NOT NULL,
+  vehicle_plate TEXT NOT NULL,
+  latitude NUMERIC NOT NULL,
+  longitude NUMERIC NOT NULL,
+  stop_start TIMESTAMPTZ NOT NULL,
+  stop_duration_minutes NUMERIC,
+  decision TEXT NOT NULL CHECK (decision IN ('completed', 'review', 'no_match')),
+  customer_code TEXT,                  -- Best candidate (completed, or proposed for review)
+  candidates JSONB DEFAULT '[]',       -- [{ customer_code, sequence_order, distance_km, radius_km, score }]
+  reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stop_matches_trip ON stop_matches (trip_id, created_at);
+
+-- One decision per detected stop: a review stop re-evaluated when it ends replaces its row
+ALTER TABLE stop_matches ADD COLUMN IF NOT EXISTS vehicle_stop_id BIGINT;  -- vehicle_stops.id
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stop_matches_stop ON stop_matches (vehicle_stop_id);
+
+-- Stops waiting on a dispatcher decision
+-- SELECT * FROM stop_matches WHERE decision = 'review' ORDER BY created_at DESC;
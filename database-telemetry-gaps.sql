@@ -0,0 +1,16 @@
+-- Periods with missing telemetry caused by feed disconnects, one row per vehicle per gap
+
+CREATE TABLE IF NOT EXISTS telemetry_gaps (
+  id BIGSERIAL PRIMARY KEY,
+  vehicle_plate TEXT NOT NULL,
+  trip_id UUID,                        -- Trip being monitored when the feed dropped (if any)
+  gap_start TIMESTAMPTZ NOT NULL,      -- When the server lost the feed
+  gap_end TIMESTAMPTZ NOT NULL,        -- When the vehicle's first message arrived after reconnecting
+  gap_minutes NUMERIC,
+  last_loc_time_before TIMESTAMP,      -- Last GPS LocTime seen before the drop
+  first_loc_time_after TIMESTAMP,      -- First GPS LocTime seen after the reconnect
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_telemetry_gaps_plate ON telemetry_gaps (vehicle_plate, gap_start);
+CREATE INDEX IF NOT EXISTS idx_telemetry_gaps_trip ON telemetry_gaps (trip_id);
@@ -0,0 +1,8 @@
+-- Depot timezone used to resolve a trip's operating day
+
+-- IANA timezone of the depot the trip runs from (NULL falls back to OPERATING_TIMEZONE, default Africa/Johannesburg)
+ALTER TABLE route_plans
+  ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+-- Example: a depot outside SAST
+-- UPDATE route_plans SET timezone = 'Africa/Windhoek' WHERE route_name LIKE 'WHK%';
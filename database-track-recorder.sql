@@ -0,0 +1,19 @@
+-- Adaptive track recording (see track-recorder.js). Points are kept on distance, heading change,
+-- a heartbeat while stationary and stop start/end; record_reason says which.
+
+ALTER TABLE trip_coordinates
+  ADD COLUMN IF NOT EXISTS record_reason TEXT;  -- first | distance | heading | heartbeat | stop_start | stop_end
+
+-- timestamp is the GPS time of the point; received_at is when the server got the fix
+ALTER TABLE trip_coordinates
+  ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ;
+
+-- Last recorded track point per vehicle, so a restart doesn't reset the recorder
+CREATE TABLE IF NOT EXISTS vehicle_track_state (
+  vehicle_plate TEXT PRIMARY KEY,
+  trip_id UUID,
+  latitude NUMERIC NOT NULL,
+  longitude NUMERIC NOT NULL,
+  course NUMERIC,                      -- degrees, course over ground at that point
+  recorded_at TIMESTAMPTZ NOT NULL     -- GPS time of the point
+);
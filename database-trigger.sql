@@ -5,8 +5,9 @@ CREATE OR REPLACE FUNCTION auto_set_completed_at()
 RETURNS TRIGGER AS $$
 BEGIN
   -- If completed changed from false to true, set completed_at
+  -- (keep a GPS arrival time supplied by the server, otherwise use NOW())
   IF NEW.completed = true AND (OLD.completed = false OR OLD.completed IS NULL) THEN
-    NEW.completed_at = NOW();
+    NEW.completed_at = COALESCE(NEW.completed_at, NOW());
   END IF;
   
   -- If completed changed from true to false, clear completed_at
@@ -0,0 +1,28 @@
+-- Trip audit generated by the server when a trip completes (see tripMonitoring.md)
+
+CREATE TABLE IF NOT EXISTS trip_audit (
+  id BIGSERIAL PRIMARY KEY,
+  trip_id UUID NOT NULL,
+  vehicle_plate TEXT,
+  route_name TEXT,
+  planned_duration_minutes NUMERIC,
+  actual_duration_minutes NUMERIC,
+  duration_variance_minutes NUMERIC,
+  planned_distance_km NUMERIC,
+  actual_distance_km NUMERIC,
+  distance_variance_km NUMERIC,
+  total_customers INTEGER,
+  completed_customers INTEGER,
+  completion_rate NUMERIC,
+  time_efficiency NUMERIC,
+  distance_efficiency NUMERIC,
+  trip_status TEXT,                    -- completed | partial | abandoned | in_progress (or an explicit override)
+  audit_created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One audit per trip so regenerating replaces it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trip_audit_trip ON trip_audit (trip_id);
+
+-- Actual distance is also written back to the trip
+ALTER TABLE route_plans
+  ADD COLUMN IF NOT EXISTS actual_distance_km NUMERIC;
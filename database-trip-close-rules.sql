@@ -0,0 +1,10 @@
+-- Trips closed by a rule before every customer was completed (see trip-close-rules.js)
+--   close_reason: 'depot_return', 'end_of_day', 'idle' - NULL when every customer was completed
+-- Closed trips keep completed = FALSE; trip_audit.trip_status records partial or abandoned.
+
+ALTER TABLE route_plans
+  ADD COLUMN IF NOT EXISTS close_reason TEXT
+    CHECK (close_reason IN ('depot_return', 'end_of_day', 'idle'));
+
+ALTER TABLE trip_audit
+  ADD COLUMN IF NOT EXISTS close_reason TEXT;
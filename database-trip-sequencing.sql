@@ -0,0 +1,7 @@
+-- Several trips per vehicle per day run one at a time (see trip-sequencing.js).
+-- Trips not yet started are taken in planned_start_time order, then created_at.
+ALTER TABLE route_plans
+  ADD COLUMN IF NOT EXISTS planned_start_time TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_route_plans_vehicle_planned_start ON route_plans (vehicle_plate, planned_start_time)
+  WHERE actual_end_time IS NULL;
@@ -0,0 +1,22 @@
+-- Stops found by the tracker's stop detector (see stop-detector.js). Rows with no end_time are
+-- in progress and are restored when the server restarts.
+
+CREATE TABLE IF NOT EXISTS vehicle_stops (
+  id BIGSERIAL PRIMARY KEY,
+  vehicle_plate TEXT NOT NULL,
+  trip_id UUID,
+  start_time TIMESTAMPTZ NOT NULL,     -- GPS time of the first stopped fix
+  end_time TIMESTAMPTZ,                -- GPS time of the first fix that moved off
+  duration_minutes NUMERIC,
+  last_fix_time TIMESTAMPTZ,           -- latest fix folded into the stop (saved about once a minute)
+  centroid_latitude NUMERIC NOT NULL,
+  centroid_longitude NUMERIC NOT NULL,
+  fix_count INTEGER DEFAULT 1,
+  max_drift_m INTEGER DEFAULT 0,
+  decision TEXT,                       -- stop matcher decision: completed | review | no_match
+  customer_code TEXT,                  -- customer the stop completed
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_stops_open ON vehicle_stops (vehicle_plate) WHERE end_time IS NULL;
+CREATE INDEX IF NOT EXISTS idx_vehicle_stops_trip ON vehicle_stops (trip_id, start_time);
@@ -0,0 +1,6 @@
+-- Actual visit timing recorded by the live stop tracker (GPS LocTime, not server wall-clock)
+
+ALTER TABLE assigned_customers
+  ADD COLUMN IF NOT EXISTS actual_arrival_time TIMESTAMPTZ,        -- GPS time the matched stop began
+  ADD COLUMN IF NOT EXISTS actual_departure_time TIMESTAMPTZ,      -- GPS time of the first moving fix after the stop
+  ADD COLUMN IF NOT EXISTS actual_visit_duration_minutes INTEGER;  -- Dwell time on site
@@ -0,0 +1,37 @@
+-- Outbound webhooks for tracker lifecycle events (see webhooks.js). Each endpoint receives the
+-- event types it subscribes to (all webhook events when event_types is empty), signed with its secret.
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id BIGSERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,                -- HMAC-SHA256 key for X-Webhook-Signature
+  event_types TEXT[] DEFAULT '{}',     -- e.g. {trip:started,customer:completed}
+  description TEXT,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per event per endpoint: the retry queue and the delivery log. A replay is a new row
+-- pointing at the delivery it repeats.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  endpoint_id BIGINT REFERENCES webhook_endpoints (id) ON DELETE SET NULL,
+  event_id UUID NOT NULL,              -- same for every endpoint the event went to
+  event_type TEXT NOT NULL,
+  trip_id TEXT,
+  vehicle_plate TEXT,
+  payload JSONB NOT NULL,              -- body as sent
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ,         -- when a pending delivery is tried next
+  last_attempt_at TIMESTAMPTZ,
+  response_status INTEGER,             -- HTTP status of the last attempt
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  replay_of BIGINT REFERENCES webhook_deliveries (id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_trip ON webhook_deliveries (trip_id);
@@ -0,0 +1,129 @@
+const distance = require('@turf/distance').default;
+
+// Depots are re-read from the store at most this often
+const DEPOT_CACHE_SECONDS = parseFloat(process.env.DEPOT_CACHE_SECONDS) || 300;
+// Vehicles without a depot: the trip starts once the vehicle has driven at this speed and is this far
+// from where it was first seen for the trip, so yard shunting doesn't start the clock
+const TRIP_START_SPEED_KMH = parseFloat(process.env.TRIP_START_SPEED_KMH) || 10;
+const TRIP_START_DISTANCE_M = parseFloat(process.env.TRIP_START_DISTANCE_M) || 500;
+
+function metresBetween(a, b) {
+  return distance([a.lng, a.lat], [b.lng, b.lat], { units: 'kilometers' }) * 1000;
+}
+
+// depots.polygon is JSONB [[lng, lat], ...]; null unless it describes an area
+function parsePolygon(polygon) {
+  let ring = polygon;
+  if (typeof ring === 'string') {
+    try {
+      ring = JSON.parse(ring);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!Array.isArray(ring)) return null;
+  const points = ring
+    .map(p => [parseFloat(p[0]), parseFloat(p[1])])
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+  return points.length >= 3 ? points : null;
+}
+
+// Ray casting - depots are small enough to treat lng/lat as planar
+function isInsidePolygon(ring, { lat, lng }) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// A depot is a polygon, or a radius (radius_m) around latitude/longitude
+function isInsideDepot(depot, location) {
+  const ring = parsePolygon(depot.polygon);
+  if (ring) return isInsidePolygon(ring, location);
+  const radius = parseFloat(depot.radius_m);
+  if (!(radius > 0) || depot.latitude == null || depot.longitude == null) return false;
+  return metresBetween(location, { lat: parseFloat(depot.latitude), lng: parseFloat(depot.longitude) }) <= radius;
+}
+
+// Depot for a trip: route_plans.depot_id -> assigned to the trip's route -> assigned to its vehicle
+function resolveDepot(depots, trip) {
+  const assigned = match => depots.find(d => (d.depot_assignments || []).some(match));
+  return (trip.depot_id != null && depots.find(d => d.id === trip.depot_id))
+    || (trip.route_name && assigned(a => a.route_name === trip.route_name))
+    || (trip.vehicle_plate && assigned(a => a.vehicle_plate === trip.vehicle_plate))
+    || null;
+}
+
+// Follows each trip's vehicle in and out of its depot. checkFix resolves
+//   { depot, atDepot, startTrip, departed, returned }
+// atDepot is null without a depot; startTrip is set on the fix that should start a not-yet-started
+// trip; departed/returned are the GPS times the vehicle crossed the depot boundary on this fix.
+// A trip with a depot only starts on a departure seen for that trip, so a trip handed over while the
+// vehicle is out waits for it to come back in and leave again.
+function createDepotMonitor(store, {
+  cacheSeconds = DEPOT_CACHE_SECONDS,
+  startSpeedKmh = TRIP_START_SPEED_KMH,
+  startDistanceM = TRIP_START_DISTANCE_M
+} = {}) {
+  let depots = null;
+  let loadedAt = 0;
+  const state = new Map(); // tripId -> { inside, origin, driven }
+
+  async function loadDepots() {
+    if (depots && Date.now() - loadedAt < cacheSeconds * 1000) return depots;
+    const { data, error } = await store.depots.list();
+    if (error) {
+      console.error('Error loading depots:', error);
+      return depots || [];
+    }
+    depots = data || [];
+    loadedAt = Date.now();
+    return depots;
+  }
+
+  // fix: { lat, lng, speed, time } - time is GPS time
+  async function checkFix(trip, fix) {
+    const depot = resolveDepot(await loadDepots(), trip);
+    const current = state.get(trip.trip_id) || { inside: null, origin: { lat: fix.lat, lng: fix.lng }, driven: false };
+    state.set(trip.trip_id, current);
+    const started = Boolean(trip.actual_start_time);
+
+    if (!depot) {
+      current.driven = current.driven || fix.speed >= startSpeedKmh;
+      const startTrip = !started && current.driven && metresBetween(current.origin, fix) >= startDistanceM;
+      return { depot: null, atDepot: null, startTrip, departed: null, returned: null };
+    }
+
+    const atDepot = isInsideDepot(depot, fix);
+    const wasInside = current.inside;
+    current.inside = atDepot;
+
+    // Only leaving the depot starts the trip - never having seen the vehicle inside is not a departure
+    const departed = wasInside === true && !atDepot ? fix.time : null;
+    return {
+      depot,
+      atDepot,
+      startTrip: !started && departed !== null,
+      departed,
+      returned: started && wasInside === false && atDepot ? fix.time : null
+    };
+  }
+
+  function forgetTrip(tripId) {
+    state.delete(tripId);
+  }
+
+  return {
+    checkFix,
+    forgetTrip
+  };
+}
+
+module.exports = {
+  isInsideDepot,
+  resolveDepot,
+  createDepotMonitor
+};
@@ -0,0 +1,126 @@
+// Fidelity EPS raw frames: ^Plate|Speed|Lat|Lng|LocTime|Mileage|Pocsagstr|Head|Geozone|DriverName|Address|NameEvent|Temperature|Statuses^
+const EPS_FIELDS = [
+  'Plate', 'Speed', 'Latitude', 'Longitude', 'LocTime', 'Mileage', 'Pocsagstr',
+  'Head', 'Geozone', 'DriverName', 'Address', 'NameEvent', 'Temperature', 'Statuses'
+];
+const EPS_FIELD_COUNT = EPS_FIELDS.length;
+
+const PLATE_PATTERN = /^[A-Z0-9]{2,12}$/i;
+const LOC_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/;
+const HEADINGS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const MAX_SPEED_KMH = 300;
+
+class EpsParseError extends Error {}
+
+function parseNumber(value, name, { min, max, integer = false, optional = false } = {}) {
+  if (value === '') {
+    if (optional) return null;
+    throw new EpsParseError(`${name} is empty`);
+  }
+  if (!/^-?\d+(\.\d+)?$/.test(value)) throw new EpsParseError(`${name} "${value}" is not a number`);
+  const number = Number(value);
+  if (integer && !Number.isInteger(number)) throw new EpsParseError(`${name} "${value}" is not a whole number`);
+  if ((min != null && number < min) || (max != null && number > max)) {
+    throw new EpsParseError(`${name} ${number} is outside ${min}..${max}`);
+  }
+  return number;
+}
+
+function parseLocTimeField(value) {
+  const match = LOC_TIME_PATTERN.exec(value);
+  if (!match) throw new EpsParseError(`LocTime "${value}" is not YYYY-MM-DD HH:MM:SS`);
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const time = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  // Reject rollovers such as 2025-02-30
+  if (time.getUTCMonth() !== month - 1 || time.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    throw new EpsParseError(`LocTime "${value}" is not a valid date/time`);
+  }
+  return value;
+}
+
+// Parse one frame into the same shape the relay produces, with numbers typed (empty optional fields are null).
+// Returns { data, error } - error is the reason the frame was rejected.
+function parseEpsFrame(frame) {
+  const raw = String(frame).trim();
+  try {
+    if (!raw.startsWith('^') || !raw.endsWith('^') || raw.length < 2) {
+      throw new EpsParseError('Frame must start and end with ^');
+    }
+
+    const fields = raw.slice(1, -1).split('|').map(f => f.trim());
+    if (fields.length !== EPS_FIELD_COUNT) {
+      throw new EpsParseError(`Expected ${EPS_FIELD_COUNT} fields, got ${fields.length}`);
+    }
+    const values = Object.fromEntries(EPS_FIELDS.map((name, i) => [name, fields[i]]));
+
+    if (!PLATE_PATTERN.test(values.Plate)) throw new EpsParseError(`Plate "${values.Plate}" is invalid`);
+    if (values.Head && !HEADINGS.includes(values.Head.toUpperCase())) {
+      throw new EpsParseError(`Head "${values.Head}" is not a compass heading`);
+    }
+
+    const data = {
+      Plate: values.Plate.toUpperCase(),
+      Speed: parseNumber(values.Speed, 'Speed', { min: 0, max: MAX_SPEED_KMH, integer: true }),
+      Latitude: parseNumber(values.Latitude, 'Latitude', { min: -90, max: 90 }),
+      Longitude: parseNumber(values.Longitude, 'Longitude', { min: -180, max: 180 }),
+      LocTime: parseLocTimeField(values.LocTime),
+      Quality: '',
+      Mileage: parseNumber(values.Mileage, 'Mileage', { min: 0, optional: true }),
+      Pocsagstr: values.Pocsagstr,
+      Head: values.Head.toUpperCase(),
+      Geozone: values.Geozone,
+      DriverName: values.DriverName || 'UNKNOWN',
+      NameEvent: values.NameEvent,
+      Temperature: parseNumber(values.Temperature, 'Temperature', { min: -60, max: 100, optional: true }),
+      Address: values.Address,
+      Statuses: values.Statuses,
+      Rules: '',
+      IP: values.Pocsagstr,
+      parseMethod: 'Native EPS parser',
+      rawMessage: raw,
+      fieldCount: fields.length
+    };
+
+    return { data, error: null };
+  } catch (error) {
+    if (error instanceof EpsParseError) return { data: null, error: error.message };
+    throw error;
+  }
+}
+
+// Split a stream buffer into complete ^...^ frames. Text between frames is returned as garbage;
+// an unterminated frame at the end is returned as the remainder to prepend to the next chunk.
+function extractEpsFrames(buffer) {
+  const frames = [];
+  const garbage = [];
+  let position = 0;
+
+  while (position < buffer.length) {
+    const start = buffer.indexOf('^', position);
+    if (start === -1) {
+      if (buffer.slice(position).trim()) garbage.push(buffer.slice(position));
+      return { frames, garbage, remainder: '' };
+    }
+    if (buffer.slice(position, start).trim()) garbage.push(buffer.slice(position, start));
+
+    const end = buffer.indexOf('^', start + 1);
+    if (end === -1) return { frames, garbage, remainder: buffer.slice(start) };
+    // "^^" is a frame end followed by a frame start - resync on the second ^ after a lost delimiter
+    if (end === start + 1) {
+      position = end;
+      continue;
+    }
+
+    frames.push(buffer.slice(start, end + 1));
+    position = end + 1;
+  }
+
+  return { frames, garbage, remainder: '' };
+}
+
+module.exports = {
+  EPS_FIELDS,
+  EPS_FIELD_COUNT,
+  parseEpsFrame,
+  extractEpsFrames
+};
@@ -0,0 +1,164 @@
+const { distanceToCustomerKm } = require('./geofence');
+const { tripTimezone, tripOperatingDay, zonedTimeToUtc } = require('./trip-day');
+
+// Stops predicted to arrive this many minutes after planned_eta raise a lateness event
+const LATENESS_MARGIN_MINUTES = parseFloat(process.env.ETA_LATENESS_MARGIN_MINUTES) || 15;
+// Recompute a trip's ETAs at most this often (GPS time)
+const ETA_INTERVAL_SECONDS = parseFloat(process.env.ETA_INTERVAL_SECONDS) || 60;
+// Fallbacks until the vehicle has been observed moving / visiting
+const DEFAULT_SPEED_KMH = parseFloat(process.env.ETA_DEFAULT_SPEED_KMH) || 40;
+const DEFAULT_DWELL_MINUTES = parseFloat(process.env.ETA_DEFAULT_DWELL_MINUTES) || 15;
+// Straight-line to road distance
+const ROAD_FACTOR = 1.3;
+// Weight of the newest speed sample in the moving average
+const SPEED_SMOOTHING = 0.2;
+
+// planned_eta is a local time of day ("09:30:00") on the trip's operating day
+function plannedEtaInstant(trip, customer) {
+  if (!customer.planned_eta) return null;
+  const instant = zonedTimeToUtc(tripOperatingDay(trip), String(customer.planned_eta), tripTimezone(trip));
+  return isNaN(instant.getTime()) ? null : instant;
+}
+
+function legDistanceKm(from, customer, isFirstLeg) {
+  if (!isFirstLeg && customer.planned_distance_from_previous_km != null) {
+    return Number(customer.planned_distance_from_previous_km);
+  }
+  return distanceToCustomerKm(from, customer) * ROAD_FACTOR;
+}
+
+// Predict arrival at each remaining stop, in sequence, from the current position
+function predictEtas(trip, customers, position, { speedKmh, dwellMinutes }) {
+  const remaining = customers
+    .filter(c => !c.completed && c.latitude && c.longitude)
+    .sort((a, b) => (a.sequence_order ?? Infinity) - (b.sequence_order ?? Infinity));
+
+  let clock = position.time.getTime();
+  let from = { lat: position.lat, lng: position.lng };
+
+  return remaining.map((customer, index) => {
+    const distanceKm = legDistanceKm(from, customer, index === 0);
+    const travelMinutes = speedKmh ? distanceKm / speedKmh * 60 : Number(customer.planned_travel_time_minutes) || 0;
+    if (index > 0) clock += dwellMinutes * 60 * 1000;
+    clock += travelMinutes * 60 * 1000;
+    from = { lat: customer.latitude, lng: customer.longitude };
+
+    const predicted = new Date(clock);
+    const planned = plannedEtaInstant(trip, customer);
+    const lateBy = planned ? (predicted - planned) / 1000 / 60 : null;
+
+    return {
+      customer_code: customer.customer_code,
+      sequence_order: customer.sequence_order ?? null,
+      planned_eta: planned ? planned.toISOString() : null,
+      predicted_eta: predicted.toISOString(),
+      late_by_minutes: lateBy == null ? null : Math.round(lateBy),
+      late: lateBy != null && lateBy > LATENESS_MARGIN_MINUTES
+    };
+  });
+}
+
+// Live ETA state per trip, refreshed from the tracker's position stream
+function createEtaMonitor(store) {
+  const etas = new Map(); // tripId -> { computed_at, position, speed_kmh, stops }
+  const speeds = new Map(); // tripId -> smoothed moving speed (km/h)
+  const lateAlerts = new Map(); // tripId -> Set of customer codes currently flagged late
+
+  function observeSpeed(tripId, speed) {
+    const kmh = parseFloat(speed);
+    if (!(kmh >= 5)) return; // Stopped or crawling - not representative of travel speed
+    const previous = speeds.get(tripId);
+    speeds.set(tripId, previous == null ? kmh : previous + SPEED_SMOOTHING * (kmh - previous));
+  }
+
+  // Average observed dwell on this trip so far
+  function observedDwellMinutes(customers) {
+    const visits = customers
+      .map(c => Number(c.actual_visit_duration_minutes))
+      .filter(d => d > 0);
+    return visits.length > 0 ? visits.reduce((sum, d) => sum + d, 0) / visits.length : DEFAULT_DWELL_MINUTES;
+  }
+
+  async function raiseLateness(trip, stop, position) {
+    const { error } = await store.latenessEvents.insert({
+      trip_id: trip.trip_id,
+      vehicle_plate: trip.vehicle_plate,
+      customer_code: stop.customer_code,
+      planned_eta: stop.planned_eta,
+      predicted_eta: stop.predicted_eta,
+      late_by_minutes: stop.late_by_minutes,
+      detected_at: position.time.toISOString(),
+      latitude: parseFloat(position.lat),
+      longitude: parseFloat(position.lng)
+    });
+
+    if (error) {
+      console.error(`Error recording lateness for customer ${stop.customer_code}:`, error);
+    } else {
+      console.log(`⏰ Trip ${trip.trip_id}: customer ${stop.customer_code} predicted ${stop.late_by_minutes}min late (ETA ${stop.predicted_eta})`);
+    }
+  }
+
+  // position: { lat, lng, speed, time } - time is GPS time
+  async function update(trip, position) {
+    observeSpeed(trip.trip_id, position.speed);
+
+    const current = etas.get(trip.trip_id);
+    if (current && (position.time - new Date(current.computed_at)) / 1000 < ETA_INTERVAL_SECONDS) return current;
+
+    const { data: customers, error } = await store.customers.findByTrip(trip.trip_id);
+    if (error || !customers) return current || null;
+
+    const speedKmh = speeds.get(trip.trip_id) || DEFAULT_SPEED_KMH;
+    const stops = predictEtas(trip, customers, position, {
+      speedKmh,
+      dwellMinutes: observedDwellMinutes(customers)
+    });
+
+    const snapshot = {
+      trip_id: trip.trip_id,
+      vehicle_plate: trip.vehicle_plate,
+      computed_at: position.time.toISOString(),
+      position: { lat: parseFloat(position.lat), lng: parseFloat(position.lng) },
+      speed_kmh: Number(speedKmh.toFixed(1)),
+      stops
+    };
+    etas.set(trip.trip_id, snapshot);
+
+    // Alert once per stop when it turns late; a stop that recovers can alert again
+    const flagged = lateAlerts.get(trip.trip_id) || new Set();
+    lateAlerts.set(trip.trip_id, flagged);
+    for (const stop of stops) {
+      if (stop.late && !flagged.has(stop.customer_code)) {
+        flagged.add(stop.customer_code);
+        await raiseLateness(trip, stop, position);
+      } else if (!stop.late) {
+        flagged.delete(stop.customer_code);
+      }
+    }
+
+    return snapshot;
+  }
+
+  function getTripEtas(tripId) {
+    return etas.get(tripId) || null;
+  }
+
+  function forgetTrip(tripId) {
+    etas.delete(tripId);
+    speeds.delete(tripId);
+    lateAlerts.delete(tripId);
+  }
+
+  return {
+    update,
+    getTripEtas,
+    forgetTrip
+  };
+}
+
+module.exports = {
+  LATENESS_MARGIN_MINUTES,
+  predictEtas,
+  createEtaMonitor
+};
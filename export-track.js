@@ -0,0 +1,109 @@
+require('dotenv').config();
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { EXPORT_FORMATS, loadTripExport, loadVehicleDayExport, formatExport } = require('./trip-export');
+const { DEFAULT_TIMEZONE, operatingDay } = require('./trip-day');
+const { createStore } = require('./store');
+
+const USAGE = `Export planned routes, actual tracks, customer stops and detected stops for GIS tools.
+
+Usage: node export-track.js (--trip <trip_id> | --plate <plate> [--date <YYYY-MM-DD>]) [options]
+
+  --trip <trip_id>          One trip
+  --plate <plate>           Every trip of this vehicle on --date
+  --date <YYYY-MM-DD>       Operating day for --plate (default: today in --timezone)
+  --timezone <tz>           Timezone used to pick trips by created_at (default: ${DEFAULT_TIMEZONE})
+  --format <${Object.keys(EXPORT_FORMATS).join('|')}>   Output format (default: geojson)
+  --output <file>           Write here instead of stdout
+  --help
+
+Progress is logged to stderr; stdout carries only the export.`;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const log = (...args) => console.error(...args);
+
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      trip: { type: 'string' },
+      plate: { type: 'string' },
+      date: { type: 'string' },
+      timezone: { type: 'string', default: DEFAULT_TIMEZONE },
+      format: { type: 'string', default: 'geojson' },
+      output: { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+
+  if (positionals.length > 0) throw new UsageError(`Unexpected argument "${positionals[0]}"`);
+  if (!EXPORT_FORMATS[values.format]) throw new UsageError(`--format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  if (Boolean(values.trip) === Boolean(values.plate)) throw new UsageError('Use --trip or --plate');
+  if (values.trip && values.date) throw new UsageError('--date goes with --plate');
+  if (values.date && !DAY_PATTERN.test(values.date)) throw new UsageError('--date must be YYYY-MM-DD');
+
+  return {
+    tripId: values.trip || null,
+    plate: values.plate || null,
+    day: values.date || operatingDay(new Date(), values.timezone),
+    timezone: values.timezone,
+    format: values.format,
+    output: values.output || null
+  };
+}
+
+async function exportTracks(store, options) {
+  if (options.tripId) {
+    const tripExport = await loadTripExport(store, options.tripId);
+    if (!tripExport) throw new Error(`Trip ${options.tripId} not found`);
+    return [tripExport];
+  }
+  const tripExports = await loadVehicleDayExport(store, options.plate, options.day, options.timezone);
+  if (tripExports.length === 0) throw new Error(`No trips for vehicle ${options.plate} on ${options.day}`);
+  return tripExports;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    const tripExports = await exportTracks(createStore(), options);
+    const output = formatExport(tripExports, options.format);
+    if (options.output) {
+      fs.writeFileSync(options.output, output);
+    } else {
+      console.log(output);
+    }
+    const points = tripExports.reduce((sum, t) => sum + t.track.length, 0);
+    log(`🗺️ Exported ${tripExports.length} trip(s), ${points} track points as ${options.format}${options.output ? ` to ${options.output}` : ''}`);
+  } catch (error) {
+    console.error('💥 Export error:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseOptions,
+  exportTracks
+};
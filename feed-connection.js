@@ -0,0 +1,117 @@
+const WebSocket = require('ws');
+
+// Reconnect backoff: INITIAL * 2^attempt, capped at MAX, with jitter
+const RECONNECT_INITIAL_DELAY_MS = parseInt(process.env.WS_RECONNECT_INITIAL_DELAY_MS, 10) || 1000;
+const RECONNECT_MAX_DELAY_MS = parseInt(process.env.WS_RECONNECT_MAX_DELAY_MS, 10) || 60000;
+
+// Ping the feed every interval; no pong or message within the timeout means the socket is dead
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS, 10) || 30000;
+const HEARTBEAT_TIMEOUT_MS = parseInt(process.env.WS_HEARTBEAT_TIMEOUT_MS, 10) || 10000;
+
+function reconnectDelay(attempt) {
+  const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_INITIAL_DELAY_MS * 2 ** attempt);
+  // Jitter between 50% and 100% so a fleet of servers doesn't reconnect in lockstep
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Keep a WebSocket to the feed open, reconnecting with backoff whenever it drops.
+// Handlers are attached to every new socket: onOpen({ reconnect }), onMessage(data), onClose({ code, reason })
+function connectFeed(url, { onOpen, onMessage, onClose } = {}) {
+  let socket = null;
+  let attempt = 0;
+  let hasConnected = false;
+  let stopped = false;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let heartbeatTimeout = null;
+
+  function clearHeartbeat() {
+    clearInterval(heartbeatTimer);
+    clearTimeout(heartbeatTimeout);
+    heartbeatTimer = null;
+    heartbeatTimeout = null;
+  }
+
+  function markAlive() {
+    clearTimeout(heartbeatTimeout);
+    heartbeatTimeout = null;
+  }
+
+  function startHeartbeat(ws) {
+    clearHeartbeat();
+    heartbeatTimer = setInterval(() => {
+      if (heartbeatTimeout) return; // Still waiting on the previous ping
+      heartbeatTimeout = setTimeout(() => {
+        console.error(`WebSocket heartbeat timed out after ${HEARTBEAT_TIMEOUT_MS}ms - terminating`);
+        ws.terminate();
+      }, HEARTBEAT_TIMEOUT_MS);
+      try {
+        ws.ping();
+      } catch (error) {
+        console.error('WebSocket ping failed:', error.message);
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+    const delay = reconnectDelay(attempt);
+    attempt++;
+    console.log(`Reconnecting to WebSocket in ${delay}ms (attempt ${attempt})`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function connect() {
+    const ws = new WebSocket(url);
+    socket = ws;
+
+    ws.on('open', async () => {
+      const reconnect = hasConnected;
+      hasConnected = true;
+      attempt = 0;
+      startHeartbeat(ws);
+      if (onOpen) await onOpen({ reconnect });
+    });
+
+    ws.on('pong', markAlive);
+
+    ws.on('message', async (data) => {
+      markAlive();
+      if (onMessage) await onMessage(data);
+    });
+
+    ws.on('error', (error) => {
+      console.error('WebSocket error:', error);
+    });
+
+    ws.on('close', (code, reason) => {
+      clearHeartbeat();
+      if (socket !== ws) return;
+      console.log(`WebSocket connection closed (code ${code})`);
+      if (onClose) onClose({ code, reason: reason ? reason.toString() : '' });
+      scheduleReconnect();
+    });
+  }
+
+  connect();
+
+  return {
+    get socket() {
+      return socket;
+    },
+    close() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      clearHeartbeat();
+      if (socket) socket.close();
+    }
+  };
+}
+
+module.exports = {
+  connectFeed,
+  reconnectDelay
+};
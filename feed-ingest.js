@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const dgram = require('dgram');
+const { parseEpsFrame, extractEpsFrames } = require('./eps-parser');
+
+// Malformed frames are appended here (JSONL) for later inspection
+const QUARANTINE_FILE = process.env.FEED_QUARANTINE_FILE || path.join(__dirname, 'data', 'feed-quarantine.jsonl');
+// A stream that sends this much without closing a frame is discarded
+const MAX_PARTIAL_FRAME_CHARS = 64 * 1024;
+
+// Single entry point for feed data - relay JSON over the WebSocket, raw EPS frames over TCP/UDP
+// or from a recording. Nothing malformed reaches the tracker; it is counted and quarantined instead.
+function createFeedIngest(tracker, { quarantineFile = QUARANTINE_FILE } = {}) {
+  const metrics = {
+    received: 0,
+    accepted: 0,
+    malformed: 0,
+    quarantine_failures: 0,
+    last_malformed_at: null,
+    reasons: {},  // reason -> count
+    sources: {}   // source -> { received, accepted, malformed }
+  };
+  let quarantineWrites = Promise.resolve();
+
+  function count(source, field) {
+    metrics[field]++;
+    const sourceMetrics = metrics.sources[source] || { received: 0, accepted: 0, malformed: 0 };
+    sourceMetrics[field]++;
+    metrics.sources[source] = sourceMetrics;
+  }
+
+  function quarantine(frame, source, reason) {
+    count(source, 'malformed');
+    metrics.last_malformed_at = new Date().toISOString();
+    // Field-level detail lives in the quarantine file; group counters by the kind of failure
+    const kind = reason.replace(/\s*"[^"]*"/g, '').replace(/-?\d+(\.\d+)?/g, 'N');
+    metrics.reasons[kind] = (metrics.reasons[kind] || 0) + 1;
+    console.error(`Quarantined ${source} frame: ${reason}`);
+
+    const entry = JSON.stringify({ received_at: metrics.last_malformed_at, source, reason, frame }) + '\n';
+    quarantineWrites = quarantineWrites
+      .then(() => fs.promises.mkdir(path.dirname(quarantineFile), { recursive: true }))
+      .then(() => fs.promises.appendFile(quarantineFile, entry))
+      .catch((error) => {
+        metrics.quarantine_failures++;
+        console.error(`Error writing to feed quarantine ${quarantineFile}:`, error);
+      });
+  }
+
+  async function ingest(vehicleData, source) {
+    count(source, 'accepted');
+    try {
+      await tracker.handleVehicleData(vehicleData);
+    } catch (error) {
+      console.error(`Error processing ${source} data for ${vehicleData.Plate}:`, error);
+    }
+  }
+
+  async function handleFrame(frame, source) {
+    count(source, 'received');
+    const { data, error } = parseEpsFrame(frame);
+    if (error) return quarantine(frame, source, error);
+    await ingest(data, source);
+  }
+
+  // One WebSocket message or recorded line: relay JSON, or a raw ^...^ EPS frame
+  async function handleMessage(message, source = 'websocket') {
+    const text = message.toString().trim();
+    if (text.startsWith('^')) return handleFrame(text, source);
+
+    count(source, 'received');
+    let vehicleData;
+    try {
+      vehicleData = JSON.parse(text);
+    } catch (error) {
+      return quarantine(text, source, 'Invalid JSON');
+    }
+    if (!vehicleData || typeof vehicleData !== 'object' || Array.isArray(vehicleData)) {
+      return quarantine(text, source, 'Expected a JSON object');
+    }
+    await ingest(vehicleData, source);
+  }
+
+  // Frames can arrive split across or packed into chunks - process them in arrival order
+  function createStreamFramer(source) {
+    let partial = '';
+    let processing = Promise.resolve();
+
+    function push(chunk) {
+      const { frames, garbage, remainder } = extractEpsFrames(partial + chunk);
+      for (const text of garbage) {
+        count(source, 'received');
+        quarantine(text, source, 'Data outside a ^...^ frame');
+      }
+      partial = remainder;
+      if (partial.length > MAX_PARTIAL_FRAME_CHARS) {
+        count(source, 'received');
+        quarantine(partial, source, 'Frame exceeds maximum length');
+        partial = '';
+      }
+      for (const frame of frames) {
+        processing = processing.then(() => handleFrame(frame, source));
+      }
+      return processing;
+    }
+
+    function end() {
+      if (partial.trim()) {
+        count(source, 'received');
+        quarantine(partial, source, 'Unterminated frame');
+      }
+      partial = '';
+      return processing;
+    }
+
+    return { push, end };
+  }
+
+  function listenTcp(port) {
+    const server = net.createServer((socket) => {
+      const source = `tcp:${socket.remoteAddress}`;
+      const framer = createStreamFramer(source);
+      socket.setEncoding('utf8');
+      socket.on('data', chunk => framer.push(chunk));
+      socket.on('end', () => framer.end());
+      socket.on('error', error => console.error(`EPS TCP connection ${source} error:`, error.message));
+    });
+    // A port already in use must not take the tracker down with it
+    server.on('error', error => console.error(`EPS TCP listener on port ${port} error:`, error.message));
+    server.listen(port, () => console.log(`EPS TCP listener on port ${port}`));
+    return server;
+  }
+
+  // Each datagram carries whole frames - nothing is carried over between datagrams
+  function listenUdp(port) {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (message, remote) => {
+      const framer = createStreamFramer(`udp:${remote.address}`);
+      framer.push(message.toString('utf8'));
+      framer.end();
+    });
+    socket.on('error', error => console.error('EPS UDP listener error:', error.message));
+    socket.bind(port, () => console.log(`EPS UDP listener on port ${port}`));
+    return socket;
+  }
+
+  // Resolves once quarantined frames are on disk
+  function flush() {
+    return quarantineWrites;
+  }
+
+  function getMetrics() {
+    return JSON.parse(JSON.stringify(metrics));
+  }
+
+  return {
+    handleMessage,
+    handleFrame,
+    createStreamFramer,
+    listenTcp,
+    listenUdp,
+    flush,
+    getMetrics
+  };
+}
+
+module.exports = {
+  createFeedIngest
+};
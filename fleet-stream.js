@@ -0,0 +1,90 @@
+const WebSocket = require('ws');
+
+// Drop dashboard clients that stop answering pings
+const CLIENT_PING_INTERVAL_MS = parseInt(process.env.FLEET_STREAM_PING_INTERVAL_MS, 10) || 30000;
+
+function parseList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+// A client with no plate or trip filter receives the whole fleet
+function matchesSubscription(subscription, event) {
+  if (subscription.plates.size === 0 && subscription.trips.size === 0) return true;
+  return (event.plate && subscription.plates.has(event.plate)) ||
+    (event.trip_id && subscription.trips.has(event.trip_id));
+}
+
+// Outbound WebSocket stream of tracker events for dashboards.
+// Connect to ws://host/stream?plates=ABC123GP,XYZ789GP&trips=<trip_id> or send
+// { "type": "subscribe", "plates": [...], "trips": [...] } at any time; both return a snapshot first.
+function attachFleetStream(server, tracker, { path = '/stream', pingIntervalMs = CLIENT_PING_INTERVAL_MS } = {}) {
+  const wss = new WebSocket.Server({ server, path });
+
+  function snapshot(subscription) {
+    const vehicles = [];
+    for (const [plate, vehicleData] of tracker.vehicleDataCache) {
+      const tripId = tracker.vehicleTrips.get(plate) || null;
+      if (!matchesSubscription(subscription, { plate, trip_id: tripId })) continue;
+      vehicles.push({ plate, trip_id: tripId, data: tracker.getLatestVehicleData(plate) || vehicleData });
+    }
+    return { type: 'snapshot', vehicles, emitted_at: new Date().toISOString() };
+  }
+
+  function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  }
+
+  function subscribe(ws, { plates, trips }) {
+    ws.subscription = {
+      plates: new Set(parseList(plates)),
+      trips: new Set(parseList(trips))
+    };
+    send(ws, snapshot(ws.subscription));
+  }
+
+  wss.on('connection', (ws, req) => {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    subscribe(ws, { plates: searchParams.get('plates'), trips: searchParams.get('trips') });
+
+    ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data.toString());
+        if (message.type === 'subscribe') subscribe(ws, message);
+      } catch (error) {
+        send(ws, { type: 'error', error: 'Invalid message - expected JSON { type: "subscribe", plates, trips }' });
+      }
+    });
+  });
+
+  tracker.events.on('event', (event) => {
+    for (const ws of wss.clients) {
+      if (ws.subscription && matchesSubscription(ws.subscription, event)) send(ws, event);
+    }
+  });
+
+  const pingTimer = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, pingIntervalMs);
+
+  wss.on('close', () => clearInterval(pingTimer));
+
+  console.log(`Fleet stream available at ${path}`);
+  return wss;
+}
+
+module.exports = {
+  attachFleetStream
+};
@@ -0,0 +1,36 @@
+const distance = require('@turf/distance').default;
+
+// Global fallback radius when neither the customer nor the route sets one - a delivery stop is
+// within a few hundred metres of the customer; set a wider radius per customer for large sites
+const DEFAULT_GEOFENCE_RADIUS_KM = parseFloat(process.env.GEOFENCE_RADIUS_KM) || 0.3;
+
+function parseRadius(value) {
+  const radius = parseFloat(value);
+  return Number.isFinite(radius) && radius > 0 ? radius : null;
+}
+
+// Resolve the geofence radius for a customer stop:
+// assigned_customers.geofence_radius_km -> route_plans.geofence_radius_km -> GEOFENCE_RADIUS_KM
+function resolveGeofenceRadiusKm(customer, trip) {
+  return parseRadius(customer && customer.geofence_radius_km)
+    ?? parseRadius(trip && trip.geofence_radius_km)
+    ?? DEFAULT_GEOFENCE_RADIUS_KM;
+}
+
+// Distance in km between a vehicle position ({ lat, lng }) and a customer row
+function distanceToCustomerKm(location, customer) {
+  const vehiclePoint = [parseFloat(location.lng), parseFloat(location.lat)];
+  const customerPoint = [parseFloat(customer.longitude), parseFloat(customer.latitude)];
+  return distance(vehiclePoint, customerPoint, { units: 'kilometers' });
+}
+
+function isWithinGeofence(distanceKm, customer, trip) {
+  return distanceKm <= resolveGeofenceRadiusKm(customer, trip);
+}
+
+module.exports = {
+  DEFAULT_GEOFENCE_RADIUS_KM,
+  resolveGeofenceRadiusKm,
+  distanceToCustomerKm,
+  isWithinGeofence
+};
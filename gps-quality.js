@@ -0,0 +1,179 @@
+const distance = require('@turf/distance').default;
+
+// Checks applied to every fix (comma separated):
+//   null_island, out_of_region, future_time, stale_time, duplicate, out_of_order, impossible_jump, weak_quality
+const GPS_QUALITY_RULES = (process.env.GPS_QUALITY_RULES ??
+  'null_island,out_of_region,future_time,stale_time,duplicate,out_of_order,impossible_jump,weak_quality')
+  .split(',').map(rule => rule.trim()).filter(Boolean);
+// drop: rejected fixes are discarded. tag: they are still written to trip_coordinates with
+// quality_flags (and left out of audits and reconciliation), but never reach trip logic
+const GPS_QUALITY_ACTION = process.env.GPS_QUALITY_ACTION || 'drop';
+// out_of_region: "minLat,minLng,maxLat,maxLng" - unset accepts anywhere
+const GPS_REGION_BOUNDS = process.env.GPS_REGION_BOUNDS || '';
+// future_time / stale_time: LocTime this far ahead of or behind now
+const GPS_MAX_FUTURE_SECONDS = parseFloat(process.env.GPS_MAX_FUTURE_SECONDS) || 120;
+const GPS_MAX_AGE_MINUTES = parseFloat(process.env.GPS_MAX_AGE_MINUTES) || 180;
+// impossible_jump: implied speed from the last accepted fix; after this many jumps in a row that
+// agree with each other (a plausible speed between them) the earlier fix is taken to be the
+// outlier and the vehicle is re-anchored
+const GPS_MAX_SPEED_KMH = parseFloat(process.env.GPS_MAX_SPEED_KMH) || 200;
+const GPS_JUMP_REANCHOR_COUNT = parseInt(process.env.GPS_JUMP_REANCHOR_COUNT, 10) || 3;
+// weak_quality: numeric Quality below the minimum (unset skips), or one of these values
+const GPS_MIN_QUALITY = parseFloat(process.env.GPS_MIN_QUALITY);
+const GPS_WEAK_QUALITY_VALUES = (process.env.GPS_WEAK_QUALITY_VALUES ?? 'poor,bad,invalid,no fix,v')
+  .split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+
+function parseBounds(value) {
+  const bounds = String(value).split(',').map(parseFloat);
+  if (bounds.length !== 4 || bounds.some(n => !Number.isFinite(n))) return null;
+  const [minLat, minLng, maxLat, maxLng] = bounds;
+  return { minLat, minLng, maxLat, maxLng };
+}
+
+// km/h needed to get from one fix to the next - Infinity when no time passed
+function impliedSpeedKmh(from, to) {
+  const seconds = (to.time - from.time) / 1000;
+  if (seconds <= 0) return Infinity;
+  return distance([from.lng, from.lat], [to.lng, to.lat], { units: 'kilometers' }) / (seconds / 3600);
+}
+
+function isWeakQuality(quality, minQuality, weakValues) {
+  const text = quality == null ? '' : String(quality).trim();
+  if (!text) return false; // most units don't report it
+  const number = Number(text);
+  if (Number.isFinite(number)) return Number.isFinite(minQuality) && number < minQuality;
+  return weakValues.includes(text.toLowerCase());
+}
+
+// trip_coordinates rows recorded in tag mode carry quality_flags - leave them out of anything measured
+function isTrustedCoordinate(row) {
+  return !row.quality_flags || row.quality_flags.length === 0;
+}
+
+// Validation stage in front of stop detection and trip logic. check() resolves
+// { accepted, reasons } for one feed message; only accepted fixes become the plate's reference
+// for the duplicate, ordering and jump checks. Counters are kept per plate.
+function createGpsQualityFilter({
+  rules = GPS_QUALITY_RULES,
+  action = GPS_QUALITY_ACTION,
+  regionBounds = GPS_REGION_BOUNDS,
+  maxFutureSeconds = GPS_MAX_FUTURE_SECONDS,
+  maxAgeMinutes = GPS_MAX_AGE_MINUTES,
+  maxSpeedKmh = GPS_MAX_SPEED_KMH,
+  jumpReanchorCount = GPS_JUMP_REANCHOR_COUNT,
+  minQuality = GPS_MIN_QUALITY,
+  weakQualityValues = GPS_WEAK_QUALITY_VALUES,
+  clock = () => new Date()
+} = {}) {
+  const enabled = new Set(rules);
+  const region = regionBounds ? parseBounds(regionBounds) : null;
+  if (regionBounds && !region) console.error(`Ignoring GPS_REGION_BOUNDS "${regionBounds}" - expected minLat,minLng,maxLat,maxLng`);
+
+  const lastAccepted = new Map(); // plate -> { time, lat, lng, jumps, jumpFix }
+  const metrics = {
+    action,
+    rules: [...enabled],
+    checked: 0,
+    accepted: 0,
+    rejected: 0,
+    reasons: {}, // reason -> count
+    plates: {}   // plate -> { checked, rejected, reasons, last_rejected_at, last_reasons }
+  };
+
+  function findProblems(plate, fix, quality) {
+    const reasons = [];
+    const has = rule => enabled.has(rule);
+
+    if (has('null_island') && Math.abs(fix.lat) < 0.0001 && Math.abs(fix.lng) < 0.0001) reasons.push('null_island');
+    if (has('out_of_region') && region &&
+      (fix.lat < region.minLat || fix.lat > region.maxLat || fix.lng < region.minLng || fix.lng > region.maxLng)) {
+      reasons.push('out_of_region');
+    }
+
+    const now = clock();
+    if (has('future_time') && (fix.time - now) / 1000 > maxFutureSeconds) reasons.push('future_time');
+    if (has('stale_time') && (now - fix.time) / 1000 / 60 > maxAgeMinutes) reasons.push('stale_time');
+    if (has('weak_quality') && isWeakQuality(quality, minQuality, weakQualityValues)) reasons.push('weak_quality');
+
+    const last = lastAccepted.get(plate);
+    if (last) {
+      const seconds = (fix.time - last.time) / 1000;
+      if (seconds === 0) {
+        if (has('duplicate')) reasons.push('duplicate');
+      } else if (seconds < 0) {
+        if (has('out_of_order')) reasons.push('out_of_order');
+      } else if (has('impossible_jump') && impliedSpeedKmh(last, fix) > maxSpeedKmh) {
+        reasons.push('impossible_jump');
+      }
+    }
+    return reasons;
+  }
+
+  function count(plate, reasons) {
+    metrics.checked++;
+    const plateMetrics = metrics.plates[plate] || { checked: 0, rejected: 0, reasons: {}, last_rejected_at: null, last_reasons: [] };
+    metrics.plates[plate] = plateMetrics;
+    plateMetrics.checked++;
+
+    if (reasons.length === 0) {
+      metrics.accepted++;
+      return;
+    }
+    metrics.rejected++;
+    plateMetrics.rejected++;
+    plateMetrics.last_rejected_at = clock().toISOString();
+    plateMetrics.last_reasons = reasons;
+    for (const reason of reasons) {
+      metrics.reasons[reason] = (metrics.reasons[reason] || 0) + 1;
+      plateMetrics.reasons[reason] = (plateMetrics.reasons[reason] || 0) + 1;
+    }
+  }
+
+  // locTime is the parsed LocTime; messages without usable coordinates or time are left to the tracker
+  function check(vehicleData, locTime) {
+    const fix = {
+      lat: parseFloat(vehicleData.Latitude),
+      lng: parseFloat(vehicleData.Longitude),
+      time: locTime
+    };
+    if (!Number.isFinite(fix.lat) || !Number.isFinite(fix.lng) || !locTime || isNaN(locTime.getTime())) {
+      return { accepted: true, reasons: [] };
+    }
+
+    const plate = vehicleData.Plate;
+    let reasons = findProblems(plate, fix, vehicleData.Quality);
+
+    const last = lastAccepted.get(plate);
+    if (reasons.length === 1 && reasons[0] === 'impossible_jump') {
+      // Jumps only add up while they agree with each other - scattered outliers start the run again
+      const agrees = last.jumpFix && impliedSpeedKmh(last.jumpFix, fix) <= maxSpeedKmh;
+      last.jumps = agrees ? last.jumps + 1 : 1;
+      last.jumpFix = fix;
+      // The vehicle keeps reporting from "over there" - the earlier fix was the bad one
+      if (last.jumps >= jumpReanchorCount) reasons = [];
+    } else if (last && reasons.length === 0) {
+      last.jumps = 0;
+      last.jumpFix = null;
+    }
+
+    count(plate, reasons);
+    if (reasons.length === 0) lastAccepted.set(plate, { time: fix.time, lat: fix.lat, lng: fix.lng, jumps: 0, jumpFix: null });
+    return { accepted: reasons.length === 0, reasons };
+  }
+
+  function getMetrics(plate) {
+    if (plate) return metrics.plates[plate] ? JSON.parse(JSON.stringify(metrics.plates[plate])) : null;
+    return JSON.parse(JSON.stringify(metrics));
+  }
+
+  return {
+    action,
+    check,
+    getMetrics
+  };
+}
+
+module.exports = {
+  isTrustedCoordinate,
+  createGpsQualityFilter
+};
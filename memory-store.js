@@ -0,0 +1,379 @@
+const { EventEmitter } = require('events');
+
+// In-memory stand-in for the Supabase store - same interface (see store.js), no network.
+// Seed with { route_plans: [...], assigned_customers: [...] } to drive the tracker in tests or replays;
+// clock stands in for the database's NOW() (created_at defaults, complete_trip).
+function createMemoryStore(seed = {}, { clock = () => new Date() } = {}) {
+  const tables = {
+    route_plans: [],
+    assigned_customers: [],
+    trip_coordinates: [],
+    trip_audit: [],
+    route_deviations: [],
+    eta_lateness_events: [],
+    customer_completion_log: [],
+    vehicle_stops: [],
+    stop_matches: [],
+    telemetry_gaps: [],
+    vehicle_track_state: [],
+    depots: [],
+    depot_assignments: [],
+    webhook_endpoints: [],
+    webhook_deliveries: []
+  };
+  for (const [name, rows] of Object.entries(seed)) {
+    tables[name] = rows.map(row => ({ ...row }));
+  }
+
+  const events = new EventEmitter();
+  let nextId = 1;
+
+  const result = (data, error = null) => Promise.resolve({ data, error });
+  const page = (rows, limit, offset) => Promise.resolve({
+    data: rows.slice(offset, offset + limit).map(row => ({ ...row })),
+    count: rows.length,
+    error: null
+  });
+  const copy = rows => rows.map(row => ({ ...row }));
+
+  function insertRows(name, rows) {
+    const inserted = (Array.isArray(rows) ? rows : [rows]).map(row => ({
+      id: nextId++,
+      created_at: clock().toISOString(),
+      ...row
+    }));
+    tables[name].push(...inserted);
+    return inserted;
+  }
+
+  function updateRows(name, matches, fields) {
+    const updated = [];
+    for (const row of tables[name].filter(matches)) {
+      const old = { ...row };
+      Object.assign(row, fields);
+      updated.push({ row, old });
+    }
+    return updated;
+  }
+
+  const trips = {
+    findById(tripId) {
+      const trip = tables.route_plans.find(t => t.trip_id === tripId);
+      return result(trip ? { ...trip } : null);
+    },
+
+    findOpen({ vehiclePlate, started, createdFrom } = {}) {
+      return result(copy(tables.route_plans.filter(t =>
+        !t.actual_end_time &&
+        (!vehiclePlate || t.vehicle_plate === vehiclePlate) &&
+        (!started || t.actual_start_time) &&
+        (!createdFrom || new Date(t.created_at) >= new Date(createdFrom))
+      )));
+    },
+
+    list({ start, end, status, vehiclePlate, limit, offset }) {
+      const rows = tables.route_plans
+        .filter(t =>
+          (!start || new Date(t.created_at) >= new Date(start)) &&
+          (!end || new Date(t.created_at) < new Date(end)) &&
+          (!vehiclePlate || t.vehicle_plate === vehiclePlate) &&
+          (status !== 'planned' || (!t.actual_start_time && !t.actual_end_time)) &&
+          (status !== 'active' || (t.actual_start_time && !t.actual_end_time)) &&
+          (status !== 'completed' || t.actual_end_time)
+        )
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+      return page(rows, limit, offset);
+    },
+
+    findCreatedBetween(start, end) {
+      return result(copy(tables.route_plans.filter(t =>
+        new Date(t.created_at) >= new Date(start) && new Date(t.created_at) < new Date(end)
+      )));
+    },
+
+    insert(trip) {
+      const inserted = insertRows('route_plans', { actual_start_time: null, actual_end_time: null, ...trip });
+      for (const row of inserted) events.emit('trip:insert', { ...row });
+      return result(null);
+    },
+
+    update(tripId, fields) {
+      const updated = updateRows('route_plans', t => t.trip_id === tripId, fields);
+      for (const { row, old } of updated) events.emit('trip:update', { ...row }, old);
+      return result(updated.map(({ row }) => ({ ...row })));
+    },
+
+    // Mirrors the complete_trip SQL function
+    complete(tripId) {
+      const trip = tables.route_plans.find(t => t.trip_id === tripId);
+      if (!trip) return result(null, { message: `Trip ${tripId} not found` });
+      const now = clock();
+      const started = trip.actual_start_time ? new Date(trip.actual_start_time) : now;
+      trips.update(tripId, {
+        actual_end_time: now.toISOString(),
+        actual_duration_minutes: Math.round((now - started) / 1000 / 60),
+        completed: true
+      });
+      return result(null);
+    }
+  };
+
+  const customers = {
+    findByTrip(tripId, { completed } = {}) {
+      return result(copy(tables.assigned_customers.filter(c =>
+        c.trip_id === tripId &&
+        (completed === undefined || Boolean(c.completed) === completed)
+      )));
+    },
+
+    insert(rows) {
+      insertRows('assigned_customers', rows);
+      return result(null);
+    },
+
+    update(tripId, customerCode, fields) {
+      const updated = updateRows('assigned_customers',
+        c => c.trip_id === tripId && c.customer_code === customerCode, fields);
+      return result(updated.map(({ row }) => ({ ...row })));
+    }
+  };
+
+  const coordinates = {
+    findByTrip(tripId) {
+      return result(copy(tables.trip_coordinates
+        .filter(c => c.trip_id === tripId)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))));
+    },
+
+    list(tripId, { from, to, limit, offset }) {
+      const rows = tables.trip_coordinates
+        .filter(c =>
+          c.trip_id === tripId &&
+          (!from || new Date(c.timestamp) >= new Date(from)) &&
+          (!to || new Date(c.timestamp) < new Date(to))
+        )
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      return page(rows, limit, offset);
+    },
+
+    insert(rows) {
+      insertRows('trip_coordinates', rows);
+      return result(null);
+    }
+  };
+
+  const audits = {
+    upsert(row) {
+      const existing = tables.trip_audit.find(a => a.trip_id === row.trip_id);
+      if (existing) {
+        Object.assign(existing, row);
+      } else {
+        insertRows('trip_audit', row);
+      }
+      return result(null);
+    }
+  };
+
+  const deviations = {
+    findByTrip(tripId) {
+      return result(copy(tables.route_deviations
+        .filter(d => d.trip_id === tripId)
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))));
+    },
+
+    insert(row) {
+      const [inserted] = insertRows('route_deviations', row);
+      return result({ ...inserted });
+    },
+
+    update(id, fields) {
+      const updated = updateRows('route_deviations', d => d.id === id, fields);
+      return result(updated.map(({ row }) => ({ ...row })));
+    }
+  };
+
+  const latenessEvents = {
+    findByTrip(tripId) {
+      return result(copy(tables.eta_lateness_events
+        .filter(e => e.trip_id === tripId)
+        .sort((a, b) => new Date(a.detected_at) - new Date(b.detected_at))));
+    },
+
+    insert(row) {
+      insertRows('eta_lateness_events', row);
+      return result(null);
+    }
+  };
+
+  const completionLog = {
+    findByTrip(tripId) {
+      return result(copy(tables.customer_completion_log.filter(e => e.trip_id === tripId)));
+    },
+
+    insert(row) {
+      insertRows('customer_completion_log', row);
+      return result(null);
+    }
+  };
+
+  const vehicleStops = {
+    findOpen() {
+      return result(copy(tables.vehicle_stops
+        .filter(s => !s.end_time)
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))));
+    },
+
+    findByTrip(tripId) {
+      return result(copy(tables.vehicle_stops
+        .filter(s => s.trip_id === tripId)
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))));
+    },
+
+    insert(row) {
+      const [inserted] = insertRows('vehicle_stops', row);
+      return result({ ...inserted });
+    },
+
+    update(id, fields) {
+      const updated = updateRows('vehicle_stops', s => s.id === id, fields);
+      return result(updated.map(({ row }) => ({ ...row })));
+    }
+  };
+
+  const stopMatches = {
+    upsert(row) {
+      // Like the unique index, stops without an id never conflict
+      const existing = row.vehicle_stop_id != null &&
+        tables.stop_matches.find(m => m.vehicle_stop_id === row.vehicle_stop_id);
+      if (existing) {
+        Object.assign(existing, row);
+      } else {
+        insertRows('stop_matches', row);
+      }
+      return result(null);
+    }
+  };
+
+  const telemetryGaps = {
+    insert(row) {
+      insertRows('telemetry_gaps', row);
+      return result(null);
+    }
+  };
+
+  const trackState = {
+    findByPlate(vehiclePlate) {
+      const row = tables.vehicle_track_state.find(r => r.vehicle_plate === vehiclePlate);
+      return result(row ? { ...row } : null);
+    },
+
+    upsert(row) {
+      const existing = tables.vehicle_track_state.find(r => r.vehicle_plate === row.vehicle_plate);
+      if (existing) {
+        Object.assign(existing, row);
+      } else {
+        insertRows('vehicle_track_state', row);
+      }
+      return result(null);
+    }
+  };
+
+  const depots = {
+    list() {
+      return result(tables.depots.map(depot => ({
+        ...depot,
+        depot_assignments: copy(tables.depot_assignments.filter(a => a.depot_id === depot.id))
+      })));
+    }
+  };
+
+  const webhookEndpoints = {
+    list({ active } = {}) {
+      return result(copy(tables.webhook_endpoints.filter(e => active === undefined || e.active === active)));
+    },
+
+    findById(id) {
+      const endpoint = tables.webhook_endpoints.find(e => e.id === id);
+      return result(endpoint ? { ...endpoint } : null);
+    },
+
+    insert(row) {
+      const [inserted] = insertRows('webhook_endpoints', { active: true, ...row });
+      return result({ ...inserted });
+    },
+
+    update(id, fields) {
+      const [updated] = updateRows('webhook_endpoints', e => e.id === id, fields);
+      return result(updated ? { ...updated.row } : null);
+    },
+
+    remove(id) {
+      tables.webhook_endpoints = tables.webhook_endpoints.filter(e => e.id !== id);
+      for (const delivery of tables.webhook_deliveries) {
+        if (delivery.endpoint_id === id) delivery.endpoint_id = null;
+      }
+      return result(null);
+    }
+  };
+
+  const webhookDeliveries = {
+    list({ endpointId, eventType, status, tripId, from, to, limit, offset }) {
+      const rows = tables.webhook_deliveries
+        .filter(d =>
+          (!endpointId || d.endpoint_id === endpointId) &&
+          (!eventType || d.event_type === eventType) &&
+          (!status || d.status === status) &&
+          (!tripId || d.trip_id === tripId) &&
+          (!from || new Date(d.created_at) >= new Date(from)) &&
+          (!to || new Date(d.created_at) < new Date(to))
+        )
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at) || b.id - a.id);
+      return page(rows, limit, offset);
+    },
+
+    findById(id) {
+      const delivery = tables.webhook_deliveries.find(d => d.id === id);
+      return result(delivery ? { ...delivery } : null);
+    },
+
+    findDue(now, limit) {
+      return result(copy(tables.webhook_deliveries
+        .filter(d => d.status === 'pending' && new Date(d.next_attempt_at) <= new Date(now))
+        .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at))
+        .slice(0, limit)));
+    },
+
+    insert(rows) {
+      return result(copy(insertRows('webhook_deliveries', rows)));
+    },
+
+    update(id, fields) {
+      const updated = updateRows('webhook_deliveries', d => d.id === id, fields);
+      return result(updated.map(({ row }) => ({ ...row })));
+    },
+
+    updatePending(endpointId, fields) {
+      const updated = updateRows('webhook_deliveries', d => d.endpoint_id === endpointId && d.status === 'pending', fields);
+      return result(updated.map(({ row }) => ({ ...row })));
+    }
+  };
+
+  const changes = {
+    subscribe({ onTripCreated, onTripUpdated }) {
+      if (onTripCreated) events.on('trip:insert', onTripCreated);
+      if (onTripUpdated) events.on('trip:update', onTripUpdated);
+      return {
+        unsubscribe() {
+          if (onTripCreated) events.off('trip:insert', onTripCreated);
+          if (onTripUpdated) events.off('trip:update', onTripUpdated);
+        }
+      };
+    }
+  };
+
+  return { tables, trips, customers, coordinates, audits, deviations, latenessEvents, completionLog, vehicleStops, stopMatches, telemetryGaps, trackState, depots, webhookEndpoints, webhookDeliveries, changes };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,450 @@
+require('dotenv').config();
+const { parseArgs } = require('util');
+const distance = require('@turf/distance').default;
+const { resolveGeofenceRadiusKm } = require('./geofence');
+const { isTrustedCoordinate } = require('./gps-quality');
+const { createStopDetector } = require('./stop-detector');
+const { MIN_STOP_MINUTES, matchStopToCustomer } = require('./stop-matcher');
+const { generateTripAudit } = require('./trip-audit');
+const { DEFAULT_TIMEZONE, tripTimezone, operatingDay, dayBoundsUtc, zonedTimeToUtc, tripOperatingDay } = require('./trip-day');
+const { createStore } = require('./store');
+const { createTripTracker } = require('./trip-tracker');
+const { createWebhookDispatcher } = require('./webhooks');
+
+const USAGE = `Reconcile customer completions against recorded trip_coordinates.
+
+Usage: node reconcile.js <complete|retime|report> [options]
+
+  complete   Find the vehicle's stops in the recorded track and match them to incomplete
+             customers with the live stop matcher (driving past completes nobody); matched
+             customers are completed at the stop's arrival time with customer:completed
+             webhooks, then trips that are done are completed and audited the way the tracker does
+  retime     Set completed_at to the closest recorded position for completions
+             that have no GPS arrival time
+  report     Closest approach for every customer and what complete would do - changes nothing
+
+  --date <YYYY-MM-DD>       Operating day (default: today in --timezone)
+  --from <YYYY-MM-DD>       First day of a range (with --to, inclusive)
+  --to <YYYY-MM-DD>         Last day of a range
+  --timezone <tz>           Timezone used to pick trips by created_at (default: ${DEFAULT_TIMEZONE})
+  --window <HH:MM-HH:MM>    Only use positions in this local time window, either end optional
+                            (e.g. 11:11-15:00, 15:00-). Default: the whole day
+  --trip <trip_id>          Only this trip
+  --plate <plate>           Only this vehicle
+  --radius <km>             Geofence radius override (default: customer, trip, then GEOFENCE_RADIUS_KM)
+  --dry-run                 Report what complete/retime would change without writing
+  --format <json|csv>       Output format on stdout (default: json)
+  --help
+
+Progress is logged to stderr; stdout carries only the results.`;
+
+const COMMANDS = ['complete', 'retime', 'report'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+const MAX_RANGE_DAYS = 92;
+const PAGE_SIZE = 1000;
+
+const CSV_COLUMNS = [
+  'day', 'trip_id', 'vehicle_plate', 'customer_code', 'action', 'was_completed',
+  'closest_distance_km', 'radius_km', 'closest_time', 'completed_at_before', 'completed_at_after', 'reason', 'error'
+];
+
+const log = (...args) => console.error(...args);
+
+class UsageError extends Error {}
+
+function daysInRange(from, to) {
+  const days = [];
+  const cursor = new Date(`${from}T00:00:00Z`);
+  const last = new Date(`${to}T00:00:00Z`);
+  if (isNaN(cursor.getTime()) || isNaN(last.getTime())) throw new UsageError('Dates must be YYYY-MM-DD');
+  if (cursor > last) throw new UsageError('--from must not be after --to');
+  while (cursor <= last) {
+    days.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  if (days.length > MAX_RANGE_DAYS) throw new UsageError(`Date range is limited to ${MAX_RANGE_DAYS} days`);
+  return days;
+}
+
+function parseWindow(value) {
+  if (!value) return { start: null, end: null };
+  const [start, end, extra] = value.split('-').map(part => part.trim());
+  if (extra !== undefined || end === undefined) throw new UsageError('--window must look like HH:MM-HH:MM');
+  for (const time of [start, end]) {
+    if (time && !TIME_PATTERN.test(time)) throw new UsageError(`--window time "${time}" must be HH:MM`);
+  }
+  return { start: start || null, end: end || null };
+}
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      date: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      timezone: { type: 'string', default: DEFAULT_TIMEZONE },
+      window: { type: 'string' },
+      trip: { type: 'string' },
+      plate: { type: 'string' },
+      radius: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      format: { type: 'string', default: 'json' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+
+  const [command, ...rest] = positionals;
+  if (!COMMANDS.includes(command) || rest.length > 0) {
+    throw new UsageError(`Expected one command: ${COMMANDS.join(', ')}`);
+  }
+  if (!['json', 'csv'].includes(values.format)) throw new UsageError('--format must be json or csv');
+
+  let days;
+  if (values.date && (values.from || values.to)) throw new UsageError('Use --date or --from/--to, not both');
+  if (values.from || values.to) {
+    if (!values.from || !values.to) throw new UsageError('--from and --to go together');
+    if (!DAY_PATTERN.test(values.from) || !DAY_PATTERN.test(values.to)) throw new UsageError('Dates must be YYYY-MM-DD');
+    days = daysInRange(values.from, values.to);
+  } else if (values.date) {
+    if (!DAY_PATTERN.test(values.date)) throw new UsageError('--date must be YYYY-MM-DD');
+    days = daysInRange(values.date, values.date);
+  } else {
+    days = [operatingDay(new Date(), values.timezone)];
+  }
+
+  let radiusKm = null;
+  if (values.radius !== undefined) {
+    radiusKm = parseFloat(values.radius);
+    if (!(radiusKm > 0)) throw new UsageError('--radius must be a positive number of km');
+  }
+
+  return {
+    command,
+    days,
+    timezone: values.timezone,
+    window: parseWindow(values.window),
+    tripId: values.trip || null,
+    plate: values.plate || null,
+    radiusKm,
+    dryRun: values['dry-run'] || command === 'report',
+    format: values.format
+  };
+}
+
+// Positions inside the trip's local time window, oldest first
+async function loadTrack(store, trip, window) {
+  const day = tripOperatingDay(trip);
+  const timezone = tripTimezone(trip);
+  const bounds = dayBoundsUtc(day, timezone);
+  const from = window.start ? zonedTimeToUtc(day, window.start, timezone).toISOString() : bounds.start;
+  const to = window.end ? zonedTimeToUtc(day, window.end, timezone).toISOString() : bounds.end;
+
+  const track = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await store.coordinates.list(trip.trip_id, { from, to, limit: PAGE_SIZE, offset });
+    if (error) throw new Error(`Error loading coordinates for trip ${trip.trip_id}: ${error.message}`);
+    // Fixes tagged by the GPS quality filter can't complete or retime anyone
+    track.push(...(data || []).filter(isTrustedCoordinate));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return track;
+}
+
+function closestApproach(customer, track) {
+  const customerPoint = [parseFloat(customer.longitude), parseFloat(customer.latitude)];
+  let closest = null;
+  for (const coord of track) {
+    const km = distance([parseFloat(coord.longitude), parseFloat(coord.latitude)], customerPoint, { units: 'kilometers' });
+    if (!closest || km < closest.distanceKm) closest = { distanceKm: km, timestamp: coord.timestamp };
+  }
+  return closest;
+}
+
+// Stops in the recorded track, found by the live stop detector - a stop still going at the end of
+// the track ends at its last position. Only stops long enough to complete a customer are kept
+function detectStops(track) {
+  const detector = createStopDetector();
+  const stops = [];
+  let current = null;
+  for (const coord of track) {
+    const { transition, stop } = detector.update('track', {
+      lat: parseFloat(coord.latitude),
+      lng: parseFloat(coord.longitude),
+      speed: parseFloat(coord.speed) || 0,
+      time: new Date(coord.timestamp)
+    });
+    if (transition === 'end') {
+      stops.push({ start: stop.start, end: stop.end, location: stop.centroid });
+      current = null;
+    } else {
+      current = stop;
+    }
+  }
+  if (current) stops.push({ start: current.start, end: current.lastTime, location: current.centroid });
+  return stops.filter(stop => (stop.end - stop.start) / 1000 / 60 >= MIN_STOP_MINUTES);
+}
+
+// Which incomplete customer each stop served, stop by stop, decided by the live stop matcher.
+// Resolves a Map customer_code -> { decision: 'completed' | 'review', stop, reason }
+function matchStops(stops, customers, trip, radiusKm) {
+  let open = customers
+    .filter(c => !c.completed)
+    .map(c => (radiusKm ? { ...c, geofence_radius_km: radiusKm } : c));
+  const outcomes = new Map();
+  for (const stop of stops) {
+    if (open.length === 0) break;
+    const match = matchStopToCustomer({
+      location: stop.location,
+      stopDurationMinutes: (stop.end - stop.start) / 1000 / 60,
+      customers: open,
+      trip
+    });
+    if (!match.customer) continue;
+    const code = match.customer.customer_code;
+    if (match.decision === 'completed') {
+      outcomes.set(code, { decision: 'completed', stop, reason: match.reason });
+      open = open.filter(c => c.customer_code !== code);
+    } else if (!outcomes.has(code)) {
+      outcomes.set(code, { decision: 'review', stop, reason: match.reason });
+    }
+  }
+  return outcomes;
+}
+
+// Which customers a command looks at
+function selectCustomers(command, customers) {
+  if (command === 'complete') return customers.filter(c => !c.completed);
+  // Live stops already record GPS arrival time - only retime completions without one
+  if (command === 'retime') return customers.filter(c => c.completed && c.completed_at && !c.actual_arrival_time);
+  return customers;
+}
+
+// complete: the stop that served the customer, through the tracker; retime: the closest position's time
+async function applyChange(store, tracker, options, trip, customer, row, { time, stop, reason }) {
+  if (options.dryRun) {
+    row.action = options.command === 'complete' ? 'would_complete' : 'would_retime';
+    row.completed_at_after = time;
+    return;
+  }
+
+  const { error } = options.command === 'complete'
+    ? await tracker.completeCustomerFromStop(trip.trip_id, trip.vehicle_plate, customer.customer_code, stop, { reason })
+    : await store.customers.update(trip.trip_id, customer.customer_code, { completed_at: time });
+  if (error) {
+    row.action = 'error';
+    row.error = error.message;
+    log(`❌ Error updating customer ${customer.customer_code}:`, error.message);
+    return;
+  }
+  row.action = options.command === 'complete' ? 'completed' : 'retimed';
+  row.completed_at_after = time;
+  log(`✅ ${row.action} ${customer.customer_code} at ${time}${reason ? ` - ${reason}` : ''}`);
+}
+
+async function reconcileTrip(store, tracker, options, day, trip) {
+  const { data: customers, error } = await store.customers.findByTrip(trip.trip_id);
+  if (error) throw new Error(`Error loading customers for trip ${trip.trip_id}: ${error.message}`);
+
+  const selected = selectCustomers(options.command, customers || []);
+  if (selected.length === 0) return [];
+
+  const track = await loadTrack(store, trip, options.window);
+  log(`🚛 Trip ${trip.trip_id} (${trip.vehicle_plate}): ${selected.length} customers, ${track.length} positions`);
+  const outcomes = options.command === 'retime'
+    ? new Map()
+    : matchStops(detectStops(track), customers || [], trip, options.radiusKm);
+
+  const rows = [];
+  for (const customer of selected) {
+    const radiusKm = options.radiusKm || resolveGeofenceRadiusKm(customer, trip);
+    const row = {
+      day,
+      trip_id: trip.trip_id,
+      vehicle_plate: trip.vehicle_plate,
+      customer_code: customer.customer_code,
+      action: 'none',
+      was_completed: Boolean(customer.completed),
+      closest_distance_km: null,
+      radius_km: radiusKm,
+      closest_time: null,
+      completed_at_before: customer.completed_at || null,
+      completed_at_after: customer.completed_at || null,
+      reason: null,
+      error: null
+    };
+    rows.push(row);
+
+    if (!customer.latitude || !customer.longitude) {
+      row.action = 'skipped';
+      row.error = 'Customer has no coordinates';
+      continue;
+    }
+
+    const closest = closestApproach(customer, track);
+    if (closest) {
+      row.closest_distance_km = Number(closest.distanceKm.toFixed(3));
+      row.closest_time = closest.timestamp;
+    }
+
+    if (options.command === 'retime') {
+      if (!closest || closest.distanceKm > radiusKm) continue;
+      // Already at the GPS time - reruns change nothing
+      if (new Date(customer.completed_at).getTime() === new Date(closest.timestamp).getTime()) continue;
+      await applyChange(store, tracker, options, trip, customer, row, { time: closest.timestamp });
+      continue;
+    }
+
+    const outcome = outcomes.get(customer.customer_code);
+    if (!outcome) continue;
+    row.reason = outcome.reason;
+    if (outcome.decision === 'review') {
+      row.action = 'review';
+      continue;
+    }
+    if (options.command === 'report') {
+      row.action = 'would_complete';
+      continue;
+    }
+    await applyChange(store, tracker, options, trip, customer, row, {
+      time: outcome.stop.start.toISOString(),
+      stop: outcome.stop,
+      reason: outcome.reason
+    });
+  }
+  return rows;
+}
+
+// Customers completed here count like live completions: a trip with every customer done is completed
+// and audited by the tracker's own checkTripCompletion; one that already ended gets its audit regenerated
+async function finishReconciledTrip(store, tracker, trip) {
+  try {
+    if (await tracker.checkTripCompletion(trip.trip_id)) return true;
+    const { data: current, error } = await store.trips.findById(trip.trip_id);
+    if (error) throw new Error(error.message);
+    if (current && current.actual_end_time) await generateTripAudit(store, trip.trip_id);
+  } catch (error) {
+    log(`❌ Error finishing trip ${trip.trip_id}:`, error.message);
+  }
+  return false;
+}
+
+// webhooks: dispatcher that the tracker's events (customer:completed, trip:completed) are queued to
+async function reconcile(store, options, { webhooks = null } = {}) {
+  const rows = [];
+  let tripCount = 0;
+  let tripsCompleted = 0;
+  // No retry file - the server's coordinate queue is not this script's to drain
+  const tracker = options.command === 'complete' && !options.dryRun
+    ? createTripTracker(store, { coordinateRetryFile: null })
+    : null;
+  const queuedEvents = [];
+  if (tracker && webhooks) tracker.events.on('event', event => queuedEvents.push(webhooks.handleEvent(event)));
+
+  try {
+    for (const day of options.days) {
+      const { start, end } = dayBoundsUtc(day, options.timezone);
+      const { data: trips, error } = await store.trips.findCreatedBetween(start, end);
+      if (error) throw new Error(`Error loading trips for ${day}: ${error.message}`);
+
+      const selected = (trips || []).filter(t =>
+        (!options.tripId || t.trip_id === options.tripId) &&
+        (!options.plate || t.vehicle_plate === options.plate)
+      );
+      log(`📅 ${day}: ${selected.length} trips`);
+
+      for (const trip of selected) {
+        tripCount++;
+        const tripRows = await reconcileTrip(store, tracker, options, day, trip);
+        rows.push(...tripRows);
+        if (tracker && tripRows.some(r => r.action === 'completed') && await finishReconciledTrip(store, tracker, trip)) {
+          tripsCompleted++;
+        }
+      }
+    }
+  } finally {
+    await Promise.all(queuedEvents);
+    if (tracker) await tracker.coordinateWriter.close();
+  }
+
+  const countAction = action => rows.filter(r => r.action === action).length;
+  return {
+    command: options.command,
+    days: options.days,
+    timezone: options.timezone,
+    window: options.window,
+    dry_run: options.dryRun,
+    summary: {
+      trips: tripCount,
+      customers_checked: rows.length,
+      completed: countAction('completed'),
+      trips_completed: tripsCompleted,
+      retimed: countAction('retimed'),
+      would_complete: countAction('would_complete'),
+      would_retime: countAction('would_retime'),
+      review: countAction('review'),
+      skipped: countAction('skipped'),
+      errors: countAction('error')
+    },
+    results: rows
+  };
+}
+
+function csvValue(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) lines.push(CSV_COLUMNS.map(column => csvValue(row[column])).join(','));
+  return lines.join('\n');
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // The tracker and audit log progress with console.log - send it to stderr with ours
+  const print = console.log;
+  console.log = log;
+
+  const store = createStore();
+  // Completions send webhooks like live ones; deliveries that fail are retried by the server
+  const webhooks = options.command === 'complete' && !options.dryRun ? createWebhookDispatcher(store) : null;
+  try {
+    const report = await reconcile(store, options, { webhooks });
+    print(options.format === 'csv' ? toCsv(report.results) : JSON.stringify(report, null, 2));
+    log(`🎉 ${options.command} finished: ${JSON.stringify(report.summary)}`);
+    if (report.summary.errors > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('💥 Reconciliation error:', error);
+    process.exitCode = 1;
+  } finally {
+    if (webhooks) await webhooks.close();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseOptions,
+  reconcile
+};
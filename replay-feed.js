@@ -0,0 +1,277 @@
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { parseLocTime } = require('./trip-day');
+const { createStore } = require('./store');
+const { createMemoryStore } = require('./memory-store');
+const { createTripTracker } = require('./trip-tracker');
+const { createFeedIngest } = require('./feed-ingest');
+const { parseEpsFrame } = require('./eps-parser');
+
+const USAGE = `Replay a recorded feed through the trip tracker. One message per line: relay JSON
+(as in data-snippet.json) or a raw ^...^ EPS frame.
+
+Usage: node replay-feed.js <recording.jsonl> [options]
+
+  --mode <mode>    realtime | accelerated | fast (default: fast)
+                     realtime     original gaps between messages
+                     accelerated  gaps divided by --speed
+                     fast         no waiting
+  --speed <n>      Speed-up factor for accelerated mode (default: 60)
+  --store <type>   memory | supabase (default: memory)
+  --seed <file>    JSON { route_plans: [...], assigned_customers: [...] } to load into the memory store
+  --plates <list>  Only replay these plates (comma separated)
+  --help`;
+
+const MODES = ['realtime', 'accelerated', 'fast'];
+
+// A line is relay JSON or a raw EPS frame; null when it is neither
+function decodeLine(line) {
+  if (line.startsWith('^')) return parseEpsFrame(line).data;
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Pace by when the message was received (timestamp), falling back to GPS time
+function messageTime(message) {
+  const received = message.timestamp ? new Date(message.timestamp) : null;
+  if (received && !isNaN(received.getTime())) return received;
+  const locTime = message.LocTime ? parseLocTime(message.LocTime) : null;
+  return locTime && !isNaN(locTime.getTime()) ? locTime : null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function* readRecording(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) yield line.trim();
+  }
+}
+
+function loadSeed(file, startTime) {
+  if (!file) return {};
+  const seed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Seeded trips without created_at belong to the recording's operating day
+  seed.route_plans = (seed.route_plans || []).map(trip => ({
+    created_at: startTime.toISOString(),
+    ...trip
+  }));
+  return seed;
+}
+
+async function firstMessageTime(file) {
+  for await (const line of readRecording(file)) {
+    const message = decodeLine(line);
+    const time = message && messageTime(message);
+    if (time) return time;
+  }
+  return new Date();
+}
+
+function printSummary({ stats, stops, completions, tripChanges, trips }) {
+  console.log('\n📼 Replay summary');
+  console.log(`Messages: ${stats.replayed} replayed, ${stats.skipped} skipped, ${stats.malformed} malformed (quarantined)`);
+  if (stats.firstTime) {
+    console.log(`Recording: ${stats.firstTime.toISOString()} → ${stats.lastTime.toISOString()}`);
+  }
+  console.log(`Wall time: ${((Date.now() - stats.startedAt) / 1000).toFixed(1)}s`);
+
+  console.log(`\n🛑 Stops (${stops.length})`);
+  for (const stop of stops) {
+    const customer = stop.customer_code ? ` → customer ${stop.customer_code}` : '';
+    const end = stop.stop_end ? stop.stop_end : 'still stopped';
+    console.log(`  ${stop.plate}  ${stop.stop_start} → ${end}  ${stop.duration_minutes != null ? stop.duration_minutes + 'min' : ''}${customer}`);
+  }
+
+  console.log(`\n✅ Completions (${completions.length})`);
+  for (const completion of completions) {
+    console.log(`  ${completion.plate || '-'}  trip ${completion.trip_id}  customer ${completion.customer_code}  (${completion.source || 'live_stop'})`);
+  }
+
+  console.log(`\n🚛 Trip state changes (${tripChanges.length})`);
+  for (const change of tripChanges) {
+    const reason = change.reason ? `  (${change.status}: ${change.reason})` : '';
+    console.log(`  ${change.type}  trip ${change.trip_id}  ${change.plate || ''}${reason}`);
+  }
+
+  if (trips.length > 0) {
+    console.log('\n📋 Trips');
+    for (const trip of trips) {
+      console.log(`  ${trip.trip_id}  ${trip.vehicle_plate}  start ${trip.actual_start_time || '-'}  end ${trip.actual_end_time || '-'}  ${trip.completed}/${trip.total} customers`);
+    }
+  }
+}
+
+// Resolves the summary it prints: { stats, stops, completions, tripChanges, trips }
+async function replayFeed(file, { mode, speed, storeType, seedFile, plates }) {
+  const startTime = await firstMessageTime(file);
+
+  // The tracker and store read the recording's clock, not the wall clock
+  let replayClock = startTime;
+  const clock = () => new Date(replayClock);
+  const store = storeType === 'memory'
+    ? createMemoryStore(loadSeed(seedFile, startTime), { clock })
+    : createStore(storeType);
+  // Retry queue and quarantine of its own - the server's files in data/ are never touched
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-feed-'));
+  const retryFile = path.join(workDir, 'coordinate-retry-queue.jsonl');
+  const quarantineFile = path.join(workDir, 'feed-quarantine.jsonl');
+  const tracker = createTripTracker(store, { clock, coordinateRetryFile: retryFile });
+  const ingest = createFeedIngest(tracker, { quarantineFile });
+
+  const stats = { replayed: 0, skipped: 0, firstTime: null, lastTime: null, startedAt: Date.now() };
+  const openStops = new Map(); // plate -> stop:start event
+  const stops = [];
+  const completions = [];
+  const tripChanges = [];
+
+  tracker.events.on('event', (event) => {
+    if (event.type === 'stop:start') {
+      openStops.set(event.plate, event);
+    } else if (event.type === 'stop:end') {
+      openStops.delete(event.plate);
+      stops.push(event);
+    } else if (event.type === 'customer:completed') {
+      completions.push(event);
+    } else if (event.type.startsWith('trip:')) {
+      tripChanges.push(event);
+    }
+  });
+
+  let previousTime = null;
+  let lastSweep = null;
+  for await (const line of readRecording(file)) {
+    const message = decodeLine(line);
+
+    if (message && plates.length > 0 && !plates.includes(message.Plate)) {
+      stats.skipped++;
+      continue;
+    }
+
+    const time = message && messageTime(message);
+    if (time) {
+      if (previousTime && mode !== 'fast') {
+        const gapMs = Math.max(0, time - previousTime);
+        await sleep(mode === 'realtime' ? gapMs : gapMs / speed);
+      }
+      previousTime = time;
+      replayClock = time;
+      stats.firstTime = stats.firstTime || time;
+      stats.lastTime = time;
+    }
+
+    // Same path as a live feed message - malformed lines are quarantined there
+    await ingest.handleMessage(line, 'replay');
+    stats.replayed++;
+
+    // The server's close sweep, once per minute of recording time
+    if (time && (!lastSweep || time - lastSweep >= 60000)) {
+      lastSweep = time;
+      await tracker.closeOverdueTrips();
+    }
+  }
+
+  await tracker.coordinateWriter.close();
+  await ingest.flush();
+
+  // Stops still open when the recording ended
+  for (const stop of openStops.values()) stops.push({ ...stop, stop_end: null, duration_minutes: null });
+
+  const tripIds = new Set([...tripChanges, ...completions].map(e => e.trip_id).filter(Boolean));
+  if (store.tables) {
+    for (const trip of store.tables.route_plans) tripIds.add(trip.trip_id);
+  }
+  const trips = [];
+  for (const tripId of tripIds) {
+    const { data: trip } = await store.trips.findById(tripId);
+    if (!trip) continue;
+    const { data: customers } = await store.customers.findByTrip(tripId);
+    trips.push({
+      ...trip,
+      completed: (customers || []).filter(c => c.completed).length,
+      total: (customers || []).length
+    });
+  }
+
+  for (const tripId of [...tracker.activeTrips.keys()]) await tracker.stopTripMonitoring(tripId);
+
+  const summary = { stats: { ...stats, malformed: ingest.getMetrics().malformed }, stops, completions, tripChanges, trips };
+  printSummary(summary);
+
+  // Keep the work directory only if there is something in it to look at
+  const { pending_retry: pendingRetry } = await tracker.coordinateWriter.getMetrics();
+  if (pendingRetry > 0 || fs.existsSync(quarantineFile)) {
+    console.log(`\n📁 Unwritten coordinates and quarantined lines are in ${workDir}`);
+  } else {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+  return summary;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs({
+      allowPositionals: true,
+      options: {
+        mode: { type: 'string', default: 'fast' },
+        speed: { type: 'string', default: '60' },
+        store: { type: 'string', default: 'memory' },
+        seed: { type: 'string' },
+        plates: { type: 'string' },
+        help: { type: 'boolean', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  const { values, positionals } = options;
+  const speed = parseFloat(values.speed);
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+  if (!MODES.includes(values.mode)) {
+    console.error(`--mode must be one of ${MODES.join(', ')}`);
+    process.exit(1);
+  }
+  if (!(speed > 0)) {
+    console.error('--speed must be a positive number');
+    process.exit(1);
+  }
+  if (values.seed && values.store !== 'memory') {
+    console.error('--seed only applies to --store memory');
+    process.exit(1);
+  }
+
+  replayFeed(positionals[0], {
+    mode: values.mode,
+    speed,
+    storeType: values.store,
+    seedFile: values.seed,
+    plates: values.plates ? values.plates.split(',').map(p => p.trim()).filter(Boolean) : []
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Replay failed:', error);
+      process.exit(1);
+    });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  replayFeed
+};
@@ -0,0 +1,190 @@
+const distance = require('@turf/distance').default;
+const nearestPointOnLine = require('@turf/nearest-point-on-line').default;
+const { lineString, point } = require('@turf/helpers');
+
+// Half-width of the corridor around the planned route
+const ROUTE_CORRIDOR_KM = parseFloat(process.env.ROUTE_CORRIDOR_KM) || 0.2;
+// How long (GPS time) a vehicle must stay outside the corridor before a deviation opens
+const DEVIATION_MIN_MINUTES = parseFloat(process.env.DEVIATION_MIN_MINUTES) || 2;
+
+// route_plans.route_coordinates is JSONB [[lng, lat], ...] (Mapbox road path)
+function parseRouteLine(routeCoordinates) {
+  let coordinates = routeCoordinates;
+  if (typeof coordinates === 'string') {
+    try {
+      coordinates = JSON.parse(coordinates);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!Array.isArray(coordinates)) return null;
+  const valid = coordinates
+    .map(c => [parseFloat(c[0]), parseFloat(c[1])])
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+  return valid.length >= 2 ? lineString(valid) : null;
+}
+
+// Offset from the planned line and how far along it (km) the nearest point lies
+function measureAgainstRoute(routeLine, location) {
+  const nearest = nearestPointOnLine(routeLine, point([parseFloat(location.lng), parseFloat(location.lat)]), { units: 'kilometers' });
+  return { offsetKm: nearest.properties.dist, alongKm: nearest.properties.location };
+}
+
+function segmentKm(from, to) {
+  return distance([from.lng, from.lat], [to.lng, to.lat], { units: 'kilometers' });
+}
+
+// Average offset of a recorded track from the planned route - the "Route Deviation" metric
+function averageRouteOffsetKm(routeCoordinates, coordinates) {
+  const routeLine = parseRouteLine(routeCoordinates);
+  if (!routeLine || coordinates.length === 0) return null;
+  const total = coordinates.reduce((sum, c) =>
+    sum + measureAgainstRoute(routeLine, { lat: c.latitude, lng: c.longitude }).offsetKm, 0);
+  return total / coordinates.length;
+}
+
+function summarizeDeviations(deviations) {
+  return {
+    deviation_count: deviations.length,
+    open_deviations: deviations.filter(d => !d.end_time).length,
+    total_off_route_minutes: Number(deviations.reduce((sum, d) => sum + (Number(d.duration_minutes) || 0), 0).toFixed(1)),
+    total_extra_distance_km: Number(deviations.reduce((sum, d) => sum + (Number(d.extra_distance_km) || 0), 0).toFixed(3)),
+    max_offset_km: Number(Math.max(0, ...deviations.map(d => Number(d.max_offset_km) || 0)).toFixed(3))
+  };
+}
+
+// Watches recorded positions for sustained driving outside the planned route corridor
+function createRouteDeviationMonitor(store) {
+  const routes = new Map(); // tripId -> lineString | null (no planned path)
+  const state = new Map(); // tripId -> { candidate, deviation }
+
+  async function getRouteLine(tripId) {
+    if (!routes.has(tripId)) {
+      const { data: trip } = await store.trips.findById(tripId);
+      routes.set(tripId, trip ? parseRouteLine(trip.route_coordinates) : null);
+    }
+    return routes.get(tripId);
+  }
+
+  async function openDeviation(tripId, vehiclePlate, candidate) {
+    const row = {
+      trip_id: tripId,
+      vehicle_plate: vehiclePlate,
+      start_time: candidate.startTime.toISOString(),
+      start_latitude: candidate.startLocation.lat,
+      start_longitude: candidate.startLocation.lng,
+      max_offset_km: Number(candidate.maxOffsetKm.toFixed(3))
+    };
+    const { data, error } = await store.deviations.insert(row);
+    if (error) {
+      console.error(`Error opening route deviation for trip ${tripId}:`, error);
+    } else {
+      console.log(`↪️ Trip ${tripId} off route since ${row.start_time} (${row.max_offset_km}km from planned path)`);
+    }
+    return { ...candidate, id: data ? data.id : null };
+  }
+
+  // exit: { time, location, alongKm } - back in the corridor, or the last position when the trip ended
+  async function closeDeviation(tripId, deviation, exit, { tripEnded = false } = {}) {
+    const durationMinutes = (exit.time - deviation.startTime) / 1000 / 60;
+    // Extra distance = driven while off route minus the planned distance it bypassed
+    const plannedKm = Math.max(0, exit.alongKm - deviation.entryAlongKm);
+    const extraKm = Math.max(0, deviation.drivenKm - plannedKm);
+    const fields = {
+      end_time: exit.time.toISOString(),
+      end_latitude: exit.location.lat,
+      end_longitude: exit.location.lng,
+      duration_minutes: Number(durationMinutes.toFixed(1)),
+      max_offset_km: Number(deviation.maxOffsetKm.toFixed(3)),
+      driven_distance_km: Number(deviation.drivenKm.toFixed(3)),
+      extra_distance_km: Number(extraKm.toFixed(3))
+    };
+    if (deviation.id == null) return;
+    const { error } = await store.deviations.update(deviation.id, fields);
+    if (error) {
+      console.error(`Error closing route deviation for trip ${tripId}:`, error);
+    } else if (tripEnded) {
+      console.log(`↩️ Trip ${tripId} ended off route - deviation closed after ${fields.duration_minutes}min, ${fields.extra_distance_km}km extra`);
+    } else {
+      console.log(`↩️ Trip ${tripId} back on route after ${fields.duration_minutes}min - ${fields.extra_distance_km}km extra`);
+    }
+  }
+
+  // Measure one recorded position ({ lat, lng, time }) against the trip's planned route
+  async function checkPosition(tripId, vehiclePlate, position) {
+    const routeLine = await getRouteLine(tripId);
+    if (!routeLine) return null;
+
+    const location = { lat: parseFloat(position.lat), lng: parseFloat(position.lng) };
+    const { offsetKm, alongKm } = measureAgainstRoute(routeLine, location);
+    const tripState = state.get(tripId) || { candidate: null };
+    state.set(tripId, tripState);
+
+    if (offsetKm > ROUTE_CORRIDOR_KM) {
+      const current = tripState.candidate;
+      if (!current) {
+        tripState.candidate = {
+          startTime: position.time,
+          startLocation: location,
+          entryAlongKm: alongKm,
+          lastLocation: location,
+          lastTime: position.time,
+          maxOffsetKm: offsetKm,
+          drivenKm: 0,
+          opened: false
+        };
+        return offsetKm;
+      }
+
+      current.drivenKm += segmentKm(current.lastLocation, location);
+      current.lastLocation = location;
+      current.lastTime = position.time;
+      current.maxOffsetKm = Math.max(current.maxOffsetKm, offsetKm);
+
+      const sustainedMinutes = (position.time - current.startTime) / 1000 / 60;
+      if (!current.opened && sustainedMinutes >= DEVIATION_MIN_MINUTES) {
+        tripState.candidate = { ...(await openDeviation(tripId, vehiclePlate, current)), opened: true };
+      }
+      return offsetKm;
+    }
+
+    // Back inside the corridor - close a sustained deviation, drop a brief excursion
+    const current = tripState.candidate;
+    if (current && current.opened) {
+      current.drivenKm += segmentKm(current.lastLocation, location);
+      await closeDeviation(tripId, current, { time: position.time, location, alongKm });
+    }
+    tripState.candidate = null;
+    return offsetKm;
+  }
+
+  function forgetTrip(tripId) {
+    routes.delete(tripId);
+    state.delete(tripId);
+  }
+
+  // The trip is over - a deviation still open ends at the last position seen off route
+  async function endTrip(tripId) {
+    const current = state.has(tripId) ? state.get(tripId).candidate : null;
+    const routeLine = routes.get(tripId);
+    if (current && current.opened && routeLine) {
+      const { alongKm } = measureAgainstRoute(routeLine, current.lastLocation);
+      await closeDeviation(tripId, current, { time: current.lastTime, location: current.lastLocation, alongKm }, { tripEnded: true });
+    }
+    forgetTrip(tripId);
+  }
+
+  return {
+    checkPosition,
+    endTrip,
+    forgetTrip
+  };
+}
+
+module.exports = {
+  ROUTE_CORRIDOR_KM,
+  parseRouteLine,
+  averageRouteOffsetKm,
+  summarizeDeviations,
+  createRouteDeviationMonitor
+};
@@ -0,0 +1,80 @@
+// When a customer was visited: GPS arrival for live stops, else completed_at (scripts, manual)
+function visitTime(customer) {
+  const time = new Date(customer.actual_arrival_time || customer.completed_at);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+// Length of the longest run of visits that kept planned order (not necessarily adjacent)
+function longestInOrderRun(sequences) {
+  const tails = [];
+  for (const sequence of sequences) {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (tails[mid] < sequence) low = mid + 1;
+      else high = mid;
+    }
+    tails[low] = sequence;
+  }
+  return tails.length;
+}
+
+// Compare the order customers were actually completed in against sequence_order.
+// A visit is in sequence when it was the lowest-numbered stop still open; the stops it jumped
+// over are "skipped", and a skipped stop completed later is "revisited". The compliance score is
+// the share of visits on the longest in-order run, so one early detour doesn't fail the whole trip.
+function analyzeSequence(customers) {
+  const sequenced = customers.filter(c => c.sequence_order != null);
+  const visited = sequenced
+    .filter(c => c.completed && visitTime(c))
+    .sort((a, b) => visitTime(a) - visitTime(b) || a.sequence_order - b.sequence_order);
+
+  const open = new Set(sequenced.map(c => c.customer_code));
+  const skippedBy = new Map(); // customer_code -> customer_code of the visit that jumped it
+  const visits = visited.map((customer, index) => {
+    const stillOpen = sequenced.filter(c => open.has(c.customer_code));
+    const expected = stillOpen.reduce((min, c) => Math.min(min, c.sequence_order), Infinity);
+    const skipped = stillOpen
+      .filter(c => c.sequence_order < customer.sequence_order)
+      .map(c => c.customer_code);
+
+    for (const code of skipped) {
+      if (!skippedBy.has(code)) skippedBy.set(code, customer.customer_code);
+    }
+    open.delete(customer.customer_code);
+
+    return {
+      customer_code: customer.customer_code,
+      sequence_order: customer.sequence_order,
+      actual_order: index + 1,
+      visited_at: visitTime(customer).toISOString(),
+      completion_source: customer.completion_source || null,
+      in_sequence: customer.sequence_order === expected,
+      skipped_customers: skipped,
+      revisited: skippedBy.has(customer.customer_code)
+    };
+  });
+
+  const visitedCodes = new Set(visits.map(v => v.customer_code));
+  const skippedNotVisited = [...skippedBy.keys()].filter(code => !visitedCodes.has(code));
+  const inOrder = longestInOrderRun(visits.map(v => v.sequence_order));
+
+  return {
+    summary: {
+      sequenced_customers: sequenced.length,
+      visited: visits.length,
+      in_sequence_visits: visits.filter(v => v.in_sequence).length,
+      out_of_sequence_visits: visits.filter(v => !v.in_sequence).length,
+      skipped_revisited: visits.filter(v => v.revisited).length,
+      skipped_not_visited: skippedNotVisited.length,
+      sequence_compliance: visits.length > 0 ? Number((inOrder * 100 / visits.length).toFixed(1)) : null
+    },
+    visits,
+    skipped_not_visited: skippedNotVisited
+  };
+}
+
+module.exports = {
+  analyzeSequence
+};
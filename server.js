@@ -1,385 +1,105 @@
 require('dotenv').config();
 const express = require('express');
-const WebSocket = require('ws');
-const { createClient } = require('@supabase/supabase-js');
-const distance = require('@turf/distance').default;
+const { connectFeed } = require('./feed-connection');
+const { DEFAULT_TIMEZONE, operatingDay, dayBoundsUtc } = require('./trip-day');
+const { createStore } = require('./store');
+const { createTripTracker } = require('./trip-tracker');
+const { createFeedIngest } = require('./feed-ingest');
+const { createTripsRouter } = require('./trips-api');
+const { attachFleetStream } = require('./fleet-stream');
+const { createWebhookDispatcher } = require('./webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// How often open trips are checked against the end-of-day and engine-off close rules
+const TRIP_CLOSE_SWEEP_INTERVAL_MS = parseInt(process.env.TRIP_CLOSE_SWEEP_INTERVAL_MS, 10) || 60000;
 
 // Middleware
 app.use(express.json());
 
-// Supabase client
-const supabase = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.NEXT_PUBLIC_SUPABASE_SERVICE_ROLE_KEY
-);
+// Storage (Supabase, or in memory with STORE=memory) and the trip tracking pipeline
+const store = createStore();
+const tracker = createTripTracker(store);
+const ingest = createFeedIngest(tracker);
 
-// Track active trips and their intervals
-const activeTrips = new Map();
+// Outbound webhooks for trip lifecycle events; retries wait in webhook_deliveries
+const webhooks = createWebhookDispatcher(store);
+tracker.events.on('event', event => webhooks.handleEvent(event));
 
-// Monitor trip without duplicate coordinate logging
-function startTripMonitoring(tripId, vehiclePlate) {
-  if (activeTrips.has(tripId)) return;
-  
-  activeTrips.set(tripId, { vehiclePlate });
-  console.log(`Started monitoring trip ${tripId} for vehicle ${vehiclePlate}`);
-}
-
-function stopTripMonitoring(tripId) {
-  if (activeTrips.has(tripId)) {
-    activeTrips.delete(tripId);
-    console.log(`Stopped monitoring trip ${tripId}`);
-  }
-}
-
-// Cache latest vehicle data
-const vehicleDataCache = new Map();
-
-// Track vehicle stops
-const vehicleStops = new Map(); // plate -> { stopStart, location, lastLocTime }
-
-// Track last recorded positions for distance filtering
-const vehicleLastRecordedPosition = new Map(); // plate -> {lat, lng}
-
-function getLatestVehicleData(plate) {
-  return vehicleDataCache.get(plate);
-}
-
-async function logCoordinates(tripId, vehiclePlate, vehicleData) {
-  try {
-    await supabase
-      .from('trip_coordinates')
-      .insert({
-        trip_id: tripId,
-        vehicle_plate: vehiclePlate,
-        latitude: parseFloat(vehicleData.Latitude),
-        longitude: parseFloat(vehicleData.Longitude),
-        speed: vehicleData.Speed || 0,
-        timestamp: new Date().toISOString()
-      });
-  } catch (error) {
-    console.error(`Error logging coordinates for trip ${tripId}:`, error);
-  }
-}
-
-async function checkTripCompletion(tripId) {
-  const { data: customers } = await supabase
-    .from('assigned_customers')
-    .select('completed')
-    .eq('trip_id', tripId);
-  
-  if (customers && customers.length > 0) {
-    const allCompleted = customers.every(c => c.completed);
-    
-    if (allCompleted) {
-      // Calculate duration using SQL
-      await supabase.rpc('complete_trip', { p_trip_id: tripId });
-      
-      console.log(`Trip ${tripId} completed - all customers visited`);
-    }
-  }
-}
+let feedDisconnectedAt = null;
 
-async function handleLongStop(vehiclePlate, location) {
-  // Find active trip for this vehicle
-  const { data: trips } = await supabase
-    .from('route_plans')
-    .select('trip_id, created_at')
-    .eq('vehicle_plate', vehiclePlate)
-    .not('actual_start_time', 'is', null)
-    .is('actual_end_time', null);
+async function handleFeedOpen({ reconnect }) {
+  console.log(`${reconnect ? 'Reconnected' : 'Connected'} to WebSocket:`, process.env.WEBSOCKET_URL);
   
-  if (!trips || trips.length === 0) return;
+  const downSince = feedDisconnectedAt;
+  feedDisconnectedAt = null;
   
-  // Check if trip was created today (adjust for local timezone - 2 hours ahead of UTC)
-  const now = new Date();
-  now.setHours(now.getHours() + 2); // Local is 2 hours ahead of UTC
-  const today = now.toISOString().split('T')[0]; // Get local date
-  const todaysTrip = trips.find(t => t.created_at.split('T')[0] === today);
-  
-  if (!todaysTrip) return; // Skip if no trip created today
+  if (reconnect) {
+    console.log(`Feed was down since ${downSince ? downSince.toISOString() : 'unknown'} - ${tracker.pendingTelemetryGaps.size} vehicles awaiting data`);
+    // Trips and subscriptions are already being tracked - nothing to resume
+    return;
+  }
   
-  const { trip_id } = todaysTrip;
+  // Close trips left open past their cutoff (including earlier days) before resuming the rest
+  await tracker.closeOverdueTrips();
   
-  // Get incomplete customers for this trip
-  const { data: customers } = await supabase
-    .from('assigned_customers')
-    .select('customer_code, latitude, longitude')
-    .eq('trip_id', trip_id)
-    .eq('completed', false);
+  // Start monitoring existing active trips created today on server startup
+  await tracker.resumeActiveTrips();
   
-  if (customers && customers.length > 0) {
-    console.log(`Vehicle ${vehiclePlate} stopped for 5+ min - checking ${customers.length} customers`);
-    
-    for (const customer of customers) {
-      if (!customer.latitude || !customer.longitude) {
-        console.log(`Customer ${customer.customer_code} has missing coordinates`);
-        continue;
-      }
-      
-      const vehiclePoint = [parseFloat(location.lng), parseFloat(location.lat)];
-      const customerPoint = [parseFloat(customer.longitude), parseFloat(customer.latitude)];
-      const distanceKm = distance(vehiclePoint, customerPoint, { units: 'kilometers' });
-      
-      console.log(`Stop check - Customer ${customer.customer_code}: ${distanceKm.toFixed(3)}km away`);
-      
-      if (distanceKm <= 5) {
-        console.log(`🎯 Attempting to complete customer ${customer.customer_code} at ${distanceKm.toFixed(3)}km`);
-        const { error } = await supabase
-          .from('assigned_customers')
-          .update({ 
-            completed: true, 
-            completed_at: new Date().toISOString() 
-          })
-          .eq('trip_id', trip_id)
-          .eq('customer_code', customer.customer_code);
-        
-        if (error) {
-          console.error(`❌ Error completing customer ${customer.customer_code}:`, error);
-        } else {
-          console.log(`✅ Customer ${customer.customer_code} auto-completed after 5min stop - ${distanceKm.toFixed(3)}km away`);
-        }
-      }
-    }
-    
-    // Check if trip is now complete
-    await checkTripCompletion(trip_id);
-  }
-}
-
-// Process vehicle data from WebSocket
-async function processVehicleData(vehicleData) {
-  try {
-    const { Plate, Speed, Latitude, Longitude } = vehicleData;
-    
-    if (!Plate || !Latitude || !Longitude) return;
-    
-    // Find trip for this vehicle (active trips only)
-    const { data: trips } = await supabase
-      .from('route_plans')
-      .select('trip_id, vehicle_plate, actual_start_time, created_at')
-      .eq('vehicle_plate', Plate)
-      .is('actual_end_time', null);
-    
-    if (!trips || trips.length === 0) return;
-    
-    // Check if trip was created today (adjust for local timezone - 2 hours ahead of UTC)
-    const now = new Date();
-    now.setHours(now.getHours() + 2); // Local is 2 hours ahead of UTC
-    const today = now.toISOString().split('T')[0]; // Get local date
-    const trip = trips.find(t => t.created_at.split('T')[0] === today);
-    
-    if (!trip) return; // Skip if no trip created today
-    
-    let { trip_id, actual_start_time } = trip;
-    
-    // Start trip when vehicle starts moving
-    if (!actual_start_time && Speed > 0) {
-      await supabase
-        .from('route_plans')
-        .update({ actual_start_time: new Date().toISOString() })
-        .eq('trip_id', trip_id);
-      console.log(`Trip ${trip_id} started - vehicle moving at ${Speed} km/h`);
-      actual_start_time = new Date().toISOString(); // Update local variable
-    }
-    
-    // Only process if trip has started
-    if (!actual_start_time) return;
-    
-    // Distance-based filtering for coordinate storage
-    const currentPoint = [parseFloat(Longitude), parseFloat(Latitude)];
-    const lastPosition = vehicleLastRecordedPosition.get(Plate);
-    
-    let shouldRecord = false;
-    
-    if (!lastPosition) {
-      // First position for this vehicle
-      shouldRecord = true;
-    } else {
-      const lastPoint = [lastPosition.lng, lastPosition.lat];
-      const distanceKm = distance(currentPoint, lastPoint, { units: 'kilometers' });
-      
-      if (distanceKm >= 0.1) { // 100 meters
-        shouldRecord = true;
-      }
-    }
-    
-    if (shouldRecord) {
-      // Store coordinates
-      await supabase
-        .from('trip_coordinates')
-        .insert({
-          trip_id,
-          vehicle_plate: Plate,
-          latitude: parseFloat(Latitude),
-          longitude: parseFloat(Longitude),
-          speed: Speed || 0,
-          timestamp: new Date().toISOString()
-        });
-      
-      // Update last recorded position
-      vehicleLastRecordedPosition.set(Plate, {
-        lat: parseFloat(Latitude),
-        lng: parseFloat(Longitude)
-      });
-    }
-    
-    // Only log coordinates - customer completion happens after 5+ minute stops
-    
-  } catch (error) {
-    console.error('Error processing vehicle data:', error);
-    // Cleanup on error
-    if (trip_id) {
-      stopTripMonitoring(trip_id);
-    }
-  }
-}
-
-// WebSocket client connection
-const ws = new WebSocket(process.env.WEBSOCKET_URL);
-
-ws.on('open', async () => {
-  console.log('Connected to WebSocket:', process.env.WEBSOCKET_URL);
+  // Continue stops that were in progress before the restart
+  await tracker.restoreOpenStops();
   
-  // Start monitoring existing active trips created today on server startup
-  try {
-    const now = new Date();
-    now.setHours(now.getHours() + 2); // Local is 2 hours ahead of UTC
-    const today = now.toISOString().split('T')[0]; // Get local date
-    const { data: activeTrips } = await supabase
-      .from('route_plans')
-      .select('trip_id, vehicle_plate')
-      .gte('created_at', today)
-      .not('actual_start_time', 'is', null)
-      .is('actual_end_time', null);
-    
-    if (activeTrips) {
-      for (const trip of activeTrips) {
-        startTripMonitoring(trip.trip_id, trip.vehicle_plate);
-      }
-      console.log(`Resumed monitoring ${activeTrips.length} active trips`);
-    }
-  } catch (error) {
-    console.error('Error loading active trips:', error);
-  }
+  // Then keep closing overdue trips
+  setInterval(() => {
+    tracker.closeOverdueTrips().catch(error => console.error('Error closing overdue trips:', error));
+  }, TRIP_CLOSE_SWEEP_INTERVAL_MS);
   
   // Initialize subscriptions after WebSocket ready
-  initializeSubscriptions();
-});
-
-ws.on('message', async (data) => {
-  try {
-    const vehicleData = JSON.parse(data.toString());
-    
-    // Cache latest vehicle data
-    vehicleDataCache.set(vehicleData.Plate, vehicleData);
-    
-    // Validate coordinates
-    if (!vehicleData.Latitude || !vehicleData.Longitude) {
-      console.error(`Missing coordinates for vehicle ${vehicleData.Plate}`);
-      return;
-    }
-    
-    // Track vehicle stops using GPS LocTime
-    if (!vehicleData.LocTime) return;
-    
-    const locTime = new Date(vehicleData.LocTime);
-    if (isNaN(locTime.getTime())) {
-      console.error(`Invalid LocTime format: ${vehicleData.LocTime}`);
-      return;
-    }
-    
-    if (vehicleData.Speed < 5) {
-      if (!vehicleStops.has(vehicleData.Plate)) {
-        vehicleStops.set(vehicleData.Plate, {
-          stopStart: locTime,
-          location: { lat: vehicleData.Latitude, lng: vehicleData.Longitude },
-          lastLocTime: locTime
-        });
-        console.log(`Vehicle ${vehicleData.Plate} stopped at ${vehicleData.LocTime}`);
-      } else {
-        // Update last seen time while stopped
-        const stopInfo = vehicleStops.get(vehicleData.Plate);
-        stopInfo.lastLocTime = locTime;
-        
-        // Check if stopped for 5+ minutes
-        const stopDuration = (locTime - stopInfo.stopStart) / 1000 / 60; // minutes
-        if (stopDuration >= 5 && !stopInfo.processed) {
-          await handleLongStop(vehicleData.Plate, stopInfo.location);
-          stopInfo.processed = true;
-        }
-      }
-    } else {
-      // Vehicle moving, clear stop tracking
-      vehicleStops.delete(vehicleData.Plate);
-    }
-    
-    await processVehicleData(vehicleData);
-  } catch (error) {
-    console.error('Error parsing WebSocket data:', error);
-  }
-});
-
-// Initialize subscriptions after WebSocket connects
-let subscriptionsInitialized = false;
+  tracker.initializeSubscriptions();
+}
 
-function initializeSubscriptions() {
-  if (subscriptionsInitialized) return;
-  
-  supabase
-    .channel('route_plans_changes')
-    .on('postgres_changes', 
-      { event: 'INSERT', schema: 'public', table: 'route_plans' },
-      (payload) => {
-        console.log('New trip created:', payload.new);
-        startTripMonitoring(payload.new.trip_id, payload.new.vehicle_plate);
-      }
-    )
-    .on('postgres_changes',
-      { event: 'UPDATE', schema: 'public', table: 'route_plans' },
-      (payload) => {
-        if (payload.new.actual_end_time && !payload.old.actual_end_time) {
-          stopTripMonitoring(payload.new.trip_id);
-        }
-      }
-    )
-    .subscribe();
-  
-  subscriptionsInitialized = true;
-  console.log('Database subscriptions initialized');
+function handleFeedClose() {
+  if (feedDisconnectedAt) return; // Failed reconnect attempt - gap already open
+  feedDisconnectedAt = new Date();
+  tracker.openTelemetryGaps(feedDisconnectedAt);
 }
 
-ws.on('error', (error) => {
-  console.error('WebSocket error:', error);
+// WebSocket client connection - reconnects with backoff when the feed drops
+connectFeed(process.env.WEBSOCKET_URL, {
+  onOpen: handleFeedOpen,
+  onMessage: data => ingest.handleMessage(data, 'websocket'),
+  onClose: handleFeedClose
 });
 
-ws.on('close', () => {
-  console.log('WebSocket connection closed');
-});
+// Raw EPS frames straight from the units, bypassing the relay
+if (process.env.EPS_TCP_PORT) ingest.listenTcp(parseInt(process.env.EPS_TCP_PORT, 10));
+if (process.env.EPS_UDP_PORT) ingest.listenUdp(parseInt(process.env.EPS_UDP_PORT, 10));
 
 // Basic Express route
 app.get('/', (req, res) => {
   res.json({ message: 'Trip monitoring server running' });
 });
 
+// Trip API
+app.use('/api/v1', createTripsRouter({ store, tracker, ingest, webhooks }));
+
 // Test today's date filtering
 app.get('/test/todays-trips', async (req, res) => {
   try {
-    const today = new Date().toISOString().split('T')[0];
-    console.log(`Testing trips created today: ${today}`);
+    const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+    const today = operatingDay(new Date(), timezone);
+    const { start, end } = dayBoundsUtc(today, timezone);
+    console.log(`Testing trips created today: ${today} (${timezone})`);
     
-    const { data: trips } = await supabase
-      .from('route_plans')
-      .select('trip_id, vehicle_plate, created_at')
-      .gte('created_at', today);
+    const { data } = await store.trips.findCreatedBetween(start, end);
+    const trips = (data || []).map(({ trip_id, vehicle_plate, created_at }) => ({ trip_id, vehicle_plate, created_at }));
     
-    console.log(`Found ${trips?.length || 0} trips created today`);
+    console.log(`Found ${trips.length} trips created today`);
     res.json({ 
       today, 
-      tripsCount: trips?.length || 0, 
-      trips: trips || [] 
+      timezone,
+      tripsCount: trips.length, 
+      trips 
     });
     
   } catch (error) {
@@ -395,39 +115,35 @@ app.post('/test/simulate-trip', async (req, res) => {
     const tripId = 'test-trip-' + Date.now();
     
     // 1. Create test trip
-    await supabase
-      .from('route_plans')
-      .insert({
-        trip_id: tripId,
-        vehicle_plate: vehiclePlate,
-        route_name: 'TEST_ROUTE',
-        total_stops: 2,
-        estimated_duration_minutes: 60
-      });
+    await store.trips.insert({
+      trip_id: tripId,
+      vehicle_plate: vehiclePlate,
+      route_name: 'TEST_ROUTE',
+      total_stops: 2,
+      estimated_duration_minutes: 60
+    });
     
     // 2. Add test customers
-    await supabase
-      .from('assigned_customers')
-      .insert([
-        {
-          trip_id: tripId,
-          customer_code: 'TEST_CUST_001',
-          customer_name: 'Test Customer 1',
-          sequence_order: 1,
-          latitude: -26.1440,
-          longitude: 28.0436,
-          completed: false
-        },
-        {
-          trip_id: tripId,
-          customer_code: 'TEST_CUST_002', 
-          customer_name: 'Test Customer 2',
-          sequence_order: 2,
-          latitude: -26.1450,
-          longitude: 28.0446,
-          completed: false
-        }
-      ]);
+    await store.customers.insert([
+      {
+        trip_id: tripId,
+        customer_code: 'TEST_CUST_001',
+        customer_name: 'Test Customer 1',
+        sequence_order: 1,
+        latitude: -26.1440,
+        longitude: 28.0436,
+        completed: false
+      },
+      {
+        trip_id: tripId,
+        customer_code: 'TEST_CUST_002', 
+        customer_name: 'Test Customer 2',
+        sequence_order: 2,
+        latitude: -26.1450,
+        longitude: 28.0446,
+        completed: false
+      }
+    ]);
     
     console.log(`Test trip created: ${tripId} for vehicle ${vehiclePlate}`);
     res.json({ success: true, tripId, vehiclePlate });
@@ -456,7 +172,7 @@ app.post('/test/simulate-gps', async (req, res) => {
     };
     
     console.log('Simulating GPS data:', testGPSData);
-    await processVehicleData(testGPSData);
+    await tracker.processVehicleData(testGPSData);
     
     res.json({ success: true, data: testGPSData });
     
@@ -466,7 +182,29 @@ app.post('/test/simulate-gps', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Express server running on port ${PORT}`);
-  console.log(`Today's date filter: ${new Date().toISOString().split('T')[0]}`);
-});
\ No newline at end of file
+  console.log(`Today's date filter: ${operatingDay()} (${DEFAULT_TIMEZONE})`);
+});
+
+// Real-time fleet stream for dashboards
+attachFleetStream(server, tracker);
+// Write out buffered coordinates before exiting
+async function shutdown(signal) {
+  console.log(`${signal} received - flushing coordinates`);
+  try {
+    await tracker.coordinateWriter.close();
+  } catch (error) {
+    console.error('Error flushing coordinates on shutdown:', error);
+  }
+  try {
+    // Anything not sent yet stays queued in webhook_deliveries for the next start
+    await webhooks.close();
+  } catch (error) {
+    console.error('Error stopping webhook deliveries on shutdown:', error);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
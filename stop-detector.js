@@ -0,0 +1,140 @@
+const distance = require('@turf/distance').default;
+
+// Entry: below this speed, staying within the drift radius for STOP_CONFIRM_SECONDS
+const STOP_ENTRY_SPEED_KMH = parseFloat(process.env.STOP_ENTRY_SPEED_KMH) || 5;
+const STOP_CONFIRM_SECONDS = parseFloat(process.env.STOP_CONFIRM_SECONDS) || 60;
+// GPS drift tolerated around a stop's centroid
+const STOP_DRIFT_RADIUS_M = parseFloat(process.env.STOP_DRIFT_RADIUS_M) || 50;
+// Exit: at or above this speed, or outside the drift radius, for STOP_EXIT_SECONDS -
+// or further than STOP_EXIT_DISTANCE_M from the centroid straight away
+const STOP_EXIT_SPEED_KMH = parseFloat(process.env.STOP_EXIT_SPEED_KMH) || 10;
+const STOP_EXIT_SECONDS = parseFloat(process.env.STOP_EXIT_SECONDS) || 30;
+const STOP_EXIT_DISTANCE_M = parseFloat(process.env.STOP_EXIT_DISTANCE_M) || 150;
+
+function metresBetween(a, b) {
+  return distance([b.lng, b.lat], [a.lng, a.lat], { units: 'kilometers' }) * 1000;
+}
+
+function snapshot(state) {
+  return {
+    start: state.start,
+    lastTime: state.lastTime,
+    centroid: { ...state.centroid },
+    fixCount: state.fixCount,
+    maxDriftM: state.maxDriftM
+  };
+}
+
+// Per-vehicle stop state machine: moving -> stopping (candidate) -> stopped -> moving.
+// update() returns { transition: 'start' | 'end' | null, stop } - stop is set while a stop is confirmed,
+// and on 'end' carries end (GPS time of the first fix that moved off).
+function createStopDetector({
+  entrySpeedKmh = STOP_ENTRY_SPEED_KMH,
+  confirmSeconds = STOP_CONFIRM_SECONDS,
+  driftRadiusM = STOP_DRIFT_RADIUS_M,
+  exitSpeedKmh = STOP_EXIT_SPEED_KMH,
+  exitSeconds = STOP_EXIT_SECONDS,
+  exitDistanceM = STOP_EXIT_DISTANCE_M
+} = {}) {
+  const states = new Map(); // plate -> { phase, start, lastTime, centroid, fixCount, maxDriftM, exit }
+
+  function beginCandidate(plate, fix) {
+    states.set(plate, {
+      phase: 'stopping',
+      start: fix.time,
+      lastTime: fix.time,
+      centroid: { lat: fix.lat, lng: fix.lng },
+      fixCount: 1,
+      maxDriftM: 0,
+      exit: null
+    });
+  }
+
+  // Fixes that drift outside the radius don't drag the centroid
+  function absorb(state, fix, driftM) {
+    state.lastTime = fix.time;
+    state.maxDriftM = Math.max(state.maxDriftM, driftM);
+    if (driftM > driftRadiusM) return;
+    state.fixCount++;
+    state.centroid = {
+      lat: state.centroid.lat + (fix.lat - state.centroid.lat) / state.fixCount,
+      lng: state.centroid.lng + (fix.lng - state.centroid.lng) / state.fixCount
+    };
+  }
+
+  // fix: { lat, lng, speed, time } - time is GPS time
+  function update(plate, fix) {
+    const state = states.get(plate);
+    const slow = fix.speed < entrySpeedKmh;
+
+    if (!state) {
+      if (slow) beginCandidate(plate, fix);
+      return { transition: null, stop: null };
+    }
+
+    // Late fixes don't move the state machine
+    if (fix.time < state.lastTime) {
+      return { transition: null, stop: state.phase === 'stopped' ? snapshot(state) : null };
+    }
+
+    const driftM = metresBetween(state.centroid, fix);
+
+    if (state.phase === 'stopping') {
+      if (!slow) {
+        states.delete(plate);
+        return { transition: null, stop: null };
+      }
+      if (driftM > driftRadiusM) {
+        // Crawled somewhere else - start over from here
+        beginCandidate(plate, fix);
+        return { transition: null, stop: null };
+      }
+      absorb(state, fix, driftM);
+      if ((fix.time - state.start) / 1000 >= confirmSeconds) {
+        state.phase = 'stopped';
+        return { transition: 'start', stop: snapshot(state) };
+      }
+      return { transition: null, stop: null };
+    }
+
+    const moving = fix.speed >= exitSpeedKmh || driftM > driftRadiusM;
+    if (!moving) {
+      // Back inside the stop (or in the hysteresis band) - a brief blip doesn't end it
+      state.exit = null;
+      absorb(state, fix, driftM);
+      return { transition: null, stop: snapshot(state) };
+    }
+
+    state.exit = state.exit || { time: fix.time };
+    state.lastTime = fix.time;
+    if (driftM > exitDistanceM || (fix.time - state.exit.time) / 1000 >= exitSeconds) {
+      states.delete(plate);
+      // Reported slow but somewhere else entirely - that may be the next stop
+      if (slow && driftM > exitDistanceM) beginCandidate(plate, fix);
+      return { transition: 'end', stop: { ...snapshot(state), end: state.exit.time } };
+    }
+    return { transition: null, stop: snapshot(state) };
+  }
+
+  // Resume a confirmed stop persisted before a restart
+  function restore(plate, { start, lastTime, centroid, fixCount = 1, maxDriftM = 0 }) {
+    states.set(plate, {
+      phase: 'stopped',
+      start,
+      lastTime: lastTime || start,
+      centroid: { ...centroid },
+      fixCount,
+      maxDriftM,
+      exit: null
+    });
+  }
+
+  return {
+    update,
+    restore
+  };
+}
+
+module.exports = {
+  createStopDetector
+};
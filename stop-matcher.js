@@ -0,0 +1,101 @@
+const { resolveGeofenceRadiusKm, distanceToCustomerKm } = require('./geofence');
+
+// Weighting of the match score (distance inside the geofence vs. planned visit order)
+const DISTANCE_WEIGHT = 0.7;
+const SEQUENCE_WEIGHT = 0.3;
+
+// Minimum score gap between the best and runner-up candidate for a stop of MIN_STOP_MINUTES.
+// Longer stops need a smaller gap - a 20 minute dwell is a delivery, a 5 minute one may be traffic.
+const AMBIGUITY_MARGIN = parseFloat(process.env.STOP_MATCH_AMBIGUITY_MARGIN) || 0.15;
+const MIN_STOP_MINUTES = 5;
+// A stop only completes a customer within this fraction of the customer's geofence radius - further
+// out, even as the only candidate, it goes to review
+const COMPLETE_WITHIN_FRACTION = parseFloat(process.env.STOP_MATCH_COMPLETE_WITHIN_FRACTION) || 0.5;
+
+function scoreCandidate(distanceKm, radiusKm, sequenceOrder, expectedSequence) {
+  const distanceScore = Math.max(0, 1 - distanceKm / radiusKm);
+  const sequenceGap = sequenceOrder != null && expectedSequence != null
+    ? Math.abs(sequenceOrder - expectedSequence)
+    : 0;
+  const sequenceScore = 1 / (1 + sequenceGap);
+  return DISTANCE_WEIGHT * distanceScore + SEQUENCE_WEIGHT * sequenceScore;
+}
+
+function requiredMargin(stopDurationMinutes) {
+  const duration = Math.max(stopDurationMinutes || MIN_STOP_MINUTES, MIN_STOP_MINUTES);
+  return AMBIGUITY_MARGIN * (MIN_STOP_MINUTES / duration);
+}
+
+// Match a long stop to the incomplete customer it most likely served.
+// Returns { decision: 'completed' | 'review' | 'no_match', customer, candidates, reason }
+function matchStopToCustomer({ location, stopDurationMinutes, customers, trip }) {
+  const located = customers.filter(c => c.latitude && c.longitude);
+
+  // The next planned stop is the lowest sequence_order still open
+  const sequences = located
+    .map(c => c.sequence_order)
+    .filter(s => s != null);
+  const expectedSequence = sequences.length > 0 ? Math.min(...sequences) : null;
+
+  const candidates = located
+    .map(customer => {
+      const distanceKm = distanceToCustomerKm(location, customer);
+      const radiusKm = resolveGeofenceRadiusKm(customer, trip);
+      return {
+        customer,
+        customer_code: customer.customer_code,
+        sequence_order: customer.sequence_order ?? null,
+        distance_km: Number(distanceKm.toFixed(3)),
+        radius_km: radiusKm,
+        inside: distanceKm <= radiusKm,
+        score: Number(scoreCandidate(distanceKm, radiusKm, customer.sequence_order, expectedSequence).toFixed(3))
+      };
+    })
+    .filter(c => c.inside)
+    .sort((a, b) => b.score - a.score);
+
+  const summary = candidates.map(({ customer, inside, ...rest }) => rest);
+
+  if (candidates.length === 0) {
+    return { decision: 'no_match', customer: null, candidates: summary, reason: 'No customer within geofence' };
+  }
+
+  const [best, runnerUp] = candidates;
+
+  if (best.distance_km > best.radius_km * COMPLETE_WITHIN_FRACTION) {
+    return {
+      decision: 'review',
+      customer: best.customer,
+      candidates: summary,
+      reason: `${best.customer_code} is ${best.distance_km}km away - too far out in its ${best.radius_km}km geofence to complete`
+    };
+  }
+
+  if (!runnerUp) {
+    return { decision: 'completed', customer: best.customer, candidates: summary, reason: 'Single customer within geofence' };
+  }
+
+  const margin = best.score - runnerUp.score;
+  const needed = requiredMargin(stopDurationMinutes);
+
+  if (margin >= needed) {
+    return {
+      decision: 'completed',
+      customer: best.customer,
+      candidates: summary,
+      reason: `Best of ${candidates.length} candidates by ${margin.toFixed(3)} (needed ${needed.toFixed(3)})`
+    };
+  }
+
+  return {
+    decision: 'review',
+    customer: best.customer,
+    candidates: summary,
+    reason: `Ambiguous: ${best.customer_code} and ${runnerUp.customer_code} within ${margin.toFixed(3)} (needed ${needed.toFixed(3)})`
+  };
+}
+
+module.exports = {
+  MIN_STOP_MINUTES,
+  matchStopToCustomer
+};
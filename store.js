@@ -0,0 +1,48 @@
+const { createSupabaseStore } = require('./supabase-store');
+const { createMemoryStore } = require('./memory-store');
+
+// Store interface used by the trip tracker. Every query resolves to Supabase-style { data, error }.
+// Writes resolve to data null unless noted; update(...) resolves to the updated rows.
+//
+//   trips.findById(tripId)                       single route_plans row (or null)
+//   trips.findOpen({ vehiclePlate, started, createdFrom })  route_plans with no actual_end_time
+//   trips.list({ start, end, status, vehiclePlate, limit, offset })  paged route_plans, resolves { data, count }
+//   trips.findCreatedBetween(start, end)         route_plans by created_at range
+//   trips.insert(trip) / trips.update(tripId, fields)
+//   trips.complete(tripId)                       complete_trip - end time, duration, completed
+//   customers.findByTrip(tripId, { completed })  assigned_customers for a trip
+//   customers.insert(rows) / customers.update(tripId, customerCode, fields)
+//   coordinates.findByTrip(tripId)               trip_coordinates, oldest first
+//   coordinates.list(tripId, { from, to, limit, offset })  paged track, resolves { data, count }
+//   coordinates.insert(rows)                     trip_coordinates
+//   audits.upsert(row)                           trip_audit, one row per trip
+//   deviations.findByTrip(tripId)                route_deviations, oldest first
+//   deviations.insert(row) / deviations.update(id, fields)  insert resolves to the new row
+//   latenessEvents.findByTrip(tripId) / latenessEvents.insert(row)  eta_lateness_events
+//   completionLog.findByTrip(tripId) / completionLog.insert(row)  customer_completion_log
+//   vehicleStops.findOpen() / vehicleStops.findByTrip(tripId)   vehicle_stops, oldest first
+//   vehicleStops.insert(row) / vehicleStops.update(id, fields)
+//   stopMatches.upsert(row)                      stop_matches, one row per vehicle_stop_id
+//   telemetryGaps.insert(row)                    telemetry_gaps
+//   trackState.findByPlate(plate) / trackState.upsert(row)  vehicle_track_state, one row per plate
+//   depots.list()                                depots, each with its depot_assignments
+//   webhookEndpoints.list({ active }) / webhookEndpoints.findById(id)  webhook_endpoints
+//   webhookEndpoints.insert(row) / webhookEndpoints.update(id, fields) / webhookEndpoints.remove(id)  resolve to the row
+//   webhookDeliveries.list({ endpointId, eventType, status, tripId, from, to, limit, offset })  paged, resolves { data, count }
+//   webhookDeliveries.findById(id) / webhookDeliveries.findDue(now, limit)  pending deliveries due by now
+//   webhookDeliveries.insert(rows) / webhookDeliveries.update(id, fields)  insert resolves to the new rows
+//   webhookDeliveries.updatePending(endpointId, fields)  every pending delivery of an endpoint
+//   changes.subscribe({ onTripCreated, onTripUpdated })  realtime route_plans feed
+//
+// STORE=memory runs the server against the in-memory stand-in instead of Supabase.
+function createStore(type = process.env.STORE || 'supabase') {
+  if (type === 'memory') return createMemoryStore();
+  if (type === 'supabase') return createSupabaseStore();
+  throw new Error(`Unknown STORE "${type}" - expected "supabase" or "memory"`);
+}
+
+module.exports = {
+  createStore,
+  createSupabaseStore,
+  createMemoryStore
+};
@@ -0,0 +1,425 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// PostgREST caps responses at 1000 rows - page through larger result sets
+const PAGE_SIZE = 1000;
+
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) return { data: null, error };
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return { data: rows, error: null };
+  }
+}
+
+// route_plans columns for list queries - leaves out the heavy route_coordinates / waypoint_coordinates JSONB
+const TRIP_COLUMNS = [
+  'trip_id', 'vehicle_plate', 'route_name', 'total_stops', 'total_distance_km',
+  'estimated_duration_minutes', 'actual_start_time', 'actual_end_time', 'actual_duration_minutes',
+  'created_at', 'timezone', 'geofence_radius_km', 'planned_start_time', 'close_reason',
+  'depot_id', 'depot_departure_time', 'depot_return_time'
+].join(', ');
+
+// Store backed by the Supabase project - the production implementation of the store interface (see store.js)
+function createSupabaseStore(client = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.NEXT_PUBLIC_SUPABASE_SERVICE_ROLE_KEY
+)) {
+  const trips = {
+    findById(tripId) {
+      return client
+        .from('route_plans')
+        .select('*')
+        .eq('trip_id', tripId)
+        .maybeSingle();
+    },
+
+    // Open trips (actual_end_time IS NULL), optionally for one plate and only started ones
+    findOpen({ vehiclePlate, started, createdFrom } = {}) {
+      let query = client
+        .from('route_plans')
+        .select(TRIP_COLUMNS)
+        .is('actual_end_time', null);
+      if (vehiclePlate) query = query.eq('vehicle_plate', vehiclePlate);
+      if (started) query = query.not('actual_start_time', 'is', null);
+      if (createdFrom) query = query.gte('created_at', createdFrom);
+      return query;
+    },
+
+    // Paged trip listing - status is planned (not started), active (started, not ended) or completed (ended)
+    list({ start, end, status, vehiclePlate, limit, offset }) {
+      let query = client
+        .from('route_plans')
+        .select(TRIP_COLUMNS, { count: 'exact' });
+      if (start) query = query.gte('created_at', start);
+      if (end) query = query.lt('created_at', end);
+      if (vehiclePlate) query = query.eq('vehicle_plate', vehiclePlate);
+      if (status === 'planned') query = query.is('actual_start_time', null).is('actual_end_time', null);
+      if (status === 'active') query = query.not('actual_start_time', 'is', null).is('actual_end_time', null);
+      if (status === 'completed') query = query.not('actual_end_time', 'is', null);
+      return query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+    },
+
+    findCreatedBetween(start, end) {
+      return client
+        .from('route_plans')
+        .select(TRIP_COLUMNS)
+        .gte('created_at', start)
+        .lt('created_at', end);
+    },
+
+    insert(trip) {
+      return client
+        .from('route_plans')
+        .insert(trip);
+    },
+
+    update(tripId, fields) {
+      return client
+        .from('route_plans')
+        .update(fields)
+        .eq('trip_id', tripId)
+        .select();
+    },
+
+    // Sets actual_end_time, actual_duration_minutes and completed in SQL
+    complete(tripId) {
+      return client.rpc('complete_trip', { p_trip_id: tripId });
+    }
+  };
+
+  const customers = {
+    findByTrip(tripId, { completed } = {}) {
+      let query = client
+        .from('assigned_customers')
+        .select('*')
+        .eq('trip_id', tripId);
+      if (completed !== undefined) query = query.eq('completed', completed);
+      return query;
+    },
+
+    insert(rows) {
+      return client
+        .from('assigned_customers')
+        .insert(rows);
+    },
+
+    update(tripId, customerCode, fields) {
+      return client
+        .from('assigned_customers')
+        .update(fields)
+        .eq('trip_id', tripId)
+        .eq('customer_code', customerCode)
+        .select();
+    }
+  };
+
+  const coordinates = {
+    // Full track for a trip, oldest first
+    findByTrip(tripId) {
+      return fetchAll(() => client
+        .from('trip_coordinates')
+        .select('*')
+        .eq('trip_id', tripId)
+        .order('timestamp', { ascending: true }));
+    },
+
+    // Paged track within an optional timestamp range, oldest first
+    list(tripId, { from, to, limit, offset }) {
+      let query = client
+        .from('trip_coordinates')
+        .select('*', { count: 'exact' })
+        .eq('trip_id', tripId);
+      if (from) query = query.gte('timestamp', from);
+      if (to) query = query.lt('timestamp', to);
+      return query
+        .order('timestamp', { ascending: true })
+        .range(offset, offset + limit - 1);
+    },
+
+    insert(rows) {
+      return client
+        .from('trip_coordinates')
+        .insert(rows);
+    }
+  };
+
+  const audits = {
+    // One audit per trip - regenerating replaces it
+    upsert(row) {
+      return client
+        .from('trip_audit')
+        .upsert(row, { onConflict: 'trip_id' });
+    }
+  };
+
+  const deviations = {
+    findByTrip(tripId) {
+      return client
+        .from('route_deviations')
+        .select('*')
+        .eq('trip_id', tripId)
+        .order('start_time', { ascending: true });
+    },
+
+    // Resolves to the inserted row so it can be closed later
+    insert(row) {
+      return client
+        .from('route_deviations')
+        .insert(row)
+        .select()
+        .single();
+    },
+
+    update(id, fields) {
+      return client
+        .from('route_deviations')
+        .update(fields)
+        .eq('id', id)
+        .select();
+    }
+  };
+
+  const latenessEvents = {
+    findByTrip(tripId) {
+      return client
+        .from('eta_lateness_events')
+        .select('*')
+        .eq('trip_id', tripId)
+        .order('detected_at', { ascending: true });
+    },
+
+    insert(row) {
+      return client
+        .from('eta_lateness_events')
+        .insert(row);
+    }
+  };
+
+  const completionLog = {
+    findByTrip(tripId) {
+      return client
+        .from('customer_completion_log')
+        .select('*')
+        .eq('trip_id', tripId)
+        .order('created_at', { ascending: true });
+    },
+
+    insert(row) {
+      return client
+        .from('customer_completion_log')
+        .insert(row);
+    }
+  };
+
+  const vehicleStops = {
+    // Stops still in progress (no end_time), for restore on startup
+    findOpen() {
+      return client
+        .from('vehicle_stops')
+        .select('*')
+        .is('end_time', null)
+        .order('start_time', { ascending: true });
+    },
+
+    // A trip's detected stops, oldest first
+    findByTrip(tripId) {
+      return client
+        .from('vehicle_stops')
+        .select('*')
+        .eq('trip_id', tripId)
+        .order('start_time', { ascending: true });
+    },
+
+    insert(row) {
+      return client
+        .from('vehicle_stops')
+        .insert(row)
+        .select()
+        .single();
+    },
+
+    update(id, fields) {
+      return client
+        .from('vehicle_stops')
+        .update(fields)
+        .eq('id', id)
+        .select();
+    }
+  };
+
+  const stopMatches = {
+    // One row per vehicle_stop_id - re-evaluating a stop replaces its decision
+    upsert(row) {
+      return client
+        .from('stop_matches')
+        .upsert(row, { onConflict: 'vehicle_stop_id' });
+    }
+  };
+
+  const telemetryGaps = {
+    insert(row) {
+      return client
+        .from('telemetry_gaps')
+        .insert(row);
+    }
+  };
+
+  const trackState = {
+    findByPlate(vehiclePlate) {
+      return client
+        .from('vehicle_track_state')
+        .select('*')
+        .eq('vehicle_plate', vehiclePlate)
+        .maybeSingle();
+    },
+
+    // One row per plate - the last recorded track point
+    upsert(row) {
+      return client
+        .from('vehicle_track_state')
+        .upsert(row, { onConflict: 'vehicle_plate' });
+    }
+  };
+
+  const webhookEndpoints = {
+    list({ active } = {}) {
+      let query = client
+        .from('webhook_endpoints')
+        .select('*');
+      if (active !== undefined) query = query.eq('active', active);
+      return query.order('id', { ascending: true });
+    },
+
+    findById(id) {
+      return client
+        .from('webhook_endpoints')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    },
+
+    insert(row) {
+      return client
+        .from('webhook_endpoints')
+        .insert(row)
+        .select()
+        .single();
+    },
+
+    // Resolves to the updated row, or null if there is no such endpoint
+    update(id, fields) {
+      return client
+        .from('webhook_endpoints')
+        .update(fields)
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+    },
+
+    remove(id) {
+      return client
+        .from('webhook_endpoints')
+        .delete()
+        .eq('id', id);
+    }
+  };
+
+  const webhookDeliveries = {
+    // Paged delivery log, newest first
+    list({ endpointId, eventType, status, tripId, from, to, limit, offset }) {
+      let query = client
+        .from('webhook_deliveries')
+        .select('*', { count: 'exact' });
+      if (endpointId) query = query.eq('endpoint_id', endpointId);
+      if (eventType) query = query.eq('event_type', eventType);
+      if (status) query = query.eq('status', status);
+      if (tripId) query = query.eq('trip_id', tripId);
+      if (from) query = query.gte('created_at', from);
+      if (to) query = query.lt('created_at', to);
+      return query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+    },
+
+    findById(id) {
+      return client
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    },
+
+    // Pending deliveries whose next attempt is due, oldest first
+    findDue(now, limit) {
+      return client
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', now)
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+    },
+
+    // Resolves to the inserted rows
+    insert(rows) {
+      return client
+        .from('webhook_deliveries')
+        .insert(rows)
+        .select();
+    },
+
+    update(id, fields) {
+      return client
+        .from('webhook_deliveries')
+        .update(fields)
+        .eq('id', id)
+        .select();
+    },
+
+    // Every pending delivery of one endpoint - parked while it is inactive, failed when it is removed
+    updatePending(endpointId, fields) {
+      return client
+        .from('webhook_deliveries')
+        .update(fields)
+        .eq('endpoint_id', endpointId)
+        .eq('status', 'pending')
+        .select();
+    }
+  };
+
+  const depots = {
+    // Every depot with the routes and vehicles assigned to it
+    list() {
+      return client
+        .from('depots')
+        .select('*, depot_assignments(vehicle_plate, route_name)');
+    }
+  };
+
+  const changes = {
+    // Realtime route_plans feed: onTripCreated(newRow), onTripUpdated(newRow, oldRow)
+    subscribe({ onTripCreated, onTripUpdated }) {
+      return client
+        .channel('route_plans_changes')
+        .on('postgres_changes',
+          { event: 'INSERT', schema: 'public', table: 'route_plans' },
+          (payload) => onTripCreated && onTripCreated(payload.new)
+        )
+        .on('postgres_changes',
+          { event: 'UPDATE', schema: 'public', table: 'route_plans' },
+          (payload) => onTripUpdated && onTripUpdated(payload.new, payload.old)
+        )
+        .subscribe();
+    }
+  };
+
+  return { client, trips, customers, coordinates, audits, deviations, latenessEvents, completionLog, vehicleStops, stopMatches, telemetryGaps, trackState, depots, webhookEndpoints, webhookDeliveries, changes };
+}
+
+module.exports = {
+  createSupabaseStore
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCoordinateWriter } = require('../coordinate-writer');
+
+// A store whose trip_coordinates inserts fail while down is set
+function flakyStore() {
+  const store = {
+    down: false,
+    rows: [],
+    attempts: 0,
+    coordinates: {
+      async insert(rows) {
+        store.attempts++;
+        if (store.down) return { data: null, error: { message: 'connection refused' } };
+        store.rows.push(...rows);
+        return { data: null, error: null };
+      }
+    }
+  };
+  return store;
+}
+
+function writerFor(store, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coordinates-'));
+  let now = new Date('2025-11-03T06:00:00Z');
+  const writer = createCoordinateWriter(store, {
+    retryFile: path.join(dir, 'retry.jsonl'),
+    retryIntervalMs: 30000,
+    retryMaxSeconds: 900,
+    clock: () => new Date(now),
+    ...options
+  });
+  return {
+    writer,
+    advance: minutes => { now = new Date(now.getTime() + minutes * 60 * 1000); },
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+const point = n => ({ trip_id: 't1', vehicle_plate: 'P1', latitude: -26.1, longitude: 28.0, speed: n });
+
+test('points written during a two hour database outage are kept and written once it is back', async () => {
+  const store = flakyStore();
+  const { writer, advance, cleanup } = writerFor(store);
+  try {
+    store.down = true;
+    for (let batch = 0; batch < 3; batch++) {
+      writer.enqueue(point(batch));
+      await writer.flush();
+    }
+
+    for (let minute = 0; minute < 120; minute += 0.5) {
+      advance(0.5);
+      await writer.retryFailed();
+    }
+    const during = await writer.getMetrics();
+    assert.equal(during.dropped, 0);
+    assert.equal(during.pending_retry, 3);
+    // Backing off: far fewer attempts than one per batch every 30 seconds
+    assert.ok(store.attempts < 60, `${store.attempts} attempts`);
+
+    store.down = false;
+    advance(15);
+    await writer.retryFailed();
+    advance(15);
+    await writer.retryFailed();
+    const after = await writer.getMetrics();
+    assert.equal(after.pending_retry, 0);
+    assert.equal(after.written, 3);
+    assert.equal(after.retried, 3);
+    assert.deepEqual(store.rows.map(row => row.speed).sort(), [0, 1, 2]);
+  } finally {
+    await writer.close();
+    cleanup();
+  }
+});
+
+test('a batch still failing after the age limit is dropped', async () => {
+  const store = flakyStore();
+  const { writer, advance, cleanup } = writerFor(store, { retryMaxAgeHours: 1 });
+  try {
+    store.down = true;
+    writer.enqueue(point(1));
+    await writer.flush();
+
+    advance(30);
+    await writer.retryFailed();
+    assert.equal((await writer.getMetrics()).dropped, 0);
+
+    advance(31);
+    await writer.retryFailed();
+    const metrics = await writer.getMetrics();
+    assert.equal(metrics.dropped, 1);
+    assert.equal(metrics.pending_retry, 0);
+  } finally {
+    store.down = false;
+    await writer.close();
+    cleanup();
+  }
+});
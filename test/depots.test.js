@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./helpers');
+
+// A 300m depot at the start point and two trips for P1: t1 to A, then t2 to C
+function depotSeed() {
+  return {
+    depots: [{ id: 1, name: 'Main', latitude: -26.10, longitude: 28.0, radius_m: 300 }],
+    depot_assignments: [{ depot_id: 1, vehicle_plate: 'P1' }],
+    route_plans: [
+      { trip_id: 't1', vehicle_plate: 'P1', created_at: '2025-11-03T04:00:00Z', planned_start_time: '2025-11-03T05:00:00Z', actual_start_time: null, actual_end_time: null },
+      { trip_id: 't2', vehicle_plate: 'P1', created_at: '2025-11-03T04:00:00Z', planned_start_time: '2025-11-03T07:00:00Z', actual_start_time: null, actual_end_time: null }
+    ],
+    assigned_customers: [
+      { trip_id: 't1', customer_code: 'A', sequence_order: 1, latitude: -26.12, longitude: 28.0, completed: false },
+      { trip_id: 't2', customer_code: 'C', sequence_order: 1, latitude: -26.14, longitude: 28.0, completed: false }
+    ]
+  };
+}
+
+const tripRow = (harness, tripId) => harness.store.tables.route_plans.find(t => t.trip_id === tripId);
+
+test('a trip starts when its vehicle leaves the depot, not while it waits inside', async () => {
+  const harness = createHarness(depotSeed());
+  try {
+    await harness.fix('P1', 0, -26.10, 28.0, 0);
+    await harness.fix('P1', 1, -26.1005, 28.0, 15);
+    assert.equal(tripRow(harness, 't1').actual_start_time, null);
+
+    await harness.fix('P1', 2, -26.105, 28.0, 40);
+    assert.equal(tripRow(harness, 't1').actual_start_time, '2025-11-03T06:02:00.000Z');
+    assert.equal(tripRow(harness, 't1').depot_departure_time, '2025-11-03T06:02:00.000Z');
+  } finally {
+    await harness.close();
+  }
+});
+
+test('the next trip handed over away from the depot starts when the vehicle has reloaded and left again', async () => {
+  const harness = createHarness(depotSeed());
+  try {
+    await harness.fix('P1', 0, -26.10, 28.0, 0);
+    await harness.fix('P1', 1, -26.105, 28.0, 40);
+    for (let minute = 2; minute <= 8; minute++) await harness.fix('P1', minute, -26.12, 28.0, 0);
+    assert.equal(tripRow(harness, 't1').completed, true);
+    assert.equal(harness.tracker.vehicleTrips.get('P1'), 't2');
+
+    // Driving back to the depot is not a departure
+    await harness.fix('P1', 9, -26.11, 28.0, 40);
+    await harness.fix('P1', 10, -26.105, 28.0, 40);
+    assert.equal(tripRow(harness, 't2').actual_start_time, null);
+
+    for (let minute = 11; minute <= 20; minute++) await harness.fix('P1', minute, -26.10, 28.0, 0);
+    assert.equal(tripRow(harness, 't2').actual_start_time, null);
+
+    await harness.fix('P1', 21, -26.105, 28.0, 40);
+    assert.equal(tripRow(harness, 't2').actual_start_time, '2025-11-03T06:21:00.000Z');
+    assert.equal(tripRow(harness, 't2').depot_departure_time, '2025-11-03T06:21:00.000Z');
+  } finally {
+    await harness.close();
+  }
+});
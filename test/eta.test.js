@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../memory-store');
+const { predictEtas, createEtaMonitor } = require('../eta');
+const { createHarness, tripSeed, startApi } = require('./helpers');
+
+// Planned for 08:00 SAST (06:00Z); planned_eta is local time on that day
+const trip = { trip_id: 't1', vehicle_plate: 'P1', planned_start_time: '2025-11-03T06:00:00Z', timezone: 'Africa/Johannesburg' };
+const customers = () => [
+  { trip_id: 't1', customer_code: 'B', sequence_order: 2, latitude: -26.14, longitude: 28.0, completed: false,
+    planned_eta: '08:15:00', planned_distance_from_previous_km: 10 },
+  { trip_id: 't1', customer_code: 'A', sequence_order: 1, latitude: -26.12, longitude: 28.0, completed: false,
+    planned_eta: '08:10:00' },
+  { trip_id: 't1', customer_code: 'Z', sequence_order: 0, latitude: -26.11, longitude: 28.0, completed: true,
+    planned_eta: '08:05:00' }
+];
+const at = minutes => new Date(Date.parse('2025-11-03T06:00:00Z') + minutes * 60 * 1000);
+
+test('predictEtas walks the remaining stops in sequence with travel and dwell time', () => {
+  const stops = predictEtas(trip, customers(), { lat: -26.10, lng: 28.0, time: at(0) }, { speedKmh: 40, dwellMinutes: 15 });
+
+  assert.deepEqual(stops.map(s => s.customer_code), ['A', 'B']);
+  // 2.2km straight line to A on roads at 40 km/h is about 4 minutes
+  const [a, b] = stops;
+  assert.equal(a.planned_eta, '2025-11-03T06:10:00.000Z');
+  assert.ok(Math.abs(new Date(a.predicted_eta) - at(4.3)) < 60 * 1000, a.predicted_eta);
+  assert.equal(a.late, false);
+  assert.ok(a.late_by_minutes < 0);
+
+  // Then 15 minutes on site and the planned 10km leg (15 minutes) to B
+  assert.equal(new Date(b.predicted_eta) - new Date(a.predicted_eta), 30 * 60 * 1000);
+  assert.equal(b.planned_eta, '2025-11-03T06:15:00.000Z');
+  assert.equal(b.late, true);
+  assert.equal(b.late_by_minutes, 19);
+});
+
+test('a stop that turns late is recorded once until it recovers', async () => {
+  const store = createMemoryStore({ route_plans: [trip], assigned_customers: customers() });
+  const monitor = createEtaMonitor(store);
+
+  await monitor.update(trip, { lat: -26.10, lng: 28.0, speed: 40, time: at(0) });
+  assert.deepEqual(store.tables.eta_lateness_events.map(e => e.customer_code), ['B']);
+  assert.equal(store.tables.eta_lateness_events[0].detected_at, at(0).toISOString());
+
+  // Within the recompute interval nothing is recalculated
+  const cached = await monitor.update(trip, { lat: -26.11, lng: 28.0, speed: 40, time: at(0.5) });
+  assert.equal(cached.computed_at, at(0).toISOString());
+
+  await monitor.update(trip, { lat: -26.11, lng: 28.0, speed: 40, time: at(1) });
+  assert.equal(store.tables.eta_lateness_events.length, 1);
+  assert.equal(monitor.getTripEtas('t1').computed_at, at(1).toISOString());
+
+  monitor.forgetTrip('t1');
+  assert.equal(monitor.getTripEtas('t1'), null);
+});
+
+test('GET /trips/:tripId/eta returns the live ETAs and lateness events', async () => {
+  const seed = tripSeed();
+  seed.route_plans[0].planned_start_time = '2025-11-03T06:00:00Z';
+  seed.assigned_customers[0].planned_eta = '08:03:00';
+  seed.assigned_customers[1].planned_eta = '08:05:00';
+  const harness = createHarness(seed);
+  const api = await startApi(harness);
+  try {
+    assert.equal((await api.request('GET', '/trips/t1/eta')).status, 404);
+
+    await harness.fix('P1', 0, -26.10, 28.0, 40);
+    await harness.fix('P1', 1, -26.11, 28.0, 40);
+    const { status, body } = await api.request('GET', '/trips/t1/eta');
+    assert.equal(status, 200);
+    assert.deepEqual(body.stops.map(s => s.customer_code), ['A', 'B']);
+    assert.equal(body.computed_at, '2025-11-03T06:01:00.000Z');
+    assert.deepEqual(body.lateness_events.map(e => e.customer_code), ['B']);
+  } finally {
+    await api.close();
+    await harness.close();
+  }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { connectFeed, reconnectDelay } = require('../feed-connection');
+const { createHarness, tripSeed } = require('./helpers');
+
+test('reconnect delays back off exponentially with jitter up to the cap', () => {
+  for (let i = 0; i < 20; i++) {
+    const first = reconnectDelay(0);
+    assert.ok(first >= 500 && first <= 1000, `${first}`);
+    const third = reconnectDelay(2);
+    assert.ok(third >= 2000 && third <= 4000, `${third}`);
+    const capped = reconnectDelay(20);
+    assert.ok(capped >= 30000 && capped <= 60000, `${capped}`);
+  }
+});
+
+test('a dropped feed reconnects and reports the reconnect to onOpen', async () => {
+  const server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+  await once(server, 'listening');
+  const opens = [];
+  const closes = [];
+  const messages = [];
+  let reopened;
+  const reconnected = new Promise(resolve => { reopened = resolve; });
+
+  let connections = 0;
+  server.on('connection', (socket) => {
+    connections++;
+    if (connections === 1) socket.terminate();
+    else socket.send('{"Plate":"P1"}');
+  });
+
+  const feed = connectFeed(`ws://127.0.0.1:${server.address().port}`, {
+    onOpen: ({ reconnect }) => opens.push(reconnect),
+    onMessage: (data) => {
+      messages.push(data.toString());
+      reopened();
+    },
+    onClose: ({ code }) => closes.push(code)
+  });
+  try {
+    await reconnected;
+    assert.deepEqual(opens, [false, true]);
+    assert.equal(closes.length, 1);
+    assert.deepEqual(messages, ['{"Plate":"P1"}']);
+  } finally {
+    feed.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('each vehicle gets one telemetry gap from the first disconnect to its next fix', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    // As the trip-created subscription would on a live server
+    harness.tracker.startTripMonitoring('t1', 'P1');
+    await harness.fix('P1', 0, -26.10, 28.0, 40);
+    await harness.fix('P1', 1, -26.11, 28.0, 40);
+
+    harness.tracker.openTelemetryGaps(new Date('2025-11-03T06:02:00Z'));
+    // A failed reconnect attempt does not move the start of the gap
+    harness.tracker.openTelemetryGaps(new Date('2025-11-03T06:04:00Z'));
+    assert.equal(harness.store.tables.telemetry_gaps.length, 0);
+
+    await harness.fix('P1', 10, -26.12, 28.0, 40);
+    await harness.fix('P1', 11, -26.13, 28.0, 40);
+    const gaps = harness.store.tables.telemetry_gaps;
+    assert.equal(gaps.length, 1);
+    assert.equal(gaps[0].vehicle_plate, 'P1');
+    assert.equal(gaps[0].trip_id, 't1');
+    assert.equal(gaps[0].gap_start, '2025-11-03T06:02:00.000Z');
+    assert.equal(gaps[0].gap_end, '2025-11-03T06:10:00.000Z');
+    assert.equal(gaps[0].gap_minutes, 8);
+    assert.equal(gaps[0].last_loc_time_before, '2025-11-03 06:01:00');
+    assert.equal(gaps[0].first_loc_time_after, '2025-11-03 06:10:00');
+    assert.equal(harness.tracker.pendingTelemetryGaps.size, 0);
+  } finally {
+    await harness.close();
+  }
+});
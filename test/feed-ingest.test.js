@@ -0,0 +1,177 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const dgram = require('dgram');
+const { once } = require('events');
+const { createFeedIngest } = require('../feed-ingest');
+const { parseEpsFrame, extractEpsFrames } = require('../eps-parser');
+
+test('a TCP port already in use is logged instead of crashing the process', async () => {
+  const taken = net.createServer();
+  taken.listen(0, '127.0.0.1');
+  await once(taken, 'listening');
+  const errors = mock.method(console, 'error', () => {});
+  const ingest = createFeedIngest({ handleVehicleData: async () => {} }, { quarantineFile: '/dev/null' });
+  try {
+    const server = ingest.listenTcp(taken.address().port);
+    const [error] = await once(server, 'error');
+    assert.equal(error.code, 'EADDRINUSE');
+    assert.ok(errors.mock.calls.some(call => /EPS TCP listener on port \d+ error/.test(call.arguments[0])));
+  } finally {
+    errors.mock.restore();
+    await new Promise(resolve => taken.close(resolve));
+  }
+});
+
+const frame = (fields = {}) => {
+  const values = {
+    Plate: 'abc123gp', Speed: '42', Latitude: '-26.14391', Longitude: '28.043413', LocTime: '2025-11-03 06:00:00',
+    Mileage: '463477', Pocsagstr: '53.64.3.39', Head: 's', Geozone: '', DriverName: '', Address: 'Rosebank',
+    NameEvent: 'Engine On', Temperature: '', Statuses: '', ...fields
+  };
+  return `^${Object.values(values).join('|')}^`;
+};
+
+// An ingest feeding a recording tracker, quarantining into a temp file
+function createTestIngest() {
+  const received = [];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-ingest-'));
+  const quarantineFile = path.join(dir, 'quarantine.jsonl');
+  const ingest = createFeedIngest({ handleVehicleData: async data => received.push(data) }, { quarantineFile });
+  return {
+    ingest,
+    received,
+    quarantined: () => fs.readFileSync(quarantineFile, 'utf8').trim().split('\n').map(line => JSON.parse(line)),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+test('parseEpsFrame types the fields of a valid frame', () => {
+  const { data, error } = parseEpsFrame(frame());
+  assert.equal(error, null);
+  assert.equal(data.Plate, 'ABC123GP');
+  assert.equal(data.Speed, 42);
+  assert.equal(data.Latitude, -26.14391);
+  assert.equal(data.Longitude, 28.043413);
+  assert.equal(data.LocTime, '2025-11-03 06:00:00');
+  assert.equal(data.Head, 'S');
+  assert.equal(data.Temperature, null);
+  assert.equal(data.DriverName, 'UNKNOWN');
+});
+
+test('parseEpsFrame rejects malformed frames with the reason', () => {
+  const cases = [
+    ['ABC123GP|42', 'Frame must start and end with ^'],
+    [frame({ Statuses: 'x|y' }), 'Expected 14 fields, got 15'],
+    [frame({ Plate: 'AB-12' }), 'Plate "AB-12" is invalid'],
+    [frame({ Speed: '42.5' }), 'Speed "42.5" is not a whole number'],
+    [frame({ Speed: '400' }), 'Speed 400 is outside 0..300'],
+    [frame({ Latitude: '' }), 'Latitude is empty'],
+    [frame({ Longitude: 'east' }), 'Longitude "east" is not a number'],
+    [frame({ LocTime: '2025-02-30 06:00:00' }), 'LocTime "2025-02-30 06:00:00" is not a valid date/time'],
+    [frame({ LocTime: '03/11/2025 06:00' }), 'LocTime "03/11/2025 06:00" is not YYYY-MM-DD HH:MM:SS'],
+    [frame({ Head: 'UP' }), 'Head "UP" is not a compass heading']
+  ];
+  for (const [text, reason] of cases) {
+    assert.deepEqual(parseEpsFrame(text), { data: null, error: reason }, text);
+  }
+});
+
+test('extractEpsFrames splits frames, garbage and an unterminated remainder', () => {
+  const { frames, garbage, remainder } = extractEpsFrames(`noise^A|1^^B|2^ more ^C|3`);
+  assert.deepEqual(frames, ['^A|1^', '^B|2^']);
+  assert.deepEqual(garbage, ['noise', ' more ']);
+  assert.equal(remainder, '^C|3');
+});
+
+test('relay JSON and raw frames reach the tracker; anything else is counted and quarantined', async () => {
+  const { ingest, received, quarantined, cleanup } = createTestIngest();
+  const errors = mock.method(console, 'error', () => {});
+  try {
+    await ingest.handleMessage('{"Plate":"P1","Speed":0}');
+    await ingest.handleMessage(frame(), 'websocket');
+    await ingest.handleMessage('[1,2]');
+    await ingest.handleMessage('{"Plate":');
+    await ingest.handleFrame(frame({ Speed: '-5' }), 'tcp:10.0.0.1');
+    await ingest.flush();
+
+    assert.deepEqual(received.map(data => data.Plate), ['P1', 'ABC123GP']);
+    const metrics = ingest.getMetrics();
+    assert.equal(metrics.received, 5);
+    assert.equal(metrics.accepted, 2);
+    assert.equal(metrics.malformed, 3);
+    assert.deepEqual(metrics.sources['tcp:10.0.0.1'], { received: 1, accepted: 0, malformed: 1 });
+    assert.equal(metrics.reasons['Invalid JSON'], 1);
+    assert.equal(metrics.reasons['Speed N is outside N..N'], 1);
+    assert.deepEqual(quarantined().map(entry => entry.reason), ['Expected a JSON object', 'Invalid JSON', 'Speed -5 is outside 0..300']);
+  } finally {
+    errors.mock.restore();
+    cleanup();
+  }
+});
+
+test('frames split across and packed into TCP chunks are handled in order', async () => {
+  const { ingest, received, quarantined, cleanup } = createTestIngest();
+  const logs = mock.method(console, 'log', () => {});
+  const errors = mock.method(console, 'error', () => {});
+  const server = ingest.listenTcp(0);
+  try {
+    await once(server, 'listening');
+    const client = net.connect(server.address().port, '127.0.0.1');
+    await once(client, 'connect');
+    const first = frame({ Plate: 'P1' });
+    const second = frame({ Plate: 'P2' });
+    client.write(first.slice(0, 20));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    client.write(first.slice(20) + second + 'junk' + frame({ Plate: 'P3' }).slice(0, 10));
+    client.end();
+    await once(client, 'close');
+    // The server sees the end of the stream after the client has gone
+    for (let wait = 0; wait < 100 && ingest.getMetrics().received < 4; wait++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await ingest.flush();
+
+    assert.deepEqual(received.map(data => data.Plate), ['P1', 'P2']);
+    assert.deepEqual(quarantined().map(entry => entry.reason), ['Data outside a ^...^ frame', 'Unterminated frame']);
+    assert.match(quarantined()[0].source, /^tcp:/);
+  } finally {
+    logs.mock.restore();
+    errors.mock.restore();
+    await new Promise(resolve => server.close(resolve));
+    cleanup();
+  }
+});
+
+test('each UDP datagram is handled as whole frames', async () => {
+  const { ingest, received, quarantined, cleanup } = createTestIngest();
+  const logs = mock.method(console, 'log', () => {});
+  const errors = mock.method(console, 'error', () => {});
+  const socket = ingest.listenUdp(0);
+  const sender = dgram.createSocket('udp4');
+  try {
+    await once(socket, 'listening');
+    const { port } = socket.address();
+    await new Promise(resolve => sender.send(frame({ Plate: 'P1' }) + frame({ Plate: 'P2' }), port, '127.0.0.1', resolve));
+    // Not carried over into the next datagram
+    await new Promise(resolve => sender.send(frame({ Plate: 'P3' }).slice(0, 10), port, '127.0.0.1', resolve));
+    for (let wait = 0; wait < 100 && ingest.getMetrics().received < 3; wait++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await ingest.flush();
+
+    assert.deepEqual(received.map(data => data.Plate), ['P1', 'P2']);
+    assert.deepEqual(quarantined().map(entry => entry.reason), ['Unterminated frame']);
+    assert.equal(quarantined()[0].source, 'udp:127.0.0.1');
+  } finally {
+    logs.mock.restore();
+    errors.mock.restore();
+    sender.close();
+    socket.close();
+    cleanup();
+  }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { attachFleetStream } = require('../fleet-stream');
+const { createHarness, tripSeed } = require('./helpers');
+
+// Two vehicles on their own trips behind a fleet stream on an ephemeral port
+async function startStream(options = {}) {
+  const seed = tripSeed();
+  const second = tripSeed({ tripId: 't2', plate: 'P2' });
+  seed.route_plans.push(...second.route_plans);
+  seed.assigned_customers.push(...second.assigned_customers);
+  const harness = createHarness(seed);
+
+  const server = http.createServer();
+  const wss = attachFleetStream(server, harness.tracker, options);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const url = `ws://127.0.0.1:${server.address().port}/stream`;
+
+  async function close() {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+    await harness.close();
+  }
+
+  return { harness, url, close };
+}
+
+// A client that queues the messages it receives
+async function connect(url, options) {
+  const ws = new WebSocket(url, options);
+  const messages = [];
+  const waiting = [];
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    const next = waiting.shift();
+    if (next) next(message);
+    else messages.push(message);
+  });
+  await once(ws, 'open');
+  return {
+    ws,
+    next: () => (messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise(resolve => waiting.push(resolve)))
+  };
+}
+
+test('clients get a snapshot and then only the events they subscribed to', async () => {
+  const { harness, url, close } = await startStream();
+  try {
+    await harness.fix('P1', 0, -26.10, 28.0, 40);
+    await harness.fix('P2', 0, -26.10, 28.0, 40);
+
+    const p1 = await connect(`${url}?plates=P1`);
+    const all = await connect(url);
+    const p1Snapshot = await p1.next();
+    assert.equal(p1Snapshot.type, 'snapshot');
+    assert.deepEqual(p1Snapshot.vehicles.map(v => v.plate), ['P1']);
+    assert.deepEqual((await all.next()).vehicles.map(v => v.plate).sort(), ['P1', 'P2']);
+
+    await harness.fix('P2', 1, -26.11, 28.0, 40);
+    await harness.fix('P1', 1, -26.11, 28.0, 40);
+    const event = await p1.next();
+    assert.equal(event.plate, 'P1');
+    const fromAll = [await all.next(), await all.next()];
+    assert.ok(fromAll.some(e => e.plate === 'P2'));
+
+    // Resubscribing by trip switches the filter and sends a fresh snapshot
+    p1.ws.send(JSON.stringify({ type: 'subscribe', trips: ['t2'] }));
+    let resubscribed = await p1.next();
+    while (resubscribed.type !== 'snapshot') resubscribed = await p1.next();
+    assert.deepEqual(resubscribed.vehicles.map(v => v.plate), ['P2']);
+
+    p1.ws.send('not json');
+    assert.equal((await p1.next()).type, 'error');
+
+    p1.ws.close();
+    all.ws.close();
+  } finally {
+    await close();
+  }
+});
+
+test('clients that stop answering pings are dropped', async () => {
+  const { url, close } = await startStream({ pingIntervalMs: 50 });
+  try {
+    const healthy = await connect(url);
+    // A client that has gone away no longer answers pings
+    const client = await connect(url, { autoPong: false });
+    await client.next();
+    const [code] = await once(client.ws, 'close');
+    assert.equal(code, 1006);
+    assert.equal(healthy.ws.readyState, WebSocket.OPEN);
+    healthy.ws.close();
+  } finally {
+    await close();
+  }
+});
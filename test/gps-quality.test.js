@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGpsQualityFilter } = require('../gps-quality');
+
+const start = Date.parse('2025-11-03T06:00:00Z');
+const clock = () => new Date(start + 60 * 60 * 1000);
+
+function fixAt(filter, minutes, lat, lng) {
+  const time = new Date(start + minutes * 60 * 1000);
+  return filter.check({ Plate: 'P1', Latitude: lat, Longitude: lng }, time);
+}
+
+test('a vehicle that keeps reporting from a new place is re-anchored there', () => {
+  const filter = createGpsQualityFilter({ rules: ['impossible_jump'], jumpReanchorCount: 3, clock });
+  assert.equal(fixAt(filter, 0, -26.10, 28.0).accepted, true);
+
+  // 100km away a minute later, then moving on plausibly from there
+  assert.deepEqual(fixAt(filter, 1, -27.00, 28.0).reasons, ['impossible_jump']);
+  assert.equal(fixAt(filter, 2, -27.01, 28.0).accepted, false);
+  assert.equal(fixAt(filter, 3, -27.02, 28.0).accepted, true);
+  assert.equal(fixAt(filter, 4, -27.03, 28.0).accepted, true);
+});
+
+test('scattered outliers never re-anchor the vehicle', () => {
+  const filter = createGpsQualityFilter({ rules: ['impossible_jump'], jumpReanchorCount: 3, clock });
+  assert.equal(fixAt(filter, 0, -26.10, 28.0).accepted, true);
+
+  // Each outlier is far from the last accepted fix and from the previous outlier
+  assert.equal(fixAt(filter, 1, -27.00, 28.0).accepted, false);
+  assert.equal(fixAt(filter, 2, -25.00, 28.0).accepted, false);
+  assert.equal(fixAt(filter, 3, -26.10, 30.0).accepted, false);
+  assert.equal(fixAt(filter, 4, -28.00, 26.0).accepted, false);
+
+  // The real position is still the reference
+  assert.equal(fixAt(filter, 5, -26.11, 28.0).accepted, true);
+});
@@ -0,0 +1,79 @@
+const express = require('express');
+const { createMemoryStore } = require('../memory-store');
+const { createTripTracker } = require('../trip-tracker');
+const { createTripsRouter } = require('../trips-api');
+
+// A tracker on the memory store with a clock that follows the fixes it is fed, so GPS
+// time and "now" agree the way they do on a live feed. No coordinate retry file is written.
+function createHarness(seed, { start = '2025-11-03T06:00:00Z' } = {}) {
+  let now = new Date(start);
+  const clock = () => new Date(now);
+  const store = createMemoryStore(seed, { clock });
+  const tracker = createTripTracker(store, { clock, coordinateRetryFile: null });
+  const events = [];
+  tracker.events.on('event', event => events.push(event));
+
+  // Feed one fix at this many minutes after start
+  async function fix(plate, minutes, latitude, longitude, speed) {
+    now = new Date(Date.parse(start) + minutes * 60 * 1000);
+    await tracker.handleVehicleData({
+      Plate: plate,
+      Speed: speed,
+      Latitude: latitude,
+      Longitude: longitude,
+      LocTime: now.toISOString().slice(0, 19).replace('T', ' ')
+    });
+  }
+
+  return {
+    store,
+    tracker,
+    events,
+    clock,
+    fix,
+    setTime: time => { now = new Date(time); },
+    eventTypes: () => events.map(event => event.type),
+    close: () => tracker.coordinateWriter.close()
+  };
+}
+
+// Two customers 2km apart, due south of the start point
+function tripSeed({ tripId = 't1', plate = 'P1', createdAt = '2025-11-03T05:00:00Z' } = {}) {
+  return {
+    route_plans: [{ trip_id: tripId, vehicle_plate: plate, created_at: createdAt, actual_start_time: null, actual_end_time: null }],
+    assigned_customers: [
+      { trip_id: tripId, customer_code: 'A', sequence_order: 1, latitude: -26.12, longitude: 28.0, completed: false },
+      { trip_id: tripId, customer_code: 'B', sequence_order: 2, latitude: -26.14, longitude: 28.0, completed: false }
+    ]
+  };
+}
+
+// Mount the router on an ephemeral port; request(method, path, body) resolves to { status, body }.
+// base is the router's URL for requests that need the raw response
+async function startApi(harness, options = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1', createTripsRouter({ store: harness.store, tracker: harness.tracker, ...options }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+  async function request(method, path, { body, headers = {} } = {}) {
+    const response = await fetch(base + path, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  return { base, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+module.exports = {
+  createHarness,
+  tripSeed,
+  startApi
+};
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, tripSeed, startApi } = require('./helpers');
+
+const override = { actor: 'dispatch@example.com', reason: 'Signed POD received' };
+
+test('a dispatcher completes a customer with an actor and a reason', async () => {
+  const harness = createHarness(tripSeed());
+  const api = await startApi(harness);
+  try {
+    const missingReason = await api.request('POST', '/trips/t1/customers/A/complete', { body: { actor: override.actor } });
+    assert.equal(missingReason.status, 400);
+    assert.match(missingReason.body.error, /reason is required/);
+    assert.equal((await api.request('POST', '/trips/t1/customers/Z/complete', { body: override })).status, 404);
+
+    const completed = await api.request('POST', '/trips/t1/customers/A/complete', { body: override });
+    assert.equal(completed.status, 200);
+    const [a] = harness.store.tables.assigned_customers;
+    assert.equal(a.completed, true);
+    assert.equal(a.completed_at, '2025-11-03T06:00:00.000Z');
+    assert.equal(a.completion_source, 'manual');
+    assert.equal(a.completed_by, override.actor);
+    assert.equal(a.completion_reason, override.reason);
+
+    const event = harness.events.find(e => e.type === 'customer:completed');
+    assert.equal(event.source, 'manual');
+    assert.equal(event.actor, override.actor);
+
+    assert.equal((await api.request('POST', '/trips/t1/customers/A/complete', { body: override })).status, 409);
+    assert.equal((await api.request('POST', '/trips/t1/customers/B/reopen', { body: override })).status, 409);
+  } finally {
+    await api.close();
+    await harness.close();
+  }
+});
+
+test('reopening a customer on a finished trip reopens the trip', async () => {
+  const harness = createHarness(tripSeed());
+  const api = await startApi(harness);
+  try {
+    await harness.store.trips.update('t1', { actual_start_time: '2025-11-03T05:30:00.000Z' });
+    await api.request('POST', '/trips/t1/customers/A/complete', { body: override });
+    await api.request('POST', '/trips/t1/customers/B/complete', { body: override });
+    let [trip] = harness.store.tables.route_plans;
+    assert.equal(trip.completed, true);
+    assert.ok(trip.actual_end_time);
+
+    const reopened = await api.request('POST', '/trips/t1/customers/B/reopen', {
+      body: { actor: 'dispatch@example.com', reason: 'Delivered to the wrong site' }
+    });
+    assert.equal(reopened.status, 200);
+    assert.equal(reopened.body.trip_reopened, true);
+
+    [trip] = harness.store.tables.route_plans;
+    assert.equal(trip.actual_end_time, null);
+    assert.equal(trip.completed, false);
+    assert.ok(harness.tracker.activeTrips.has('t1'));
+    const b = harness.store.tables.assigned_customers[1];
+    assert.equal(b.completed, false);
+    assert.equal(b.completion_source, null);
+    assert.deepEqual(harness.eventTypes().slice(-2), ['customer:reopened', 'trip:reopened']);
+
+    const log = await api.request('GET', '/trips/t1/completion-log');
+    assert.deepEqual(log.body.entries.map(e => [e.customer_code, e.action]), [['A', 'complete'], ['B', 'complete'], ['B', 'reopen']]);
+    assert.equal(log.body.entries[2].reason, 'Delivered to the wrong site');
+  } finally {
+    await api.close();
+    await harness.close();
+  }
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../memory-store');
+
+// The memory store stands in for Supabase, so its results have to look the same
+test('writes resolve like the Supabase store', async () => {
+  const store = createMemoryStore({
+    route_plans: [{ trip_id: 't1', vehicle_plate: 'P1', actual_end_time: null }]
+  });
+
+  assert.deepEqual(await store.customers.insert([{ trip_id: 't1', customer_code: 'A', completed: false }]), { data: null, error: null });
+
+  const { data: trips } = await store.trips.update('t1', { actual_start_time: '2025-11-03T06:00:00.000Z' });
+  assert.equal(trips.length, 1);
+  assert.equal(trips[0].actual_start_time, '2025-11-03T06:00:00.000Z');
+
+  const { data: customers } = await store.customers.update('t1', 'A', { completed: true });
+  assert.deepEqual(customers.map(c => c.customer_code), ['A']);
+
+  const { data: none } = await store.trips.update('missing', { completed: true });
+  assert.deepEqual(none, []);
+});
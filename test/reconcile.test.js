@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../memory-store');
+const { parseOptions, reconcile } = require('../reconcile');
+const { createWebhookDispatcher } = require('../webhooks');
+
+// Stopped 9 minutes at B, then drove on
+const stopAtB = [
+  { trip_id: 't1', vehicle_plate: 'P1', latitude: -26.12, longitude: 28.0, speed: 40, timestamp: '2025-11-03T06:10:00Z' },
+  { trip_id: 't1', vehicle_plate: 'P1', latitude: -26.1401, longitude: 28.0, speed: 0, timestamp: '2025-11-03T06:24:00Z' },
+  { trip_id: 't1', vehicle_plate: 'P1', latitude: -26.1401, longitude: 28.0, speed: 0, timestamp: '2025-11-03T06:27:00Z' },
+  { trip_id: 't1', vehicle_plate: 'P1', latitude: -26.1402, longitude: 28.0, speed: 0, timestamp: '2025-11-03T06:31:00Z' },
+  { trip_id: 't1', vehicle_plate: 'P1', latitude: -26.16, longitude: 28.0, speed: 40, timestamp: '2025-11-03T06:33:00Z' }
+];
+
+// A started trip: A completed live, B never matched although the vehicle stopped there
+function reconcileSeed(trip = {}, track = stopAtB) {
+  return {
+    route_plans: [{
+      trip_id: 't1',
+      vehicle_plate: 'P1',
+      created_at: '2025-11-03T05:00:00Z',
+      actual_start_time: '2025-11-03T06:00:00Z',
+      actual_end_time: null,
+      ...trip
+    }],
+    assigned_customers: [
+      { trip_id: 't1', customer_code: 'A', sequence_order: 1, latitude: -26.12, longitude: 28.0, completed: true, completed_at: '2025-11-03T06:10:00Z' },
+      { trip_id: 't1', customer_code: 'B', sequence_order: 2, latitude: -26.14, longitude: 28.0, completed: false }
+    ],
+    trip_coordinates: track
+  };
+}
+
+const completeOptions = () => parseOptions(['complete', '--date', '2025-11-03', '--timezone', 'UTC']);
+
+test('reconcile complete finishes the trip through the tracker', async () => {
+  const store = createMemoryStore(reconcileSeed(), { clock: () => new Date('2025-11-03T18:00:00Z') });
+  const report = await reconcile(store, completeOptions());
+
+  assert.equal(report.summary.completed, 1);
+  assert.equal(report.summary.trips_completed, 1);
+  const [b] = store.tables.assigned_customers.filter(c => c.customer_code === 'B');
+  assert.equal(b.completion_source, 'script');
+  assert.equal(b.actual_arrival_time, '2025-11-03T06:24:00.000Z');
+  assert.equal(b.actual_departure_time, '2025-11-03T06:33:00.000Z');
+  assert.equal(store.tables.route_plans[0].completed, true);
+  assert.equal(store.tables.trip_audit.length, 1);
+  assert.equal(store.tables.trip_audit[0].trip_status, 'completed');
+});
+
+test('reconcile complete re-audits a trip that was already closed', async () => {
+  const store = createMemoryStore(reconcileSeed({ actual_end_time: '2025-11-03T07:00:00Z', close_reason: 'depot_return' }));
+  const report = await reconcile(store, completeOptions());
+
+  assert.equal(report.summary.trips_completed, 0);
+  assert.equal(store.tables.route_plans[0].actual_end_time, '2025-11-03T07:00:00Z');
+  assert.equal(store.tables.trip_audit.length, 1);
+  assert.equal(store.tables.trip_audit[0].completed_customers, 2);
+});
+
+test('a dry run changes nothing', async () => {
+  const store = createMemoryStore(reconcileSeed());
+  const report = await reconcile(store, parseOptions(['complete', '--date', '2025-11-03', '--timezone', 'UTC', '--dry-run']));
+
+  assert.equal(report.summary.would_complete, 1);
+  assert.equal(store.tables.route_plans[0].actual_end_time, null);
+  assert.equal(store.tables.trip_audit.length, 0);
+});
+
+test('driving past a customer completes nobody', async () => {
+  const driveBy = [
+    { trip_id: 't1', vehicle_plate: 'P1', latitude: -26.13, longitude: 28.0, speed: 40, timestamp: '2025-11-03T06:20:00Z' },
+    { trip_id: 't1', vehicle_plate: 'P1', latitude: -26.1401, longitude: 28.0, speed: 35, timestamp: '2025-11-03T06:21:00Z' },
+    { trip_id: 't1', vehicle_plate: 'P1', latitude: -26.15, longitude: 28.0, speed: 40, timestamp: '2025-11-03T06:22:00Z' }
+  ];
+  const store = createMemoryStore(reconcileSeed({}, driveBy));
+  const report = await reconcile(store, completeOptions());
+
+  assert.equal(report.summary.completed, 0);
+  const [b] = store.tables.assigned_customers.filter(c => c.customer_code === 'B');
+  assert.equal(b.completed, false);
+  assert.equal(report.results.find(r => r.customer_code === 'B').closest_distance_km, 0.011);
+});
+
+test('customers completed by reconcile send customer:completed webhooks', async () => {
+  const store = createMemoryStore(reconcileSeed());
+  await store.webhookEndpoints.insert({ url: 'https://hooks.example.com/trips', secret: 'x'.repeat(32), event_types: [] });
+  const posts = [];
+  const webhooks = createWebhookDispatcher(store, {
+    pollIntervalMs: 60 * 60 * 1000,
+    post: async (url, body) => {
+      posts.push(JSON.parse(body));
+      return { status: 200 };
+    }
+  });
+  try {
+    await reconcile(store, completeOptions(), { webhooks });
+    await webhooks.deliverDue();
+  } finally {
+    await webhooks.close();
+  }
+
+  const completed = posts.find(p => p.type === 'customer:completed');
+  assert.equal(completed.data.customer_code, 'B');
+  assert.equal(completed.data.source, 'script');
+  assert.ok(posts.some(p => p.type === 'trip:completed'));
+});
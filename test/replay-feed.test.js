@@ -0,0 +1,79 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { replayFeed } = require('../replay-feed');
+const { tripSeed } = require('./helpers');
+
+// The replay summary is printed with emoji, which Node 20's runner intermittently fails to parse
+mock.method(console, 'log', () => {});
+
+const locTime = minutes => new Date(Date.parse('2025-11-03T06:00:00Z') + minutes * 60 * 1000)
+  .toISOString().slice(0, 19).replace('T', ' ');
+const relay = (plate, minutes, latitude, speed) => JSON.stringify({
+  Plate: plate, Speed: speed, Latitude: latitude, Longitude: 28.0, LocTime: locTime(minutes)
+});
+
+// P1 drives off, stops 7 minutes at A (one fix as a raw EPS frame) and drives on; P2 is noise
+function writeRecording() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+  const lines = [
+    relay('P1', 0, -26.10, 40),
+    relay('P2', 0, -26.30, 40),
+    relay('P1', 1, -26.11, 40),
+    ...[2, 3, 4, 5, 6, 7].map(minute => relay('P1', minute, -26.12, 0)),
+    `^P1|0|-26.12|28.0|${locTime(8)}||1.2.3.4|N|||Somewhere|Ignition||^`,
+    'not a message',
+    relay('P1', 9, -26.13, 40)
+  ];
+  const recording = path.join(dir, 'recording.jsonl');
+  const seedFile = path.join(dir, 'seed.json');
+  fs.writeFileSync(recording, lines.join('\n') + '\n');
+  const { route_plans: [trip], assigned_customers: customers } = tripSeed();
+  delete trip.created_at;
+  fs.writeFileSync(seedFile, JSON.stringify({ route_plans: [trip], assigned_customers: customers }));
+  return { recording, seedFile, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('a recording replays through the feed handler into stops, completions and trip changes', async () => {
+  const { recording, seedFile, cleanup } = writeRecording();
+  try {
+    const summary = await replayFeed(recording, { mode: 'fast', speed: 60, storeType: 'memory', seedFile, plates: ['P1'] });
+
+    assert.equal(summary.stats.replayed, 11);
+    assert.equal(summary.stats.skipped, 1);
+    assert.equal(summary.stats.malformed, 1);
+    assert.equal(summary.stats.firstTime.toISOString(), '2025-11-03T06:00:00.000Z');
+    assert.equal(summary.stats.lastTime.toISOString(), '2025-11-03T06:09:00.000Z');
+
+    assert.deepEqual(summary.tripChanges.map(e => e.type), ['trip:started']);
+    assert.deepEqual(summary.completions.map(e => e.customer_code), ['A']);
+    // Events carry the recording's time, not the time of the replay
+    assert.equal(summary.completions[0].emitted_at, '2025-11-03T06:07:00.000Z');
+    assert.equal(summary.stops.length, 1);
+    assert.equal(summary.stops[0].customer_code, 'A');
+    assert.equal(summary.stops[0].stop_end, '2025-11-03T06:09:00.000Z');
+
+    const [trip] = summary.trips;
+    assert.equal(trip.trip_id, 't1');
+    assert.equal(trip.actual_start_time, '2025-11-03T06:01:00.000Z');
+    assert.equal(trip.completed, 1);
+    assert.equal(trip.total, 2);
+  } finally {
+    cleanup();
+  }
+});
+
+test('accelerated mode keeps the recorded gaps divided by the speed-up', async () => {
+  const { recording, seedFile, cleanup } = writeRecording();
+  try {
+    // Nine minutes of recording at 9000x is 60ms
+    const summary = await replayFeed(recording, { mode: 'accelerated', speed: 9000, storeType: 'memory', seedFile, plates: [] });
+    assert.equal(summary.stats.replayed, 12);
+    assert.ok(Date.now() - summary.stats.startedAt >= 55, `${Date.now() - summary.stats.startedAt}ms`);
+  } finally {
+    cleanup();
+  }
+});
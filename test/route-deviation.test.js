@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../memory-store');
+const { createRouteDeviationMonitor } = require('../route-deviation');
+const { createHarness, tripSeed } = require('./helpers');
+
+// Planned path due south from the start point; 28.01 runs parallel about 1km east of it
+const routeCoordinates = [[28.0, -26.10], [28.0, -26.20]];
+const at = minutes => new Date(Date.parse('2025-11-03T06:00:00Z') + minutes * 60 * 1000);
+
+test('a deviation still open when the trip ends is closed at the last position off route', async () => {
+  const store = createMemoryStore({
+    route_plans: [{ trip_id: 't1', vehicle_plate: 'P1', route_coordinates: routeCoordinates }]
+  });
+  const monitor = createRouteDeviationMonitor(store);
+
+  await monitor.checkPosition('t1', 'P1', { lat: -26.11, lng: 28.0, time: at(0) });
+  for (let minute = 1; minute <= 5; minute++) {
+    await monitor.checkPosition('t1', 'P1', { lat: -26.10 - minute * 0.005, lng: 28.01, time: at(minute) });
+  }
+  const [open] = store.tables.route_deviations;
+  assert.equal(open.end_time, undefined);
+
+  await monitor.endTrip('t1');
+  const [closed] = store.tables.route_deviations;
+  assert.equal(closed.end_time, at(5).toISOString());
+  assert.equal(closed.end_latitude, -26.125);
+  assert.equal(closed.duration_minutes, 4);
+  assert.ok(closed.driven_distance_km > 0);
+});
+
+test('closing a trip off route closes its open deviation', async () => {
+  const seed = tripSeed();
+  seed.route_plans[0].route_coordinates = routeCoordinates;
+  const harness = createHarness(seed);
+  try {
+    await harness.fix('P1', 0, -26.10, 28.0, 40);
+    await harness.fix('P1', 1, -26.11, 28.0, 40);
+    for (let minute = 2; minute <= 8; minute++) await harness.fix('P1', minute, -26.11 - (minute - 1) * 0.005, 28.01, 40);
+
+    const [trip] = harness.store.tables.route_plans;
+    await harness.tracker.closeTrip(trip, { reason: 'idle', endTime: at(8), detail: 'not moving' });
+
+    assert.ok(harness.store.tables.route_deviations.length > 0);
+    for (const deviation of harness.store.tables.route_deviations) assert.ok(deviation.end_time);
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeSequence } = require('../sequence-compliance');
+const { createHarness, tripSeed, startApi } = require('./helpers');
+
+const at = minutes => new Date(Date.parse('2025-11-03T06:00:00Z') + minutes * 60 * 1000).toISOString();
+// Customers in planned order; visits maps customer_code -> minutes after 06:00 it was arrived at
+function customers(codes, visits) {
+  return codes.map((code, index) => ({
+    customer_code: code,
+    sequence_order: index + 1,
+    completed: code in visits,
+    actual_arrival_time: code in visits ? at(visits[code]) : null
+  }));
+}
+
+test('visits in planned order are fully compliant', () => {
+  const { summary, visits } = analyzeSequence(customers(['A', 'B', 'C'], { A: 10, B: 20, C: 30 }));
+  assert.deepEqual(visits.map(v => [v.customer_code, v.actual_order, v.in_sequence]), [['A', 1, true], ['B', 2, true], ['C', 3, true]]);
+  assert.equal(summary.sequence_compliance, 100);
+  assert.equal(summary.out_of_sequence_visits, 0);
+});
+
+test('a skipped stop visited later is out of sequence and revisited', () => {
+  const { summary, visits, skipped_not_visited: notVisited } = analyzeSequence(customers(['A', 'B', 'C'], { A: 10, C: 20, B: 30 }));
+  const [, c, b] = visits;
+  assert.equal(c.in_sequence, false);
+  assert.deepEqual(c.skipped_customers, ['B']);
+  assert.equal(b.in_sequence, true);
+  assert.equal(b.revisited, true);
+  assert.equal(summary.out_of_sequence_visits, 1);
+  assert.equal(summary.skipped_revisited, 1);
+  assert.equal(summary.sequence_compliance, 66.7);
+  assert.deepEqual(notVisited, []);
+});
+
+test('one early detour does not fail the rest of the trip', () => {
+  const { summary, skipped_not_visited: notVisited } = analyzeSequence(customers(['A', 'B', 'C', 'D'], { A: 10, C: 20, D: 30 }));
+  assert.deepEqual(notVisited, ['B']);
+  assert.equal(summary.skipped_not_visited, 1);
+  assert.equal(summary.visited, 3);
+  // C and D were both visited with B still open, but they kept their order
+  assert.equal(summary.out_of_sequence_visits, 2);
+  assert.equal(summary.sequence_compliance, 100);
+});
+
+test('visit time falls back to completed_at and unsequenced customers are left out', () => {
+  const rows = [
+    { customer_code: 'A', sequence_order: 1, completed: true, completed_at: at(30), completion_source: 'manual' },
+    { customer_code: 'B', sequence_order: 2, completed: true, actual_arrival_time: at(10), completed_at: at(40) },
+    { customer_code: 'X', sequence_order: null, completed: true, completed_at: at(5) }
+  ];
+  const { summary, visits } = analyzeSequence(rows);
+  assert.deepEqual(visits.map(v => v.customer_code), ['B', 'A']);
+  assert.equal(visits[1].completion_source, 'manual');
+  assert.equal(visits[0].visited_at, at(10));
+  assert.equal(summary.sequenced_customers, 2);
+
+  assert.equal(analyzeSequence([]).summary.sequence_compliance, null);
+});
+
+test('GET /trips/:tripId/sequence reports the analysis and the audit records the score', async () => {
+  const seed = tripSeed();
+  seed.route_plans[0].actual_start_time = '2025-11-03T06:00:00.000Z';
+  seed.assigned_customers[1] = { ...seed.assigned_customers[1], completed: true, actual_arrival_time: at(10) };
+  const harness = createHarness(seed);
+  const api = await startApi(harness);
+  try {
+    const { status, body } = await api.request('GET', '/trips/t1/sequence');
+    assert.equal(status, 200);
+    assert.deepEqual(body.skipped_not_visited, ['A']);
+    assert.equal(body.summary.out_of_sequence_visits, 1);
+    assert.equal((await api.request('GET', '/trips/nope/sequence')).status, 404);
+
+    const audit = await api.request('POST', '/trips/t1/audit', { body: {} });
+    assert.equal(audit.body.audit.sequence_compliance, 100);
+    assert.equal(audit.body.audit.out_of_sequence_visits, 1);
+  } finally {
+    await api.close();
+    await harness.close();
+  }
+});
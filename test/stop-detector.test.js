@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStopDetector } = require('../stop-detector');
+
+const at = seconds => new Date(Date.parse('2025-11-03T06:00:00Z') + seconds * 1000);
+// About 11m north of the stop per 0.0001 degrees
+const fix = (seconds, speed, north = 0) => ({ lat: -26.12 + north * 0.0001, lng: 28.0, speed, time: at(seconds) });
+
+test('a stop starts once the vehicle has stayed slow and in place for the confirm time', () => {
+  const detector = createStopDetector();
+  assert.equal(detector.update('P1', fix(0, 40)).transition, null);
+  assert.equal(detector.update('P1', fix(30, 2)).transition, null);
+  assert.equal(detector.update('P1', fix(60, 0, 2)).stop, null);
+
+  const { transition, stop } = detector.update('P1', fix(90, 0, 1));
+  assert.equal(transition, 'start');
+  assert.equal(stop.start.toISOString(), at(30).toISOString());
+  assert.equal(stop.fixCount, 3);
+  assert.ok(Math.abs(stop.centroid.lat - (-26.12 + 0.0001)) < 1e-9);
+  assert.ok(stop.maxDriftM > 15 && stop.maxDriftM < 30);
+});
+
+test('speeding up or crawling away before the confirm time is not a stop', () => {
+  const detector = createStopDetector();
+  detector.update('P1', fix(0, 2));
+  assert.equal(detector.update('P1', fix(30, 20)).transition, null);
+  assert.equal(detector.update('P1', fix(90, 20)).transition, null);
+
+  // Crawling 100m in traffic restarts the candidate where the vehicle now is
+  detector.update('P1', fix(100, 2));
+  detector.update('P1', fix(130, 2, 9));
+  assert.equal(detector.update('P1', fix(160, 2, 9)).transition, null);
+  const { transition, stop } = detector.update('P1', fix(190, 2, 9));
+  assert.equal(transition, 'start');
+  assert.equal(stop.start.toISOString(), at(130).toISOString());
+});
+
+test('a brief move inside the hysteresis band does not end the stop', () => {
+  const detector = createStopDetector();
+  detector.update('P1', fix(0, 0));
+  assert.equal(detector.update('P1', fix(60, 0)).transition, 'start');
+
+  // Between the entry and exit speeds, and a short burst of speed, both keep the stop open
+  assert.equal(detector.update('P1', fix(90, 7)).transition, null);
+  assert.equal(detector.update('P1', fix(120, 15)).transition, null);
+  const { transition, stop } = detector.update('P1', fix(130, 0));
+  assert.equal(transition, null);
+  assert.equal(stop.start.toISOString(), at(0).toISOString());
+
+  // Late fixes are ignored
+  assert.equal(detector.update('P1', fix(100, 60, 50)).transition, null);
+});
+
+test('moving off ends the stop at the first moving fix', () => {
+  const detector = createStopDetector();
+  detector.update('P1', fix(0, 0));
+  detector.update('P1', fix(60, 0));
+
+  assert.equal(detector.update('P1', fix(120, 15)).transition, null);
+  const { transition, stop } = detector.update('P1', fix(150, 15, 3));
+  assert.equal(transition, 'end');
+  assert.equal(stop.start.toISOString(), at(0).toISOString());
+  assert.equal(stop.end.toISOString(), at(120).toISOString());
+  assert.equal(detector.update('P1', fix(160, 40, 6)).transition, null);
+});
+
+test('a jump far from the stop ends it straight away and may begin the next one', () => {
+  const detector = createStopDetector();
+  detector.update('P1', fix(0, 0));
+  detector.update('P1', fix(60, 0));
+
+  // 330m away and slow: the vehicle is already stopping somewhere else
+  const { transition, stop } = detector.update('P1', fix(120, 0, 30));
+  assert.equal(transition, 'end');
+  assert.equal(stop.end.toISOString(), at(120).toISOString());
+  const next = detector.update('P1', fix(180, 0, 30));
+  assert.equal(next.transition, 'start');
+  assert.equal(next.stop.start.toISOString(), at(120).toISOString());
+});
+
+test('a restored stop carries on as if the detector had never stopped', () => {
+  const detector = createStopDetector();
+  detector.restore('P1', { start: at(0), lastTime: at(300), centroid: { lat: -26.12, lng: 28.0 }, fixCount: 6 });
+
+  const still = detector.update('P1', fix(330, 0));
+  assert.equal(still.transition, null);
+  assert.equal(still.stop.fixCount, 7);
+
+  detector.update('P1', fix(360, 30, 1));
+  const { transition, stop } = detector.update('P1', fix(390, 30, 5));
+  assert.equal(transition, 'end');
+  assert.equal(stop.start.toISOString(), at(0).toISOString());
+  assert.equal(stop.end.toISOString(), at(360).toISOString());
+});
+
+test('each vehicle has its own stop and thresholds can be configured', () => {
+  const detector = createStopDetector({ confirmSeconds: 120 });
+  detector.update('P1', fix(0, 0));
+  detector.update('P2', fix(0, 40));
+  assert.equal(detector.update('P1', fix(60, 0)).transition, null);
+  assert.equal(detector.update('P2', fix(60, 0)).transition, null);
+  assert.equal(detector.update('P1', fix(120, 0)).transition, 'start');
+  assert.equal(detector.update('P2', fix(120, 0)).transition, null);
+});
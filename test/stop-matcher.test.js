@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchStopToCustomer } = require('../stop-matcher');
+
+const customer = { customer_code: 'A', sequence_order: 1, latitude: -26.12, longitude: 28.0 };
+// Due north of the customer, this many km away
+const stopAt = km => ({ lat: -26.12 + km / 111.2, lng: 28.0 });
+
+test('a stop at the customer completes it', () => {
+  const match = matchStopToCustomer({ location: stopAt(0.05), stopDurationMinutes: 6, customers: [customer], trip: {} });
+  assert.equal(match.decision, 'completed');
+  assert.equal(match.customer.customer_code, 'A');
+});
+
+test('a stop 4km away is not taken for the customer', () => {
+  assert.equal(matchStopToCustomer({ location: stopAt(4), stopDurationMinutes: 6, customers: [customer], trip: {} }).decision, 'no_match');
+
+  // Even inside a wide route geofence the only candidate has to be close to complete
+  const wide = matchStopToCustomer({ location: stopAt(4), stopDurationMinutes: 6, customers: [customer], trip: { geofence_radius_km: 5 } });
+  assert.equal(wide.decision, 'review');
+  assert.match(wide.reason, /too far out/);
+});
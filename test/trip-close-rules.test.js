@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../memory-store');
+const { createTripCloseMonitor } = require('../trip-close-rules');
+const { createHarness, tripSeed } = require('./helpers');
+
+const trip = { trip_id: 't1', vehicle_plate: 'P1', created_at: '2025-11-03T05:00:00Z', actual_start_time: '2025-11-03T06:00:00Z' };
+const at = minutes => new Date(Date.parse('2025-11-03T06:00:00Z') + minutes * 60 * 1000);
+
+// Leave the depot, come back at minute 60 and stay 15 minutes
+async function returnToDepot(monitor) {
+  await monitor.checkFix(trip, { lat: -26.1, lng: 28.0, speed: 40, time: at(1), atDepot: false });
+  let closure = null;
+  for (let minute = 60; minute <= 75 && !closure; minute++) {
+    closure = await monitor.checkFix(trip, { lat: -26.1, lng: 28.0, speed: 0, time: at(minute), atDepot: true });
+  }
+  return closure;
+}
+
+function monitorFor(customers) {
+  const store = createMemoryStore({ route_plans: [trip], assigned_customers: customers });
+  return createTripCloseMonitor(store, { rules: ['depot_return'] });
+}
+
+test('a depot return with the last stop still ahead is a reload', async () => {
+  const monitor = monitorFor([
+    { trip_id: 't1', customer_code: 'A', sequence_order: 1, completed: true },
+    { trip_id: 't1', customer_code: 'B', sequence_order: 2, completed: false }
+  ]);
+  assert.equal(await returnToDepot(monitor), null);
+});
+
+test('a depot return after the last planned stop closes the trip', async () => {
+  const monitor = monitorFor([
+    { trip_id: 't1', customer_code: 'A', sequence_order: 1, completed: false },
+    { trip_id: 't1', customer_code: 'B', sequence_order: 2, completed: true }
+  ]);
+  const closure = await returnToDepot(monitor);
+  assert.equal(closure.reason, 'depot_return');
+  assert.equal(closure.endTime.toISOString(), at(60).toISOString());
+});
+
+test('after a reload the next return can still close the trip', async () => {
+  const customers = [
+    { trip_id: 't1', customer_code: 'A', sequence_order: 1, completed: true },
+    { trip_id: 't1', customer_code: 'B', sequence_order: 2, completed: false }
+  ];
+  const store = createMemoryStore({ route_plans: [trip], assigned_customers: customers });
+  const monitor = createTripCloseMonitor(store, { rules: ['depot_return'] });
+  assert.equal(await returnToDepot(monitor), null);
+
+  await store.customers.update('t1', 'B', { completed: true });
+  await monitor.checkFix(trip, { lat: -26.1, lng: 28.0, speed: 40, time: at(80), atDepot: false });
+  const closure = await monitor.checkFix(trip, { lat: -26.1, lng: 28.0, speed: 0, time: at(120), atDepot: true }) ||
+    await monitor.checkFix(trip, { lat: -26.1, lng: 28.0, speed: 0, time: at(131), atDepot: true });
+  assert.equal(closure.reason, 'depot_return');
+});
+
+test('a trip closed by two rules at once is closed and announced once', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    await harness.store.trips.update('t1', { actual_start_time: '2025-11-03T06:00:00.000Z' });
+    const [trip] = await harness.store.trips.findOpen({}).then(({ data }) => data);
+
+    const statuses = await Promise.all([
+      harness.tracker.closeTrip(trip, { reason: 'end_of_day', endTime: at(600), detail: 'past the cutoff' }),
+      harness.tracker.closeTrip(trip, { reason: 'idle', endTime: at(300), detail: 'not moving' })
+    ]);
+
+    assert.deepEqual(statuses, ['abandoned', null]);
+    assert.equal(harness.store.tables.route_plans[0].close_reason, 'end_of_day');
+    assert.equal(harness.eventTypes().filter(type => type === 'trip:closed').length, 1);
+    assert.equal(harness.store.tables.trip_audit.length, 1);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a trip completed while a close is queued is not closed', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    await harness.store.trips.update('t1', { actual_start_time: '2025-11-03T06:00:00.000Z' });
+    await harness.store.customers.update('t1', 'A', { completed: true });
+    await harness.store.customers.update('t1', 'B', { completed: true });
+    const [trip] = await harness.store.trips.findOpen({}).then(({ data }) => data);
+
+    const [completed, closed] = await Promise.all([
+      harness.tracker.checkTripCompletion('t1'),
+      harness.tracker.closeTrip(trip, { reason: 'idle', endTime: at(300), detail: 'not moving' })
+    ]);
+
+    assert.equal(completed, true);
+    assert.equal(closed, null);
+    assert.equal(harness.store.tables.route_plans[0].completed, true);
+    assert.deepEqual(harness.eventTypes().filter(type => type.startsWith('trip:')), ['trip:completed']);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a trip planned the evening before is not closed before it runs', async () => {
+  const seed = tripSeed({ createdAt: '2025-11-02T16:00:00Z' });
+  seed.route_plans[0].planned_start_time = '2025-11-03T05:00:00Z';
+  const harness = createHarness(seed, { start: '2025-11-03T04:00:00Z' });
+  try {
+    assert.equal(await harness.tracker.closeOverdueTrips(), 0);
+    assert.equal(harness.store.tables.route_plans[0].actual_end_time, null);
+    assert.equal(harness.store.tables.trip_audit.length, 0);
+
+    // Never departed by the cutoff (23:59 SAST) of the day it was planned for
+    harness.setTime('2025-11-03T22:00:00Z');
+    assert.equal(await harness.tracker.closeOverdueTrips(), 1);
+    assert.equal(harness.store.tables.route_plans[0].close_reason, 'end_of_day');
+    assert.equal(harness.store.tables.route_plans[0].actual_end_time, '2025-11-03T21:59:00.000Z');
+  } finally {
+    await harness.close();
+  }
+});
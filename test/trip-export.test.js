@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../memory-store');
+const { loadTripExport, loadVehicleDayExport, formatExport } = require('../trip-export');
+const { parseOptions } = require('../export-track');
+const { createHarness, startApi } = require('./helpers');
+
+// A trip that completed A from a detected stop and has B still to visit.
+// The jump-flagged fix is not trusted and must not be exported.
+function exportSeed() {
+  return {
+    route_plans: [{
+      trip_id: 't1',
+      vehicle_plate: 'P1',
+      route_name: 'North & South',
+      created_at: '2025-11-03T05:00:00Z',
+      route_coordinates: [[28.0, -26.10], [28.0, -26.14]]
+    }],
+    assigned_customers: [
+      { trip_id: 't1', customer_code: 'B', customer_name: 'Bakery <Main>', sequence_order: 2, latitude: -26.14, longitude: 28.0,
+        completed: false, planned_eta: '08:30:00' },
+      { trip_id: 't1', customer_code: 'A', sequence_order: 1, latitude: -26.12, longitude: 28.0,
+        completed: true, completed_at: '2025-11-03T06:02:00Z', completion_source: 'live_stop' }
+    ],
+    trip_coordinates: [
+      { trip_id: 't1', latitude: -26.10, longitude: 28.0, speed: 36, timestamp: '2025-11-03T06:00:00Z', record_reason: 'start' },
+      { trip_id: 't1', latitude: -25.50, longitude: 28.0, speed: 40, timestamp: '2025-11-03T06:01:00Z', quality_flags: ['jump'] },
+      { trip_id: 't1', latitude: -26.12, longitude: 28.0, speed: 0, timestamp: '2025-11-03T06:02:00Z', record_reason: 'stop' }
+    ],
+    vehicle_stops: [
+      { id: 1, trip_id: 't1', vehicle_plate: 'P1', start_time: '2025-11-03T06:02:00Z', end_time: '2025-11-03T06:09:00Z',
+        duration_minutes: 7, centroid_latitude: -26.12, centroid_longitude: 28.0, decision: 'completed', customer_code: 'A' }
+    ]
+  };
+}
+
+async function loadExport() {
+  return loadTripExport(createMemoryStore(exportSeed()), 't1');
+}
+
+test('GeoJSON has the planned route, trusted track, customers and detected stops as layers', async () => {
+  const { features } = JSON.parse(formatExport([await loadExport()], 'geojson'));
+  const layer = name => features.filter(f => f.properties.layer === name);
+
+  assert.deepEqual(layer('planned_route')[0].geometry.coordinates, [[28.0, -26.10], [28.0, -26.14]]);
+  const [track] = layer('actual_track');
+  assert.deepEqual(track.geometry.coordinates, [[28.0, -26.10], [28.0, -26.12]]);
+  assert.deepEqual(track.properties.coordTimes, ['2025-11-03T06:00:00.000Z', '2025-11-03T06:02:00.000Z']);
+  assert.deepEqual(layer('track_point').map(f => f.properties.record_reason), ['start', 'stop']);
+
+  assert.deepEqual(layer('customer_stop').map(f => [f.properties.customer_code, f.properties.completed]), [['A', true], ['B', false]]);
+  assert.equal(layer('customer_stop')[0].properties.completion_source, 'live_stop');
+  const [stop] = layer('detected_stop');
+  assert.deepEqual(stop.geometry.coordinates, [28.0, -26.12]);
+  assert.equal(stop.properties.duration_minutes, 7);
+  assert.equal(stop.properties.customer_code, 'A');
+});
+
+test('GPX has waypoints, the planned route and the track with speed in m/s, all escaped', async () => {
+  const gpx = formatExport([await loadExport()], 'gpx');
+
+  assert.match(gpx, /<wpt lat="-26.12" lon="28">\n {4}<time>2025-11-03T06:02:00.000Z<\/time>\n {4}<name>1\. A<\/name>/);
+  assert.match(gpx, /<name>2\. Bakery &lt;Main&gt;<\/name>\n {4}<desc>Not completed - planned ETA 08:30:00<\/desc>\n {4}<type>customer_pending<\/type>/);
+  assert.match(gpx, /<name>Stop at A<\/name>\n {4}<desc>P1 North &amp; South \(t1\): 2025-11-03T06:02:00.000Z - 2025-11-03T06:09:00.000Z \(7min\), completed<\/desc>/);
+  assert.match(gpx, /<rte>\n {4}<name>Planned P1 North &amp; South \(t1\)<\/name>\n {4}<rtept lat="-26.1" lon="28"\/>\n {4}<rtept lat="-26.14" lon="28"\/>/);
+  assert.equal((gpx.match(/<trkpt /g) || []).length, 2);
+  assert.match(gpx, /<speed>10\.00<\/speed>/);
+  assert.doesNotMatch(gpx, /-25\.5/);
+});
+
+test('KML keeps each track point time and speed and a time span per stop', async () => {
+  const kml = formatExport([await loadExport()], 'kml');
+
+  assert.match(kml, /<Folder>\n {4}<name>P1 North &amp; South \(t1\)<\/name>/);
+  assert.deepEqual(kml.match(/<when>[^<]+<\/when>/g).slice(0, 2), ['<when>2025-11-03T06:00:00.000Z</when>', '<when>2025-11-03T06:02:00.000Z</when>']);
+  assert.equal((kml.match(/<gx:coord>/g) || []).length, 2);
+  assert.deepEqual(kml.match(/<gx:value>[^<]*<\/gx:value>/g), ['<gx:value>36</gx:value>', '<gx:value>0</gx:value>']);
+  assert.match(kml, /<styleUrl>#customer_completed<\/styleUrl>\n {6}<TimeStamp><when>2025-11-03T06:02:00.000Z<\/when><\/TimeStamp>/);
+  assert.match(kml, /<TimeSpan><begin>2025-11-03T06:02:00.000Z<\/begin><end>2025-11-03T06:09:00.000Z<\/end><\/TimeSpan>/);
+});
+
+test('a vehicle day export holds every trip of the vehicle on that day', async () => {
+  const seed = exportSeed();
+  seed.route_plans.push(
+    { trip_id: 't2', vehicle_plate: 'P1', created_at: '2025-11-03T09:00:00Z' },
+    { trip_id: 't3', vehicle_plate: 'P1', created_at: '2025-11-04T05:00:00Z' },
+    { trip_id: 't4', vehicle_plate: 'P2', created_at: '2025-11-03T05:00:00Z' }
+  );
+  const tripExports = await loadVehicleDayExport(createMemoryStore(seed), 'P1', '2025-11-03', 'Africa/Johannesburg');
+  assert.deepEqual(tripExports.map(e => e.trip.trip_id).sort(), ['t1', 't2']);
+  assert.deepEqual(tripExports.find(e => e.trip.trip_id === 't2').track, []);
+});
+
+test('export routes send the file as an attachment and reject unknown formats', async () => {
+  const harness = createHarness(exportSeed());
+  const api = await startApi(harness);
+  const base = api.base;
+  try {
+    const response = await fetch(`${base}/trips/t1/export?format=gpx`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /application\/gpx\+xml/);
+    assert.match(response.headers.get('content-disposition'), /filename="trip-t1\.gpx"/);
+    assert.match(await response.text(), /<gpx /);
+
+    const day = await fetch(`${base}/vehicles/P1/export?date=2025-11-03&format=kml`);
+    assert.match(day.headers.get('content-disposition'), /filename="P1-2025-11-03\.kml"/);
+
+    assert.equal((await api.request('GET', '/trips/t1/export?format=shp')).status, 400);
+    assert.equal((await api.request('GET', '/trips/nope/export')).status, 404);
+    assert.equal((await api.request('GET', '/vehicles/P1/export')).status, 400);
+    assert.equal((await api.request('GET', '/vehicles/P1/export?date=2025-11-05')).status, 404);
+  } finally {
+    await api.close();
+    await harness.close();
+  }
+});
+
+test('export-track needs one of --trip or --plate and a known format', () => {
+  assert.deepEqual(parseOptions(['--trip', 't1', '--format', 'kml']), {
+    tripId: 't1', plate: null, day: parseOptions(['--trip', 't1']).day, timezone: 'Africa/Johannesburg', format: 'kml', output: null
+  });
+  assert.equal(parseOptions(['--plate', 'P1', '--date', '2025-11-03']).day, '2025-11-03');
+  for (const args of [[], ['--trip', 't1', '--plate', 'P1'], ['--trip', 't1', '--date', '2025-11-03'],
+    ['--plate', 'P1', '--date', '3 Nov'], ['--trip', 't1', '--format', 'shp'], ['t1']]) {
+    assert.throws(() => parseOptions(args), undefined, args.join(' '));
+  }
+});
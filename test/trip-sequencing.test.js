@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectActiveTrip } = require('../trip-sequencing');
+const { tripOperatingDay } = require('../trip-day');
+const { createHarness } = require('./helpers');
+
+const now = new Date('2025-11-03T12:00:00Z');
+const morning = { trip_id: 'morning', vehicle_plate: 'P1', created_at: '2025-11-03T04:00:00Z', actual_start_time: '2025-11-03T06:00:00Z' };
+const afternoon = { trip_id: 'afternoon', vehicle_plate: 'P1', created_at: '2025-11-03T04:05:00Z', actual_start_time: '2025-11-03T11:00:00Z' };
+const evening = { trip_id: 'evening', vehicle_plate: 'P1', created_at: '2025-11-03T04:10:00Z', actual_start_time: null, planned_start_time: '2025-11-03T15:00:00Z' };
+
+test('a started trip wins over queued ones', () => {
+  const { trip, queued, conflict } = selectActiveTrip([evening, afternoon], now);
+  assert.equal(trip.trip_id, 'afternoon');
+  assert.deepEqual(queued.map(t => t.trip_id), ['evening']);
+  assert.equal(conflict, null);
+});
+
+test('the trip the vehicle is driving keeps it when another trip is started again', () => {
+  const { trip, conflict } = selectActiveTrip([morning, afternoon], now, { currentTripId: 'afternoon' });
+  assert.equal(trip.trip_id, 'afternoon');
+  assert.deepEqual(conflict, { reason: 'multiple_started_trips', active_trip_id: 'afternoon', conflicting_trip_ids: ['morning'] });
+});
+
+test('without a current trip the most recently started one wins', () => {
+  assert.equal(selectActiveTrip([morning, afternoon], now).trip.trip_id, 'afternoon');
+  assert.equal(selectActiveTrip([morning, afternoon], now, { currentTripId: 'morning' }).trip.trip_id, 'morning');
+});
+
+test('trips belong to the day they are planned for, not the day they were created', () => {
+  const plannedLastNight = { trip_id: 'early', vehicle_plate: 'P1', created_at: '2025-11-02T16:00:00Z', actual_start_time: null, planned_start_time: '2025-11-03T05:00:00Z' };
+  const plannedTomorrow = { trip_id: 'tomorrow', vehicle_plate: 'P1', created_at: '2025-11-03T08:00:00Z', actual_start_time: null, planned_start_time: '2025-11-04T05:00:00Z' };
+  assert.equal(tripOperatingDay(plannedLastNight), '2025-11-03');
+
+  const { trip, queued } = selectActiveTrip([plannedTomorrow, plannedLastNight], now);
+  assert.equal(trip.trip_id, 'early');
+  assert.deepEqual(queued, []);
+});
+
+test('reopening a completed morning trip leaves the running afternoon trip its fixes', async () => {
+  const harness = createHarness({
+    route_plans: [
+      { ...morning, actual_end_time: '2025-11-03T10:00:00Z', completed: true },
+      { ...afternoon, actual_end_time: null }
+    ],
+    assigned_customers: [
+      { trip_id: 'morning', customer_code: 'M1', sequence_order: 1, latitude: -26.30, longitude: 28.0, completed: true, completed_at: '2025-11-03T07:00:00Z' },
+      { trip_id: 'afternoon', customer_code: 'A1', sequence_order: 1, latitude: -26.12, longitude: 28.0, completed: false },
+      { trip_id: 'afternoon', customer_code: 'A2', sequence_order: 2, latitude: -26.20, longitude: 28.0, completed: false }
+    ]
+  }, { start: '2025-11-03T11:30:00Z' });
+  try {
+    await harness.fix('P1', 0, -26.10, 28.0, 40);
+    assert.equal(harness.tracker.vehicleTrips.get('P1'), 'afternoon');
+
+    const { tripReopened } = await harness.tracker.reopenCustomer('morning', 'M1', { actor: 'dispatch', reason: 'not delivered' });
+    assert.equal(tripReopened, true);
+
+    await harness.fix('P1', 1, -26.11, 28.0, 40);
+    for (let minute = 2; minute <= 8; minute++) await harness.fix('P1', minute, -26.12, 28.0, 0);
+
+    assert.equal(harness.tracker.vehicleTrips.get('P1'), 'afternoon');
+    assert.equal(harness.tracker.tripConflicts.get('P1').active_trip_id, 'afternoon');
+    const a1 = harness.store.tables.assigned_customers.find(c => c.customer_code === 'A1');
+    assert.equal(a1.completed, true);
+    assert.ok(harness.store.tables.trip_coordinates.every(c => c.trip_id === 'afternoon'));
+  } finally {
+    await harness.close();
+  }
+});
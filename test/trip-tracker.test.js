@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, tripSeed } = require('./helpers');
+
+// Drive off, stop 6 minutes at A, drive on, stop 6 minutes at B
+async function driveRoute(harness) {
+  await harness.fix('P1', 0, -26.10, 28.0, 40);
+  await harness.fix('P1', 1, -26.11, 28.0, 40);
+  for (let minute = 2; minute <= 8; minute++) await harness.fix('P1', minute, -26.12, 28.0, 0);
+  await harness.fix('P1', 9, -26.13, 28.0, 40);
+  for (let minute = 10; minute <= 16; minute++) await harness.fix('P1', minute, -26.14, 28.0, 0);
+}
+
+test('processVehicleData starts the trip once the vehicle drives off', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    await harness.fix('P1', 0, -26.10, 28.0, 40);
+    assert.equal(harness.store.tables.route_plans[0].actual_start_time, null);
+
+    await harness.fix('P1', 1, -26.11, 28.0, 40);
+    assert.equal(harness.store.tables.route_plans[0].actual_start_time, '2025-11-03T06:01:00.000Z');
+    assert.equal(harness.tracker.vehicleTrips.get('P1'), 't1');
+    assert.ok(harness.eventTypes().includes('trip:started'));
+  } finally {
+    await harness.close();
+  }
+});
+
+test('events are stamped with the tracker clock, so a replay carries recording time', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    await harness.fix('P1', 0, -26.10, 28.0, 40);
+    await harness.fix('P1', 1, -26.11, 28.0, 40);
+    const started = harness.events.find(event => event.type === 'trip:started');
+    assert.equal(started.emitted_at, '2025-11-03T06:01:00.000Z');
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a late fix starts the trip and is recorded at its GPS time', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    await harness.fix('P1', 0, -26.10, 28.0, 40);
+    // Fix taken at 06:01, delivered at 06:05
+    harness.setTime('2025-11-03T06:05:00Z');
+    await harness.tracker.handleVehicleData({ Plate: 'P1', Speed: 40, Latitude: -26.11, Longitude: 28.0, LocTime: '2025-11-03 06:01:00' });
+    assert.equal(harness.store.tables.route_plans[0].actual_start_time, '2025-11-03T06:01:00.000Z');
+
+    await harness.tracker.coordinateWriter.flush();
+    const [point] = harness.store.tables.trip_coordinates;
+    assert.equal(point.timestamp, '2025-11-03T06:01:00.000Z');
+    assert.equal(point.received_at, '2025-11-03T06:05:00.000Z');
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a 5 minute stop completes the customer it is at, arriving when the stop began', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    await driveRoute(harness);
+    const [a] = harness.store.tables.assigned_customers;
+
+    assert.equal(a.completed, true);
+    assert.equal(a.completion_source, 'live_stop');
+    assert.equal(a.actual_arrival_time, '2025-11-03T06:02:00.000Z');
+    assert.equal(a.actual_departure_time, '2025-11-03T06:09:00.000Z');
+    assert.equal(a.actual_visit_duration_minutes, 7);
+
+    const match = harness.store.tables.stop_matches.find(m => m.customer_code === 'A');
+    assert.equal(match.decision, 'completed');
+  } finally {
+    await harness.close();
+  }
+});
+
+test('completing the last customer completes and audits the trip', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    await driveRoute(harness);
+    const [trip] = harness.store.tables.route_plans;
+
+    assert.equal(trip.completed, true);
+    assert.ok(trip.actual_end_time);
+    assert.equal(harness.store.tables.trip_audit.length, 1);
+    assert.equal(harness.store.tables.trip_audit[0].trip_status, 'completed');
+    assert.equal(harness.eventTypes().filter(type => type === 'customer:completed').length, 2);
+    assert.equal(harness.eventTypes().filter(type => type === 'trip:completed').length, 1);
+    assert.equal(harness.tracker.vehicleTrips.has('P1'), false);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('handleLongStop ignores stops before the trip starts and records misses', async () => {
+  const harness = createHarness(tripSeed());
+  const stopAt = (lat, lng) => ({ id: null, stopStart: harness.clock(), location: { lat, lng } });
+  try {
+    assert.equal(await harness.tracker.handleLongStop('P1', stopAt(-26.12, 28.0), 6), null);
+    assert.equal(harness.store.tables.stop_matches.length, 0);
+
+    await harness.store.trips.update('t1', { actual_start_time: '2025-11-03T06:00:00.000Z' });
+    const outcome = await harness.tracker.handleLongStop('P1', stopAt(-26.30, 28.0), 6);
+    assert.notEqual(outcome.decision, 'completed');
+    assert.equal(outcome.visit, null);
+    assert.equal(harness.store.tables.stop_matches.length, 1);
+    assert.ok(harness.store.tables.assigned_customers.every(c => !c.completed));
+
+    const completed = await harness.tracker.handleLongStop('P1', stopAt(-26.12, 28.0), 6);
+    assert.equal(completed.decision, 'completed');
+    assert.equal(completed.visit.customerCode, 'A');
+  } finally {
+    await harness.close();
+  }
+});
+
+test('checkTripCompletion waits for every customer', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    await harness.store.trips.update('t1', { actual_start_time: '2025-11-03T06:00:00.000Z' });
+    await harness.store.customers.update('t1', 'A', { completed: true });
+    await harness.tracker.checkTripCompletion('t1');
+    assert.equal(harness.store.tables.route_plans[0].actual_end_time, null);
+
+    await harness.store.customers.update('t1', 'B', { completed: true });
+    await harness.tracker.checkTripCompletion('t1');
+    assert.equal(harness.store.tables.route_plans[0].completed, true);
+    assert.ok(harness.store.tables.route_plans[0].actual_end_time);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a review stop re-evaluated when it ends keeps one stop_matches row', async () => {
+  // Two customers either side of the stop with the same sequence - always ambiguous
+  const seed = tripSeed();
+  seed.assigned_customers = [
+    { trip_id: 't1', customer_code: 'A', sequence_order: 1, latitude: -26.12, longitude: 28.001, completed: false },
+    { trip_id: 't1', customer_code: 'B', sequence_order: 1, latitude: -26.12, longitude: 27.999, completed: false }
+  ];
+  const harness = createHarness(seed);
+  try {
+    await harness.fix('P1', 0, -26.10, 28.0, 40);
+    await harness.fix('P1', 1, -26.11, 28.0, 40);
+    for (let minute = 2; minute <= 8; minute++) await harness.fix('P1', minute, -26.12, 28.0, 0);
+    await harness.fix('P1', 9, -26.13, 28.0, 40);
+
+    const [stop] = harness.store.tables.vehicle_stops;
+    assert.ok(stop.end_time);
+    assert.equal(harness.store.tables.stop_matches.length, 1);
+    assert.equal(harness.store.tables.stop_matches[0].vehicle_stop_id, stop.id);
+    assert.equal(harness.store.tables.stop_matches[0].decision, 'review');
+    assert.equal(harness.store.tables.stop_matches[0].stop_duration_minutes, 7);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('resumeActiveTrips only loads trips from the current operating day', async () => {
+  const harness = createHarness({
+    route_plans: [
+      { trip_id: 'today', vehicle_plate: 'P1', created_at: '2025-11-03T04:00:00Z', actual_start_time: '2025-11-03T05:00:00Z', actual_end_time: null },
+      { trip_id: 'last-week', vehicle_plate: 'P2', created_at: '2025-10-27T04:00:00Z', actual_start_time: '2025-10-27T05:00:00Z', actual_end_time: null }
+    ]
+  });
+  const findOpen = harness.store.trips.findOpen;
+  const loaded = [];
+  harness.store.trips.findOpen = async options => {
+    const found = await findOpen(options);
+    loaded.push(...found.data.map(t => t.trip_id));
+    return found;
+  };
+  try {
+    await harness.tracker.resumeActiveTrips();
+    assert.deepEqual(loaded, ['today']);
+    assert.deepEqual([...harness.tracker.activeTrips.keys()], ['today']);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('checkTripCompletion leaves ended trips alone and stops on a store error', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    await harness.store.trips.update('t1', { actual_start_time: '2025-11-03T06:00:00.000Z' });
+    await harness.store.customers.update('t1', 'A', { completed: true });
+    await harness.store.customers.update('t1', 'B', { completed: true });
+
+    const complete = harness.store.trips.complete;
+    harness.store.trips.complete = async () => ({ data: null, error: { message: 'connection lost' } });
+    await harness.tracker.checkTripCompletion('t1');
+    assert.equal(harness.store.tables.route_plans[0].actual_end_time, null);
+    assert.equal(harness.store.tables.trip_audit.length, 0);
+    assert.ok(!harness.eventTypes().includes('trip:completed'));
+
+    harness.store.trips.complete = complete;
+    await harness.store.trips.update('t1', { actual_end_time: '2025-11-03T07:00:00.000Z', close_reason: 'idle' });
+    await harness.tracker.checkTripCompletion('t1');
+    assert.equal(harness.store.tables.route_plans[0].actual_end_time, '2025-11-03T07:00:00.000Z');
+    assert.notEqual(harness.store.tables.route_plans[0].completed, true);
+    assert.ok(!harness.eventTypes().includes('trip:completed'));
+  } finally {
+    await harness.close();
+  }
+});
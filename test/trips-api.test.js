@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, tripSeed, startApi } = require('./helpers');
+
+test('POST /trips/:tripId/audit only accepts known status overrides', async () => {
+  const harness = createHarness(tripSeed());
+  const api = await startApi(harness);
+  try {
+    const rejected = await api.request('POST', '/trips/t1/audit', { body: { status: 'DROP TABLE' } });
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.error, /status must be one of/);
+    assert.equal(harness.store.tables.trip_audit.length, 0);
+
+    const derived = await api.request('POST', '/trips/t1/audit', { body: {} });
+    assert.equal(derived.status, 200);
+    assert.equal(derived.body.audit.trip_status, 'in_progress');
+
+    const overridden = await api.request('POST', '/trips/t1/audit', { body: { status: 'abandoned' } });
+    assert.equal(overridden.status, 200);
+    assert.equal(overridden.body.audit.trip_status, 'abandoned');
+
+    const missing = await api.request('POST', '/trips/nope/audit', { body: {} });
+    assert.equal(missing.status, 404);
+  } finally {
+    await api.close();
+    await harness.close();
+  }
+});
+
+// t1 driven to A and on towards B; t2 planned for the day before and never started
+async function drivenToB() {
+  const seed = tripSeed();
+  const earlier = tripSeed({ tripId: 't2', plate: 'P2', createdAt: '2025-11-02T05:00:00Z' });
+  seed.route_plans[0].route_coordinates = [[28.0, -26.10], [28.0, -26.14]];
+  seed.route_plans.push(...earlier.route_plans);
+  const harness = createHarness(seed);
+  await harness.fix('P1', 0, -26.10, 28.0, 40);
+  await harness.fix('P1', 1, -26.11, 28.0, 40);
+  for (let minute = 2; minute <= 8; minute++) await harness.fix('P1', minute, -26.12, 28.0, 0);
+  await harness.fix('P1', 9, -26.13, 28.0, 40);
+  await harness.tracker.coordinateWriter.flush();
+  return harness;
+}
+
+test('GET /trips filters by operating day and status and pages the result', async () => {
+  const harness = await drivenToB();
+  const api = await startApi(harness);
+  try {
+    const today = await api.request('GET', '/trips?date=2025-11-03');
+    assert.equal(today.status, 200);
+    assert.deepEqual(today.body.data.map(t => t.trip_id), ['t1']);
+    assert.equal(today.body.data[0].route_coordinates, undefined);
+
+    const active = await api.request('GET', '/trips?status=active');
+    assert.deepEqual(active.body.data.map(t => t.trip_id), ['t1']);
+    const planned = await api.request('GET', '/trips?status=planned&plate=P2');
+    assert.deepEqual(planned.body.data.map(t => t.trip_id), ['t2']);
+
+    const paged = await api.request('GET', '/trips?limit=1&offset=1');
+    assert.deepEqual(paged.body.data.map(t => t.trip_id), ['t2']);
+    assert.deepEqual(paged.body.pagination, { limit: 1, offset: 1, total: 2 });
+
+    for (const query of ['date=03-11-2025', 'status=late', 'limit=0', 'offset=-1', 'from=yesterday']) {
+      assert.equal((await api.request('GET', `/trips?${query}`)).status, 400, query);
+    }
+  } finally {
+    await api.close();
+    await harness.close();
+  }
+});
+
+test('GET /trips/:tripId reports progress and each customer in sequence', async () => {
+  const harness = await drivenToB();
+  const api = await startApi(harness);
+  try {
+    const { status, body } = await api.request('GET', '/trips/t1');
+    assert.equal(status, 200);
+    assert.deepEqual(body.progress, { total_stops: 2, completed_stops: 1, progress_percentage: 50 });
+    assert.deepEqual(body.customers.map(c => [c.customer_code, c.completed]), [['A', true], ['B', false]]);
+    assert.equal(body.customers[0].actual_arrival_time, '2025-11-03T06:02:00.000Z');
+    assert.equal(body.customers[1].actual_arrival_time, null);
+
+    assert.equal((await api.request('GET', '/trips/nope')).status, 404);
+  } finally {
+    await api.close();
+    await harness.close();
+  }
+});
+
+test('GET /trips/:tripId/coordinates returns the track oldest first within a time range', async () => {
+  const harness = await drivenToB();
+  const api = await startApi(harness);
+  try {
+    const all = await api.request('GET', '/trips/t1/coordinates');
+    assert.equal(all.status, 200);
+    const times = all.body.data.map(c => c.timestamp);
+    assert.ok(times.length >= 3);
+    assert.deepEqual(times, [...times].sort());
+
+    const ranged = await api.request('GET', '/trips/t1/coordinates?from=2025-11-03T06:02:00Z&to=2025-11-03T06:09:00Z&limit=1');
+    assert.equal(ranged.body.data.length, 1);
+    assert.ok(ranged.body.data[0].timestamp >= '2025-11-03T06:02:00.000Z');
+    assert.equal(ranged.body.pagination.total, times.filter(t => t >= '2025-11-03T06:02' && t < '2025-11-03T06:09').length);
+  } finally {
+    await api.close();
+    await harness.close();
+  }
+});
+
+test('GET /vehicles/:plate/current returns the latest fix and the trip being driven', async () => {
+  const harness = await drivenToB();
+  const api = await startApi(harness);
+  try {
+    const { status, body } = await api.request('GET', '/vehicles/P1/current');
+    assert.equal(status, 200);
+    assert.deepEqual(body.position, {
+      latitude: -26.13,
+      longitude: 28.0,
+      speed: 40,
+      loc_time: '2025-11-03 06:09:00'
+    });
+    assert.equal(body.stopped, false);
+    assert.equal(body.trip.trip_id, 't1');
+
+    assert.equal((await api.request('GET', '/vehicles/P9/current')).status, 404);
+  } finally {
+    await api.close();
+    await harness.close();
+  }
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, tripSeed } = require('./helpers');
+
+// Feed a fix taken this many minutes after 06:00 but delivered `delay` minutes later
+async function lateFix(harness, minutes, latitude, speed, delay) {
+  const taken = new Date(Date.parse('2025-11-03T06:00:00Z') + minutes * 60 * 1000);
+  harness.setTime(new Date(taken.getTime() + delay * 60 * 1000));
+  await harness.tracker.handleVehicleData({
+    Plate: 'P1',
+    Speed: speed,
+    Latitude: latitude,
+    Longitude: 28.0,
+    LocTime: taken.toISOString().slice(0, 19).replace('T', ' ')
+  });
+}
+
+test('arrival, departure and dwell come from GPS time even when fixes arrive late', async () => {
+  const harness = createHarness(tripSeed());
+  try {
+    await lateFix(harness, 0, -26.10, 40, 20);
+    await lateFix(harness, 1, -26.11, 40, 20);
+    for (let minute = 2; minute <= 12; minute++) await lateFix(harness, minute, -26.12, 0, 20);
+
+    let [a] = harness.store.tables.assigned_customers;
+    assert.equal(a.completed, true);
+    assert.equal(a.completed_at, '2025-11-03T06:02:00.000Z');
+    assert.equal(a.actual_arrival_time, '2025-11-03T06:02:00.000Z');
+    assert.equal(a.actual_departure_time, undefined);
+
+    await lateFix(harness, 13, -26.13, 40, 20);
+    [a] = harness.store.tables.assigned_customers;
+    assert.equal(a.actual_departure_time, '2025-11-03T06:13:00.000Z');
+    assert.equal(a.actual_visit_duration_minutes, 11);
+
+    const stopEnd = harness.events.find(event => event.type === 'stop:end');
+    assert.equal(stopEnd.customer_code, 'A');
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a visit in progress across a restart still records its departure', async () => {
+  const seed = tripSeed();
+  seed.route_plans[0].actual_start_time = '2025-11-03T06:01:00Z';
+  seed.assigned_customers[0] = {
+    ...seed.assigned_customers[0],
+    completed: true,
+    completed_at: '2025-11-03T06:02:00.000Z',
+    actual_arrival_time: '2025-11-03T06:02:00.000Z'
+  };
+  seed.vehicle_stops = [{
+    id: 1,
+    vehicle_plate: 'P1',
+    trip_id: 't1',
+    start_time: '2025-11-03T06:02:00.000Z',
+    last_fix_time: '2025-11-03T06:08:00.000Z',
+    end_time: null,
+    centroid_latitude: -26.12,
+    centroid_longitude: 28.0,
+    fix_count: 7,
+    decision: 'completed',
+    customer_code: 'A'
+  }];
+  const harness = createHarness(seed, { start: '2025-11-03T06:09:00Z' });
+  try {
+    await harness.tracker.restoreOpenStops();
+    await harness.fix('P1', 1, -26.12, 28.0, 0);
+    await harness.fix('P1', 3, -26.13, 28.0, 40);
+
+    const [a] = harness.store.tables.assigned_customers;
+    assert.equal(a.actual_departure_time, '2025-11-03T06:12:00.000Z');
+    assert.equal(a.actual_visit_duration_minutes, 10);
+    assert.equal(harness.store.tables.vehicle_stops[0].end_time, '2025-11-03T06:12:00.000Z');
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebhookDispatcher, destinationError, publicLookup } = require('../webhooks');
+const { createHarness, tripSeed, startApi } = require('./helpers');
+
+// Node 20's runner intermittently fails to parse this file's stdout with the dispatcher's
+// log lines in it - they are not what is under test here
+mock.method(console, 'log', () => {});
+
+const TOKEN = 'test-token';
+const auth = { Authorization: `Bearer ${TOKEN}` };
+
+// A dispatcher on the harness store whose posts are recorded instead of sent
+function createDispatcher(harness) {
+  const posts = [];
+  const webhooks = createWebhookDispatcher(harness.store, {
+    clock: harness.clock,
+    pollIntervalMs: 60 * 60 * 1000,
+    post: async (url, body) => {
+      posts.push({ url, body: JSON.parse(body) });
+      return { status: 200 };
+    }
+  });
+  return { webhooks, posts };
+}
+
+async function queueDelivery(harness, endpointId) {
+  const { data } = await harness.store.webhookDeliveries.insert([{
+    endpoint_id: endpointId,
+    event_id: `event-${endpointId}`,
+    event_type: 'trip:started',
+    trip_id: 't1',
+    vehicle_plate: 'P1',
+    payload: { id: `event-${endpointId}`, type: 'trip:started', data: { trip_id: 't1' } },
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: harness.clock().toISOString()
+  }]);
+  return data[0];
+}
+
+const deliveryRow = (harness, id) => harness.store.tables.webhook_deliveries.find(d => d.id === id);
+
+test('webhook routes are off without a token and need it as a bearer token', async () => {
+  const harness = createHarness(tripSeed());
+  const { webhooks } = createDispatcher(harness);
+  const disabled = await startApi(harness, { webhooks, webhookAdminToken: '' });
+  const api = await startApi(harness, { webhooks, webhookAdminToken: TOKEN });
+  try {
+    assert.equal((await disabled.request('GET', '/webhooks/endpoints', { headers: auth })).status, 404);
+
+    assert.equal((await api.request('GET', '/webhooks/endpoints')).status, 401);
+    const wrong = await api.request('GET', '/webhooks/endpoints', { headers: { Authorization: 'Bearer nope' } });
+    assert.equal(wrong.status, 401);
+
+    const allowed = await api.request('GET', '/webhooks/endpoints', { headers: auth });
+    assert.equal(allowed.status, 200);
+  } finally {
+    await disabled.close();
+    await api.close();
+    await webhooks.close();
+    await harness.close();
+  }
+});
+
+test('endpoints must point at public http(s) destinations', async () => {
+  const harness = createHarness(tripSeed());
+  const { webhooks } = createDispatcher(harness);
+  const api = await startApi(harness, { webhooks, webhookAdminToken: TOKEN });
+  try {
+    for (const url of ['http://127.0.0.1/hook', 'http://localhost:3000/hook', 'http://169.254.169.254/latest', 'ftp://hooks.example.com']) {
+      const rejected = await api.request('POST', '/webhooks/endpoints', { body: { url }, headers: auth });
+      assert.equal(rejected.status, 400, url);
+    }
+    assert.equal(harness.store.tables.webhook_endpoints.length, 0);
+
+    const created = await api.request('POST', '/webhooks/endpoints', { body: { url: 'https://hooks.example.com/trips' }, headers: auth });
+    assert.equal(created.status, 201);
+    const moved = await api.request('PATCH', `/webhooks/endpoints/${created.body.id}`, { body: { url: 'http://10.0.0.5/hook' }, headers: auth });
+    assert.equal(moved.status, 400);
+  } finally {
+    await api.close();
+    await webhooks.close();
+    await harness.close();
+  }
+});
+
+test('destinationError refuses loopback, private and link-local hosts', async () => {
+  for (const url of ['http://127.0.0.1', 'http://[::1]', 'http://[::ffff:127.0.0.1]', 'http://10.1.2.3', 'http://192.168.0.10',
+    'http://100.64.0.1', 'http://0x7f000001', 'http://[fe80::1]', 'http://a.localhost']) {
+    assert.ok(destinationError(url), url);
+  }
+  for (const url of ['https://hooks.example.com/trips', 'http://8.8.8.8', 'http://[2606:4700::1111]']) {
+    assert.equal(destinationError(url), null, url);
+  }
+  assert.equal(destinationError('http://127.0.0.1', { allowPrivate: true }), null);
+
+  const lookupError = await new Promise(resolve => publicLookup('localhost', {}, error => resolve(error)));
+  assert.ok(lookupError);
+});
+
+test('deliveries for an inactive endpoint wait until it is reactivated', async () => {
+  const harness = createHarness(tripSeed());
+  const { webhooks, posts } = createDispatcher(harness);
+  const api = await startApi(harness, { webhooks, webhookAdminToken: TOKEN });
+  try {
+    const { body: endpoint } = await api.request('POST', '/webhooks/endpoints', { body: { url: 'https://hooks.example.com/trips' }, headers: auth });
+    await api.request('PATCH', `/webhooks/endpoints/${endpoint.id}`, { body: { active: false }, headers: auth });
+
+    const delivery = await queueDelivery(harness, endpoint.id);
+    await webhooks.deliverDue();
+    const parked = deliveryRow(harness, delivery.id);
+    assert.equal(parked.status, 'pending');
+    assert.equal(parked.attempts, 0);
+    assert.ok(parked.next_attempt_at > harness.clock().toISOString());
+    assert.equal(posts.length, 0);
+
+    const reactivated = await api.request('PATCH', `/webhooks/endpoints/${endpoint.id}`, { body: { active: true }, headers: auth });
+    assert.equal(reactivated.status, 200);
+    await webhooks.deliverDue();
+    assert.equal(deliveryRow(harness, delivery.id).status, 'delivered');
+    assert.deepEqual(posts.map(p => p.url), ['https://hooks.example.com/trips']);
+  } finally {
+    await api.close();
+    await webhooks.close();
+    await harness.close();
+  }
+});
+
+test('removing an endpoint fails its pending deliveries', async () => {
+  const harness = createHarness(tripSeed());
+  const { webhooks, posts } = createDispatcher(harness);
+  const api = await startApi(harness, { webhooks, webhookAdminToken: TOKEN });
+  try {
+    const { body: endpoint } = await api.request('POST', '/webhooks/endpoints', { body: { url: 'https://hooks.example.com/trips' }, headers: auth });
+    await api.request('PATCH', `/webhooks/endpoints/${endpoint.id}`, { body: { active: false }, headers: auth });
+    const delivery = await queueDelivery(harness, endpoint.id);
+
+    const removed = await api.request('DELETE', `/webhooks/endpoints/${endpoint.id}`, { headers: auth });
+    assert.equal(removed.status, 204);
+    const row = deliveryRow(harness, delivery.id);
+    assert.equal(row.status, 'failed');
+    assert.equal(row.last_error, 'Endpoint removed');
+    assert.equal(row.next_attempt_at, null);
+
+    await webhooks.deliverDue();
+    assert.equal(posts.length, 0);
+  } finally {
+    await api.close();
+    await webhooks.close();
+    await harness.close();
+  }
+});
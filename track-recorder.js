@@ -0,0 +1,203 @@
+const distance = require('@turf/distance').default;
+
+// Record a point once the vehicle is this far from the last recorded one
+const TRACK_MIN_DISTANCE_M = parseFloat(process.env.TRACK_MIN_DISTANCE_M) || 100;
+// ...or its course has turned this much since the last recorded point (after moving at least
+// TRACK_HEADING_MIN_DISTANCE_M, so a parked vehicle's jitter isn't a turn)
+const TRACK_HEADING_CHANGE_DEG = parseFloat(process.env.TRACK_HEADING_CHANGE_DEG) || 30;
+const TRACK_HEADING_MIN_DISTANCE_M = parseFloat(process.env.TRACK_HEADING_MIN_DISTANCE_M) || 20;
+// ...or this long (GPS time) has passed without one, e.g. while stationary
+const TRACK_HEARTBEAT_SECONDS = parseFloat(process.env.TRACK_HEARTBEAT_SECONDS) || 300;
+// Online simplification: a distance point within this many metres of the straight line between its
+// neighbours is dropped. 0 (default) keeps every distance point
+const TRACK_SIMPLIFY_TOLERANCE_M = parseFloat(process.env.TRACK_SIMPLIFY_TOLERANCE_M) || 0;
+// Save the last recorded position per plate at most this often (GPS time)
+const TRACK_STATE_PERSIST_SECONDS = parseFloat(process.env.TRACK_STATE_PERSIST_SECONDS) || 60;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+function metresBetween(a, b) {
+  return distance([a.lng, a.lat], [b.lng, b.lat], { units: 'kilometers' }) * 1000;
+}
+
+// Initial compass bearing (0-360) from a to b
+function bearing(a, b) {
+  const lat1 = toRadians(a.lat);
+  const lat2 = toRadians(b.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function turnDegrees(from, to) {
+  const difference = Math.abs(from - to) % 360;
+  return difference > 180 ? 360 - difference : difference;
+}
+
+// Distance in metres from p to the segment a-b, on a local flat projection
+function offsetFromSegmentM(p, a, b) {
+  const metresPerDegLat = 111320;
+  const metresPerDegLng = 111320 * Math.cos(toRadians(a.lat));
+  const bx = (b.lng - a.lng) * metresPerDegLng;
+  const by = (b.lat - a.lat) * metresPerDegLat;
+  const px = (p.lng - a.lng) * metresPerDegLng;
+  const py = (p.lat - a.lat) * metresPerDegLat;
+  const lengthSq = bx * bx + by * by;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq));
+  return Math.hypot(px - t * bx, py - t * by);
+}
+
+// Decides which fixes of a started trip go to trip_coordinates: distance, heading change, a heartbeat
+// and stop start/end, with optional online simplification. The last recorded position per plate lives
+// in vehicle_track_state so a restart doesn't reset it.
+// Every call resolves the points to write, oldest first: [{ lat, lng, speed, time, reason }]
+function createTrackRecorder(store, {
+  minDistanceM = TRACK_MIN_DISTANCE_M,
+  headingChangeDeg = TRACK_HEADING_CHANGE_DEG,
+  headingMinDistanceM = TRACK_HEADING_MIN_DISTANCE_M,
+  heartbeatSeconds = TRACK_HEARTBEAT_SECONDS,
+  simplifyToleranceM = TRACK_SIMPLIFY_TOLERANCE_M,
+  persistSeconds = TRACK_STATE_PERSIST_SECONDS
+} = {}) {
+  // plate -> { tripId, last: { lat, lng, time, course }, persistedAt, pending, previous: { lat, lng }, course }
+  const plates = new Map();
+
+  async function getState(plate) {
+    if (!plates.has(plate)) {
+      const { data: row, error } = await store.trackState.findByPlate(plate);
+      if (error) console.error(`Error loading track state for ${plate}:`, error);
+      plates.set(plate, {
+        tripId: row ? row.trip_id : null,
+        last: row ? {
+          lat: parseFloat(row.latitude),
+          lng: parseFloat(row.longitude),
+          time: new Date(row.recorded_at),
+          course: row.course != null ? parseFloat(row.course) : null
+        } : null,
+        persistedAt: row ? new Date(row.recorded_at) : null,
+        pending: null,
+        previous: null,
+        course: row && row.course != null ? parseFloat(row.course) : null
+      });
+    }
+    return plates.get(plate);
+  }
+
+  async function persist(plate, state, { force = false } = {}) {
+    const { last } = state;
+    if (!force && state.persistedAt && (last.time - state.persistedAt) / 1000 < persistSeconds) return;
+    state.persistedAt = last.time;
+    const { error } = await store.trackState.upsert({
+      vehicle_plate: plate,
+      trip_id: state.tripId,
+      latitude: last.lat,
+      longitude: last.lng,
+      course: last.course != null ? Number(last.course.toFixed(1)) : null,
+      recorded_at: last.time.toISOString()
+    });
+    if (error) console.error(`Error saving track state for ${plate}:`, error);
+  }
+
+  function accept(state, point) {
+    state.last = { lat: point.lat, lng: point.lng, time: point.time, course: state.course };
+    return point;
+  }
+
+  // Hand back the held-back distance point, if any
+  function releasePending(state) {
+    const pending = state.pending;
+    state.pending = null;
+    return pending ? [accept(state, pending)] : [];
+  }
+
+  function whyRecord(state, fix) {
+    const { last } = state;
+    if (!last) return 'first';
+    const movedM = metresBetween(last, fix);
+    if (movedM >= minDistanceM) return 'distance';
+    if (movedM >= headingMinDistanceM && last.course != null && state.course != null &&
+      turnDegrees(last.course, state.course) >= headingChangeDeg) {
+      return 'heading';
+    }
+    if ((fix.time - last.time) / 1000 >= heartbeatSeconds) return 'heartbeat';
+    return null;
+  }
+
+  // fix: { lat, lng, speed, time } - time is GPS time
+  async function recordFix(tripId, plate, fix) {
+    const state = await getState(plate);
+    if (state.last && fix.time < state.last.time) return [];
+
+    // Course over ground from the previous fix, held while the vehicle isn't really moving
+    if (state.previous && metresBetween(state.previous, fix) >= headingMinDistanceM) {
+      state.course = bearing(state.previous, fix);
+    }
+    if (!state.previous || metresBetween(state.previous, fix) >= headingMinDistanceM) {
+      state.previous = { lat: fix.lat, lng: fix.lng };
+    }
+
+    // A new trip starts its own track
+    if (state.tripId !== tripId) {
+      state.tripId = tripId;
+      state.last = null;
+      state.pending = null;
+    }
+
+    const reason = whyRecord(state, fix);
+    if (!reason) return [];
+    const point = { ...fix, reason };
+
+    let points;
+    if (reason === 'distance' && simplifyToleranceM > 0) {
+      // Hold distance points back one step - drop the held one if it lies on the line to this one
+      const pending = state.pending;
+      if (pending && offsetFromSegmentM(pending, state.last, point) < simplifyToleranceM) {
+        state.pending = point;
+        return [];
+      }
+      points = releasePending(state);
+      state.pending = point;
+      if (points.length === 0) return [];
+    } else {
+      points = [...releasePending(state), accept(state, point)];
+    }
+
+    await persist(plate, state);
+    return points;
+  }
+
+  // Stop start/end always get a point, at the stop's centroid and GPS time
+  async function recordStop(tripId, plate, location, time, reason) {
+    const state = await getState(plate);
+    if (state.tripId !== tripId) {
+      state.tripId = tripId;
+      state.last = null;
+      state.pending = null;
+    }
+    const points = [...releasePending(state), accept(state, { lat: location.lat, lng: location.lng, speed: 0, time, reason })];
+    await persist(plate, state, { force: true });
+    return points;
+  }
+
+  // Whatever is still held back for the trip - call before the track is read back
+  async function flushTrip(tripId) {
+    const points = [];
+    for (const [plate, state] of plates) {
+      if (state.tripId !== tripId || !state.pending) continue;
+      points.push(...releasePending(state).map(point => ({ ...point, plate })));
+      await persist(plate, state, { force: true });
+    }
+    return points;
+  }
+
+  return {
+    recordFix,
+    recordStop,
+    flushTrip
+  };
+}
+
+module.exports = {
+  createTrackRecorder
+};
@@ -0,0 +1,113 @@
+const distance = require('@turf/distance').default;
+const { averageRouteOffsetKm, summarizeDeviations } = require('./route-deviation');
+const { analyzeSequence } = require('./sequence-compliance');
+const { isTrustedCoordinate } = require('./gps-quality');
+
+const round = (value, places = 2) => (value == null || !Number.isFinite(value) ? null : Number(value.toFixed(places)));
+
+// Actual distance driven, summed over consecutive trip_coordinates (ordered by timestamp)
+function calculateActualDistanceKm(coordinates) {
+  let total = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    const prev = coordinates[i - 1];
+    const curr = coordinates[i];
+    total += distance(
+      [parseFloat(prev.longitude), parseFloat(prev.latitude)],
+      [parseFloat(curr.longitude), parseFloat(curr.latitude)],
+      { units: 'kilometers' }
+    );
+  }
+  return total;
+}
+
+function actualDurationMinutes(trip) {
+  if (trip.actual_duration_minutes != null) return Number(trip.actual_duration_minutes);
+  if (!trip.actual_start_time || !trip.actual_end_time) return null;
+  return (new Date(trip.actual_end_time) - new Date(trip.actual_start_time)) / 1000 / 60;
+}
+
+// trip_audit.trip_status values
+const AUDIT_STATUSES = ['completed', 'partial', 'abandoned', 'in_progress'];
+
+// completed when every customer is done, partial when some are, abandoned when none are
+function deriveTripStatus(trip, completedCustomers, totalCustomers) {
+  if (!trip.actual_end_time) return 'in_progress';
+  if (totalCustomers > 0 && completedCustomers === totalCustomers) return 'completed';
+  return completedCustomers > 0 ? 'partial' : 'abandoned';
+}
+
+// Build the trip_audit row described in tripMonitoring.md
+function buildTripAudit(trip, customers, coordinates, { status, deviations = [] } = {}) {
+  const totalCustomers = customers.length || Number(trip.total_stops) || 0;
+  const completedCustomers = customers.filter(c => c.completed).length;
+
+  const plannedDuration = trip.estimated_duration_minutes != null ? Number(trip.estimated_duration_minutes) : null;
+  const actualDuration = actualDurationMinutes(trip);
+  const plannedDistance = trip.total_distance_km != null ? Number(trip.total_distance_km) : null;
+  const actualDistance = calculateActualDistanceKm(coordinates);
+  const deviationSummary = summarizeDeviations(deviations);
+  const sequence = analyzeSequence(customers).summary;
+
+  return {
+    trip_id: trip.trip_id,
+    vehicle_plate: trip.vehicle_plate,
+    route_name: trip.route_name,
+    planned_duration_minutes: plannedDuration,
+    actual_duration_minutes: round(actualDuration),
+    duration_variance_minutes: plannedDuration != null && actualDuration != null ? round(actualDuration - plannedDuration) : null,
+    planned_distance_km: plannedDistance,
+    actual_distance_km: round(actualDistance, 3),
+    distance_variance_km: plannedDistance != null ? round(actualDistance - plannedDistance, 3) : null,
+    total_customers: totalCustomers,
+    completed_customers: completedCustomers,
+    completion_rate: totalCustomers > 0 ? round(completedCustomers * 100 / totalCustomers) : 0,
+    time_efficiency: actualDuration > 0 && plannedDuration != null ? round(plannedDuration * 100 / actualDuration) : 0,
+    distance_efficiency: actualDistance > 0 && plannedDistance != null ? round(plannedDistance * 100 / actualDistance) : 0,
+    avg_route_deviation_km: round(averageRouteOffsetKm(trip.route_coordinates, coordinates), 3),
+    route_deviation_count: deviationSummary.deviation_count,
+    route_deviation_extra_km: deviationSummary.total_extra_distance_km,
+    sequence_compliance: sequence.sequence_compliance,
+    out_of_sequence_visits: sequence.out_of_sequence_visits,
+    skipped_revisited_visits: sequence.skipped_revisited,
+    trip_status: status || deriveTripStatus(trip, completedCustomers, totalCustomers),
+    close_reason: trip.close_reason || null,
+    audit_created_at: new Date().toISOString()
+  };
+}
+
+// Compute and persist the audit for a trip - also used to regenerate it on demand
+async function generateTripAudit(store, tripId, options = {}) {
+  const { data: trip, error: tripError } = await store.trips.findById(tripId);
+  if (tripError) throw new Error(`Error loading trip ${tripId}: ${tripError.message}`);
+  if (!trip) return null;
+
+  const { data: customers, error: customersError } = await store.customers.findByTrip(tripId);
+  if (customersError) throw new Error(`Error loading customers for trip ${tripId}: ${customersError.message}`);
+
+  const { data: coordinates, error: coordinatesError } = await store.coordinates.findByTrip(tripId);
+  if (coordinatesError) throw new Error(`Error loading coordinates for trip ${tripId}: ${coordinatesError.message}`);
+
+  const { data: deviations, error: deviationsError } = await store.deviations.findByTrip(tripId);
+  if (deviationsError) throw new Error(`Error loading route deviations for trip ${tripId}: ${deviationsError.message}`);
+
+  // Fixes tagged by the GPS quality filter don't count towards distance or deviation
+  const track = (coordinates || []).filter(isTrustedCoordinate);
+  const audit = buildTripAudit(trip, customers || [], track, { ...options, deviations: deviations || [] });
+
+  const { error } = await store.audits.upsert(audit);
+  if (error) throw new Error(`Error saving audit for trip ${tripId}: ${error.message}`);
+
+  // Keep route_plans in step so the analytics queries can read it directly
+  await store.trips.update(tripId, { actual_distance_km: audit.actual_distance_km });
+
+  console.log(`📊 Audit for trip ${tripId}: ${audit.trip_status}, ${audit.completed_customers}/${audit.total_customers} customers, ${audit.actual_distance_km}km driven`);
+  return audit;
+}
+
+module.exports = {
+  AUDIT_STATUSES,
+  calculateActualDistanceKm,
+  deriveTripStatus,
+  buildTripAudit,
+  generateTripAudit
+};
@@ -0,0 +1,168 @@
+const distance = require('@turf/distance').default;
+const { parseRouteLine } = require('./route-deviation');
+const { operatingDay, tripOperatingDay, tripTimezone, zonedTimeToUtc } = require('./trip-day');
+
+// Rules that close a trip before every customer is completed (comma separated):
+//   depot_return, end_of_day, idle
+const TRIP_CLOSE_RULES = (process.env.TRIP_CLOSE_RULES ?? 'depot_return,end_of_day,idle')
+  .split(',').map(rule => rule.trim()).filter(Boolean);
+// depot_return: back at the depot for the dwell time, after leaving it, with no customer outstanding
+// or the last planned stop done (anything else is a mid-trip reload). Trips without a depot
+// geofence (see depots.js) use this radius around the start of the planned route
+const TRIP_CLOSE_DEPOT_RADIUS_M = parseFloat(process.env.TRIP_CLOSE_DEPOT_RADIUS_M) || 300;
+const TRIP_CLOSE_DEPOT_DWELL_MINUTES = parseFloat(process.env.TRIP_CLOSE_DEPOT_DWELL_MINUTES) || 10;
+// end_of_day: local time (trip timezone) after which the operating day's open trips are closed
+const TRIP_CLOSE_CUTOFF_TIME = process.env.TRIP_CLOSE_CUTOFF_TIME || '23:59';
+// idle: no fix at or above the idle speed - or no fix at all, engine off - for this long
+const TRIP_CLOSE_IDLE_MINUTES = parseFloat(process.env.TRIP_CLOSE_IDLE_MINUTES) || 180;
+const TRIP_CLOSE_IDLE_SPEED_KMH = parseFloat(process.env.TRIP_CLOSE_IDLE_SPEED_KMH) || 5;
+
+const minutesBetween = (from, to) => (to - from) / 1000 / 60;
+
+// The planned route starts at the depot - its first point stands in when no depot is assigned
+function routeStart(trip) {
+  const routeLine = parseRouteLine(trip.route_coordinates);
+  if (!routeLine) return null;
+  const [lng, lat] = routeLine.geometry.coordinates[0];
+  return { lat, lng };
+}
+
+// UTC instant of the end-of-day cutoff on the day the trip started - or, not started yet, the day it
+// is planned for - so a trip planned the evening before isn't cut off before it departs
+function cutoffTime(trip, time = TRIP_CLOSE_CUTOFF_TIME) {
+  const timeZone = tripTimezone(trip);
+  const day = trip.actual_start_time ? operatingDay(new Date(trip.actual_start_time), timeZone) : tripOperatingDay(trip);
+  return zonedTimeToUtc(day, time, timeZone);
+}
+
+// Decides when an open trip should be closed without every customer completed.
+// Both checks resolve null or { reason, endTime, detail } - endTime is when the trip really ended
+// (arrival back at the depot, last movement, the cutoff), not when the rule noticed.
+function createTripCloseMonitor(store, {
+  rules = TRIP_CLOSE_RULES,
+  depotRadiusM = TRIP_CLOSE_DEPOT_RADIUS_M,
+  depotDwellMinutes = TRIP_CLOSE_DEPOT_DWELL_MINUTES,
+  cutoff = TRIP_CLOSE_CUTOFF_TIME,
+  idleMinutes = TRIP_CLOSE_IDLE_MINUTES,
+  idleSpeedKmh = TRIP_CLOSE_IDLE_SPEED_KMH
+} = {}) {
+  const enabled = new Set(rules);
+  const routeStarts = new Map(); // tripId -> { lat, lng } | null (no planned path)
+  const state = new Map(); // tripId -> { leftDepot, depotSince, lastMovingAt, lastFixAt }
+
+  // Open-trip listings leave out route_coordinates - load the full row once per trip
+  async function getRouteStart(tripId) {
+    if (!routeStarts.has(tripId)) {
+      const { data: trip } = await store.trips.findById(tripId);
+      routeStarts.set(tripId, trip ? routeStart(trip) : null);
+    }
+    return routeStarts.get(tripId);
+  }
+
+  // A return ends the trip once nothing is left to deliver or the route's last stop is done -
+  // back at the depot with earlier stops outstanding and the last one still ahead is a reload
+  async function routeFinished(tripId) {
+    const { data: customers, error } = await store.customers.findByTrip(tripId);
+    if (error) {
+      console.error(`Error loading customers for trip ${tripId}:`, error);
+      return false;
+    }
+    const outstanding = (customers || []).filter(c => !c.completed);
+    if (outstanding.length === 0) return true;
+    const lastStop = (customers || []).reduce((last, c) =>
+      (c.sequence_order ?? -Infinity) > (last.sequence_order ?? -Infinity) ? c : last);
+    return lastStop.sequence_order != null && lastStop.completed;
+  }
+
+  function tripState(trip, time) {
+    if (!state.has(trip.trip_id)) {
+      state.set(trip.trip_id, {
+        leftDepot: false,
+        depotSince: null,
+        lastMovingAt: time,
+        lastFixAt: time
+      });
+    }
+    return state.get(trip.trip_id);
+  }
+
+  // A fix ({ lat, lng, speed, time, atDepot } - GPS time) on a started trip. atDepot comes from
+  // the depot geofence; null falls back to the start of the planned route.
+  async function checkFix(trip, fix) {
+    const current = tripState(trip, fix.time);
+    if (fix.time < current.lastFixAt) return null;
+    current.lastFixAt = fix.time;
+    if (fix.speed >= idleSpeedKmh) current.lastMovingAt = fix.time;
+
+    let atDepot = fix.atDepot ?? null;
+    if (atDepot === null && enabled.has('depot_return')) {
+      const start = await getRouteStart(trip.trip_id);
+      if (start) atDepot = distance([fix.lng, fix.lat], [start.lng, start.lat], { units: 'kilometers' }) * 1000 <= depotRadiusM;
+    }
+    if (enabled.has('depot_return') && atDepot !== null) {
+      if (!atDepot) {
+        current.leftDepot = true;
+        current.depotSince = null;
+      } else if (current.leftDepot) {
+        current.depotSince = current.depotSince || fix.time;
+        const dwell = minutesBetween(current.depotSince, fix.time);
+        if (dwell >= depotDwellMinutes) {
+          if (await routeFinished(trip.trip_id)) {
+            return { reason: 'depot_return', endTime: current.depotSince, detail: `back at the depot for ${dwell.toFixed(0)}min` };
+          }
+          // Wait for the vehicle to head out again before the next return counts
+          console.log(`🔄 Trip ${trip.trip_id} back at the depot with customers still to visit - treating it as a reload`);
+          current.leftDepot = false;
+          current.depotSince = null;
+        }
+      }
+    }
+
+    if (enabled.has('idle')) {
+      const idle = minutesBetween(current.lastMovingAt, fix.time);
+      if (idle >= idleMinutes) {
+        return { reason: 'idle', endTime: current.lastMovingAt, detail: `not moving for ${idle.toFixed(0)}min` };
+      }
+    }
+    return null;
+  }
+
+  // Periodic check of an open trip, with or without fixes. silent is false while the feed
+  // itself is down, so an outage is not taken for engine-off.
+  function checkOverdue(trip, now, { silent = true } = {}) {
+    if (enabled.has('end_of_day')) {
+      const dayEnd = cutoffTime(trip, cutoff);
+      if (now >= dayEnd) {
+        const lastFix = state.has(trip.trip_id) ? state.get(trip.trip_id).lastFixAt : null;
+        const endTime = trip.actual_start_time && lastFix && lastFix < dayEnd ? lastFix : dayEnd;
+        return { reason: 'end_of_day', endTime, detail: `past the ${cutoff} cutoff` };
+      }
+    }
+
+    if (enabled.has('idle') && silent && trip.actual_start_time) {
+      // Trips with no fix since startup count their silence from the first check
+      const current = tripState(trip, now);
+      const quiet = minutesBetween(current.lastFixAt, now);
+      if (quiet >= idleMinutes) {
+        return { reason: 'idle', endTime: current.lastMovingAt, detail: `no position for ${quiet.toFixed(0)}min` };
+      }
+    }
+    return null;
+  }
+
+  function forgetTrip(tripId) {
+    routeStarts.delete(tripId);
+    state.delete(tripId);
+  }
+
+  return {
+    checkFix,
+    checkOverdue,
+    forgetTrip
+  };
+}
+
+module.exports = {
+  TRIP_CLOSE_RULES,
+  createTripCloseMonitor
+};
@@ -0,0 +1,99 @@
+// Operating-day resolution shared by the server, test routes and scripts.
+// Every "today" is computed in an IANA timezone instead of shifting UTC by hand.
+const DEFAULT_TIMEZONE = process.env.OPERATING_TIMEZONE || 'Africa/Johannesburg';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock parts of an instant in a timezone
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+// Timezone for a trip: route_plans.timezone (set per depot), else OPERATING_TIMEZONE
+function tripTimezone(trip) {
+  return (trip && trip.timezone) || DEFAULT_TIMEZONE;
+}
+
+// Operating day (YYYY-MM-DD) of an instant in a timezone
+function operatingDay(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = zonedParts(new Date(date), timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+// Offset in ms between a timezone's wall clock and UTC at a given instant
+function timezoneOffsetMs(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// UTC instant of a local wall-clock time (day 'YYYY-MM-DD', time 'HH:MM[:SS]') in a timezone
+function zonedTimeToUtc(day, time = '00:00:00', timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hour, minute, second = 0] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, date, hour, minute, second);
+  // Two passes settle the offset across DST transitions
+  let utc = wallClock - timezoneOffsetMs(new Date(wallClock), timeZone);
+  utc = wallClock - timezoneOffsetMs(new Date(utc), timeZone);
+  return new Date(utc);
+}
+
+// UTC [start, end) ISO bounds of an operating day, for created_at / timestamp range queries
+function dayBoundsUtc(day, timeZone = DEFAULT_TIMEZONE) {
+  const start = zonedTimeToUtc(day, '00:00:00', timeZone);
+  const [year, month, date] = day.split('-').map(Number);
+  const nextDay = new Date(Date.UTC(year, month - 1, date + 1)).toISOString().split('T')[0];
+  const end = zonedTimeToUtc(nextDay, '00:00:00', timeZone);
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+// Feed LocTime ('YYYY-MM-DD HH:MM:SS') is GPS time in UTC with no zone designator -
+// parse it as UTC regardless of the server's own timezone
+function parseLocTime(locTime) {
+  if (locTime instanceof Date) return new Date(locTime);
+  const value = String(locTime).trim();
+  const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(value);
+  return new Date(hasZone ? value : value.replace(' ', 'T') + 'Z');
+}
+
+// Operating day a trip belongs to: the day of its planned_start_time when it has one (trips are
+// often planned the evening before), else the day it was created
+function tripOperatingDay(trip) {
+  return operatingDay(new Date(trip.planned_start_time || trip.created_at), tripTimezone(trip));
+}
+
+// True when the trip belongs to the current operating day of its own timezone
+function isTripOnOperatingDay(trip, now = new Date()) {
+  return tripOperatingDay(trip) === operatingDay(now, tripTimezone(trip));
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  tripTimezone,
+  operatingDay,
+  zonedTimeToUtc,
+  dayBoundsUtc,
+  parseLocTime,
+  tripOperatingDay,
+  isTripOnOperatingDay
+};
@@ -0,0 +1,302 @@
+const { parseRouteLine } = require('./route-deviation');
+const { isTrustedCoordinate } = require('./gps-quality');
+const { dayBoundsUtc } = require('./trip-day');
+
+const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+const number = value => (value == null || value === '' ? null : parseFloat(value));
+const isoTime = value => (value ? new Date(value).toISOString() : null);
+
+// Everything exported for one trip: the planned line, the trusted recorded track,
+// customer stops and detected stops
+async function loadTripExport(store, tripId) {
+  const { data: trip, error } = await store.trips.findById(tripId);
+  if (error) throw error;
+  if (!trip) return null;
+
+  const [coordinates, customers, stops] = await Promise.all([
+    store.coordinates.findByTrip(tripId),
+    store.customers.findByTrip(tripId),
+    store.vehicleStops.findByTrip(tripId)
+  ]);
+  for (const { error: loadError } of [coordinates, customers, stops]) {
+    if (loadError) throw loadError;
+  }
+
+  const routeLine = parseRouteLine(trip.route_coordinates);
+  return {
+    trip,
+    plannedRoute: routeLine ? routeLine.geometry.coordinates : [],
+    // Fixes tagged by the GPS quality filter aren't where the vehicle was
+    track: (coordinates.data || []).filter(isTrustedCoordinate).map(c => ({
+      lat: number(c.latitude),
+      lng: number(c.longitude),
+      time: isoTime(c.timestamp),
+      speed: number(c.speed),
+      reason: c.record_reason || null
+    })),
+    customers: (customers.data || [])
+      .filter(c => c.latitude != null && c.longitude != null)
+      .sort((a, b) => (a.sequence_order ?? Infinity) - (b.sequence_order ?? Infinity)),
+    stops: stops.data || []
+  };
+}
+
+// Trips a vehicle drove (or was planned to drive) on an operating day, by created_at like GET /trips
+async function loadVehicleDayExport(store, plate, day, timezone) {
+  const { start, end } = dayBoundsUtc(day, timezone);
+  const { data: trips, error } = await store.trips.list({ start, end, vehiclePlate: plate, limit: 1000, offset: 0 });
+  if (error) throw error;
+
+  const tripExports = [];
+  for (const trip of trips || []) {
+    const tripExport = await loadTripExport(store, trip.trip_id);
+    if (tripExport) tripExports.push(tripExport);
+  }
+  return tripExports;
+}
+
+function customerProperties(trip, c) {
+  return {
+    layer: 'customer_stop',
+    trip_id: trip.trip_id,
+    customer_code: c.customer_code,
+    customer_name: c.customer_name || null,
+    sequence_order: c.sequence_order ?? null,
+    planned_eta: c.planned_eta || null,
+    completed: Boolean(c.completed),
+    completion_source: c.completion_source || null,
+    completed_at: isoTime(c.completed_at),
+    actual_arrival_time: isoTime(c.actual_arrival_time),
+    actual_departure_time: isoTime(c.actual_departure_time)
+  };
+}
+
+function stopProperties(trip, s) {
+  return {
+    layer: 'detected_stop',
+    trip_id: trip.trip_id,
+    start_time: isoTime(s.start_time),
+    end_time: isoTime(s.end_time),
+    duration_minutes: number(s.duration_minutes),
+    decision: s.decision || null,
+    customer_code: s.customer_code || null
+  };
+}
+
+const customerName = c => `${c.sequence_order ?? '-'}. ${c.customer_name || c.customer_code}`;
+const stopName = s => (s.customer_code ? `Stop at ${s.customer_code}` : 'Unmatched stop');
+
+function customerDescription(c) {
+  if (!c.completed) return `Not completed${c.planned_eta ? ` - planned ETA ${c.planned_eta}` : ''}`;
+  return `Completed${c.completion_source ? ` (${c.completion_source})` : ''} at ${isoTime(c.completed_at) || 'unknown time'}`;
+}
+
+function stopDescription(s) {
+  const duration = number(s.duration_minutes);
+  return `${isoTime(s.start_time)} - ${isoTime(s.end_time) || 'ongoing'}` +
+    `${duration != null ? ` (${duration}min)` : ''}${s.decision ? `, ${s.decision}` : ''}`;
+}
+
+function toGeoJson(tripExports) {
+  const features = [];
+  for (const { trip, plannedRoute, track, customers, stops } of tripExports) {
+    if (plannedRoute.length >= 2) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: plannedRoute },
+        properties: {
+          layer: 'planned_route',
+          trip_id: trip.trip_id,
+          vehicle_plate: trip.vehicle_plate,
+          route_name: trip.route_name || null,
+          total_distance_km: number(trip.total_distance_km)
+        }
+      });
+    }
+    if (track.length >= 2) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: track.map(p => [p.lng, p.lat]) },
+        properties: {
+          layer: 'actual_track',
+          trip_id: trip.trip_id,
+          vehicle_plate: trip.vehicle_plate,
+          start_time: track[0].time,
+          end_time: track[track.length - 1].time,
+          coordTimes: track.map(p => p.time)
+        }
+      });
+    }
+    for (const p of track) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [p.lng, p.lat] },
+        properties: { layer: 'track_point', trip_id: trip.trip_id, time: p.time, speed_kmh: p.speed, record_reason: p.reason }
+      });
+    }
+    for (const c of customers) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [number(c.longitude), number(c.latitude)] },
+        properties: customerProperties(trip, c)
+      });
+    }
+    for (const s of stops) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [number(s.centroid_longitude), number(s.centroid_latitude)] },
+        properties: stopProperties(trip, s)
+      });
+    }
+  }
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const tripTitle = trip => `${trip.vehicle_plate}${trip.route_name ? ` ${trip.route_name}` : ''} (${trip.trip_id})`;
+
+function toGpx(tripExports) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="fidelity-server" xmlns="http://www.topografix.com/GPX/1/1">'
+  ];
+  for (const { trip, customers, stops } of tripExports) {
+    for (const c of customers) {
+      lines.push(`  <wpt lat="${number(c.latitude)}" lon="${number(c.longitude)}">`);
+      if (c.completed_at) lines.push(`    <time>${isoTime(c.completed_at)}</time>`);
+      lines.push(`    <name>${escapeXml(customerName(c))}</name>`);
+      lines.push(`    <desc>${escapeXml(customerDescription(c))}</desc>`);
+      lines.push(`    <type>${c.completed ? 'customer_completed' : 'customer_pending'}</type>`);
+      lines.push('  </wpt>');
+    }
+    for (const s of stops) {
+      lines.push(`  <wpt lat="${number(s.centroid_latitude)}" lon="${number(s.centroid_longitude)}">`);
+      lines.push(`    <time>${isoTime(s.start_time)}</time>`);
+      lines.push(`    <name>${escapeXml(stopName(s))}</name>`);
+      lines.push(`    <desc>${escapeXml(`${tripTitle(trip)}: ${stopDescription(s)}`)}</desc>`);
+      lines.push('    <type>detected_stop</type>');
+      lines.push('  </wpt>');
+    }
+  }
+  for (const { trip, plannedRoute } of tripExports) {
+    if (plannedRoute.length < 2) continue;
+    lines.push('  <rte>', `    <name>${escapeXml(`Planned ${tripTitle(trip)}`)}</name>`);
+    for (const [lng, lat] of plannedRoute) lines.push(`    <rtept lat="${lat}" lon="${lng}"/>`);
+    lines.push('  </rte>');
+  }
+  for (const { trip, track } of tripExports) {
+    if (track.length === 0) continue;
+    lines.push('  <trk>', `    <name>${escapeXml(`Actual ${tripTitle(trip)}`)}</name>`, '    <trkseg>');
+    for (const p of track) {
+      lines.push(`      <trkpt lat="${p.lat}" lon="${p.lng}">`);
+      if (p.time) lines.push(`        <time>${p.time}</time>`);
+      // GPX 1.1 has no speed element - the common extension, in m/s
+      if (p.speed != null) lines.push(`        <extensions><speed>${(p.speed / 3.6).toFixed(2)}</speed></extensions>`);
+      lines.push('      </trkpt>');
+    }
+    lines.push('    </trkseg>', '  </trk>');
+  }
+  lines.push('</gpx>');
+  return lines.join('\n');
+}
+
+function kmlPlacemark({ name, description, style, time, geometry }) {
+  return [
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    description ? `      <description>${escapeXml(description)}</description>` : null,
+    style ? `      <styleUrl>#${style}</styleUrl>` : null,
+    time || null,
+    `      ${geometry}`,
+    '    </Placemark>'
+  ].filter(Boolean).join('\n');
+}
+
+function toKml(tripExports) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '<Document>',
+    '  <Style id="planned"><LineStyle><color>ffff7f00</color><width>4</width></LineStyle></Style>',
+    '  <Style id="actual"><LineStyle><color>ff0000ff</color><width>3</width></LineStyle></Style>',
+    '  <Style id="customer_completed"><IconStyle><color>ff00ff00</color></IconStyle></Style>',
+    '  <Style id="customer_pending"><IconStyle><color>ff0000ff</color></IconStyle></Style>',
+    '  <Style id="detected_stop"><IconStyle><color>ff00ffff</color><scale>0.8</scale></IconStyle></Style>',
+    '  <Schema id="track_point"><gx:SimpleArrayField name="speed_kmh" type="float"/></Schema>'
+  ];
+  for (const { trip, plannedRoute, track, customers, stops } of tripExports) {
+    lines.push('  <Folder>', `    <name>${escapeXml(tripTitle(trip))}</name>`);
+
+    if (plannedRoute.length >= 2) {
+      lines.push(kmlPlacemark({
+        name: 'Planned route',
+        style: 'planned',
+        geometry: `<LineString><tessellate>1</tessellate><coordinates>${plannedRoute.map(([lng, lat]) => `${lng},${lat}`).join(' ')}</coordinates></LineString>`
+      }));
+    }
+    if (track.length > 0) {
+      // gx:Track keeps each point's time (Google Earth's time slider) and speed
+      const timed = track.filter(p => p.time);
+      lines.push(kmlPlacemark({
+        name: 'Actual track',
+        style: 'actual',
+        geometry: [
+          '<gx:Track>',
+          ...timed.map(p => `        <when>${p.time}</when>`),
+          ...timed.map(p => `        <gx:coord>${p.lng} ${p.lat} 0</gx:coord>`),
+          '        <ExtendedData><SchemaData schemaUrl="#track_point"><gx:SimpleArrayData name="speed_kmh">',
+          ...timed.map(p => `          <gx:value>${p.speed ?? ''}</gx:value>`),
+          '        </gx:SimpleArrayData></SchemaData></ExtendedData>',
+          '      </gx:Track>'
+        ].join('\n')
+      }));
+    }
+    for (const c of customers) {
+      lines.push(kmlPlacemark({
+        name: customerName(c),
+        description: customerDescription(c),
+        style: c.completed ? 'customer_completed' : 'customer_pending',
+        time: c.completed_at ? `      <TimeStamp><when>${isoTime(c.completed_at)}</when></TimeStamp>` : null,
+        geometry: `<Point><coordinates>${number(c.longitude)},${number(c.latitude)}</coordinates></Point>`
+      }));
+    }
+    for (const s of stops) {
+      lines.push(kmlPlacemark({
+        name: stopName(s),
+        description: stopDescription(s),
+        style: 'detected_stop',
+        time: `      <TimeSpan><begin>${isoTime(s.start_time)}</begin>${s.end_time ? `<end>${isoTime(s.end_time)}</end>` : ''}</TimeSpan>`,
+        geometry: `<Point><coordinates>${number(s.centroid_longitude)},${number(s.centroid_latitude)}</coordinates></Point>`
+      }));
+    }
+    lines.push('  </Folder>');
+  }
+  lines.push('</Document>', '</kml>');
+  return lines.join('\n');
+}
+
+// Serialize trip exports in one of EXPORT_FORMATS
+function formatExport(tripExports, format) {
+  if (format === 'gpx') return toGpx(tripExports);
+  if (format === 'kml') return toKml(tripExports);
+  return toGeoJson(tripExports);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  loadTripExport,
+  loadVehicleDayExport,
+  formatExport
+};
@@ -0,0 +1,47 @@
+const { isTripOnOperatingDay } = require('./trip-day');
+
+function timeOf(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return isNaN(time) ? Infinity : time;
+}
+
+// Queued trips run in planned order: planned_start_time, then created_at
+function plannedOrder(a, b) {
+  return timeOf(a.planned_start_time) - timeOf(b.planned_start_time) ||
+    timeOf(a.created_at) - timeOf(b.created_at);
+}
+
+// One trip per vehicle at a time. Of a vehicle's open trips on the operating day, the trip already
+// under way wins; otherwise the next trip in planned order.
+// More than one started trip is a conflict (e.g. a completed trip reopened while the next one runs):
+// the trip the vehicle is already driving (currentTripId) keeps it, else the most recently started.
+// Returns { trip, queued, conflict } where conflict is null or { reason, active_trip_id, conflicting_trip_ids }
+function selectActiveTrip(openTrips, now = new Date(), { currentTripId = null } = {}) {
+  const todays = openTrips.filter(t => isTripOnOperatingDay(t, now));
+  const started = todays
+    .filter(t => t.actual_start_time)
+    .sort((a, b) => (b.trip_id === currentTripId) - (a.trip_id === currentTripId) ||
+      timeOf(b.actual_start_time) - timeOf(a.actual_start_time));
+  const queued = todays
+    .filter(t => !t.actual_start_time)
+    .sort(plannedOrder);
+
+  const trip = started[0] || queued[0] || null;
+  const conflict = started.length > 1
+    ? {
+      reason: 'multiple_started_trips',
+      active_trip_id: started[0].trip_id,
+      conflicting_trip_ids: started.slice(1).map(t => t.trip_id)
+    }
+    : null;
+
+  return {
+    trip,
+    queued: queued.filter(t => t !== trip),
+    conflict
+  };
+}
+
+module.exports = {
+  selectActiveTrip
+};
@@ -0,0 +1,1002 @@
+const { EventEmitter } = require('events');
+const { matchStopToCustomer } = require('./stop-matcher');
+const { isTripOnOperatingDay, parseLocTime } = require('./trip-day');
+const { selectActiveTrip } = require('./trip-sequencing');
+const { generateTripAudit, deriveTripStatus } = require('./trip-audit');
+const { createRouteDeviationMonitor } = require('./route-deviation');
+const { createEtaMonitor } = require('./eta');
+const { createCoordinateWriter } = require('./coordinate-writer');
+const { createStopDetector } = require('./stop-detector');
+const { createTripCloseMonitor } = require('./trip-close-rules');
+const { createDepotMonitor } = require('./depots');
+const { createGpsQualityFilter } = require('./gps-quality');
+const { createTrackRecorder } = require('./track-recorder');
+
+// Save an in-progress stop's centroid and last fix at most this often (GPS time)
+const STOP_PERSIST_SECONDS = 60;
+// Open stops older than this at startup are closed rather than resumed
+const STOP_RESTORE_MAX_AGE_HOURS = parseFloat(process.env.STOP_RESTORE_MAX_AGE_HOURS) || 12;
+// Open trips created further back than this are not resumed at startup (a day, plus a DST shift)
+const RESUME_LOOKBACK_HOURS = 25;
+
+// Trip tracking pipeline, driven by a store (see store.js) so it runs against Supabase or in memory.
+// clock supplies "now" for coordinate received_at and the operating-day check - replays
+// pass the recording's time instead of the wall clock. coordinateRetryFile overrides the coordinate
+// writer's retry queue (null: none) so a throwaway tracker never drains the server's.
+function createTripTracker(store, { clock = () => new Date(), coordinateRetryFile } = {}) {
+  // Track active trips and their intervals
+  const activeTrips = new Map();
+
+  // Monitor trip without duplicate coordinate logging
+  function startTripMonitoring(tripId, vehiclePlate) {
+    if (activeTrips.has(tripId)) return;
+
+    activeTrips.set(tripId, { vehiclePlate });
+    console.log(`Started monitoring trip ${tripId} for vehicle ${vehiclePlate}`);
+  }
+
+  async function stopTripMonitoring(tripId) {
+    await routeDeviation.endTrip(tripId);
+    etaMonitor.forgetTrip(tripId);
+    closeMonitor.forgetTrip(tripId);
+    depotMonitor.forgetTrip(tripId);
+    if (activeTrips.has(tripId)) {
+      activeTrips.delete(tripId);
+      console.log(`Stopped monitoring trip ${tripId}`);
+    }
+  }
+
+  // Planned-route corridor checks for recorded positions
+  const routeDeviation = createRouteDeviationMonitor(store);
+
+  // Live ETAs for the remaining stops of each active trip
+  const etaMonitor = createEtaMonitor(store);
+
+  // Depot return, end-of-day and idle rules for trips that never complete every customer
+  const closeMonitor = createTripCloseMonitor(store);
+
+  // Depot geofences - trips start on leaving the depot, and departure/return times are recorded
+  const depotMonitor = createDepotMonitor(store);
+
+  // Cache latest vehicle data
+  const vehicleDataCache = new Map();
+
+  // Trip each vehicle is currently driving
+  const vehicleTrips = new Map(); // plate -> tripId
+
+  // Vehicles with more than one started trip - see trip-sequencing.js
+  const tripConflicts = new Map(); // plate -> { reason, active_trip_id, conflicting_trip_ids, detected_at }
+
+  // Lifecycle events for outbound consumers: every event is emitted on 'event' as { type, ... }
+  //   position, position:rejected, stop:start, stop:end, customer:completed, customer:reopened,
+  //   trip:started, trip:completed, trip:closed, trip:reopened, trip:handover, trip:conflict
+  const events = new EventEmitter();
+
+  function emitEvent(type, payload) {
+    events.emit('event', { type, ...payload, emitted_at: clock().toISOString() });
+  }
+
+  // Stop detection with entry/exit hysteresis; confirmed stops are persisted to vehicle_stops
+  const stopDetector = createStopDetector();
+  const vehicleStops = new Map(); // plate -> { id, tripId, stopStart, location, lastLocTime, persistedAt, processed, decision, visit }
+
+  // Implausible fixes are rejected before they reach the cache, stop detection or trips
+  const gpsQuality = createGpsQualityFilter({ clock });
+
+  // Which fixes become trip_coordinates - distance, turns, heartbeat and stops (see track-recorder.js)
+  const trackRecorder = createTrackRecorder(store);
+
+  function getLatestVehicleData(plate) {
+    return vehicleDataCache.get(plate);
+  }
+
+  // Batched, retrying trip_coordinates inserts - close() it on shutdown
+  const coordinateWriter = createCoordinateWriter(store,
+    coordinateRetryFile === undefined ? {} : { retryFile: coordinateRetryFile });
+
+  // timestamp is GPS time (the server's if the fix has no usable LocTime); received_at is when it arrived
+  function logCoordinates(tripId, vehiclePlate, vehicleData, { qualityFlags } = {}) {
+    const receivedAt = clock();
+    const locTime = vehicleData.LocTime ? parseLocTime(vehicleData.LocTime) : receivedAt;
+    const row = {
+      trip_id: tripId,
+      vehicle_plate: vehiclePlate,
+      latitude: parseFloat(vehicleData.Latitude),
+      longitude: parseFloat(vehicleData.Longitude),
+      speed: vehicleData.Speed || 0,
+      timestamp: (isNaN(locTime.getTime()) ? receivedAt : locTime).toISOString(),
+      received_at: receivedAt.toISOString()
+    };
+    if (qualityFlags) row.quality_flags = qualityFlags;
+    coordinateWriter.enqueue(row);
+  }
+
+  // Write the track recorder's points and measure them against the planned route. timestamp is the
+  // point's GPS time, like stop rows; received_at is when its fix arrived (stop points: the fix that
+  // started or ended the stop)
+  async function recordTrackPoints(tripId, vehiclePlate, points, receivedAt = clock()) {
+    for (const point of points) {
+      coordinateWriter.enqueue({
+        trip_id: tripId,
+        vehicle_plate: vehiclePlate,
+        latitude: point.lat,
+        longitude: point.lng,
+        speed: point.speed || 0,
+        timestamp: point.time.toISOString(),
+        received_at: (point.receivedAt || receivedAt).toISOString(),
+        record_reason: point.reason
+      });
+      await routeDeviation.checkPosition(tripId, vehiclePlate, { lat: point.lat, lng: point.lng, time: point.time });
+    }
+  }
+
+  function reportTripConflict(vehiclePlate, conflict) {
+    if (!conflict) {
+      tripConflicts.delete(vehiclePlate);
+      return;
+    }
+
+    const current = tripConflicts.get(vehiclePlate);
+    const ids = conflict.conflicting_trip_ids.join(',');
+    if (current && current.active_trip_id === conflict.active_trip_id && current.conflicting_trip_ids.join(',') === ids) return;
+
+    tripConflicts.set(vehiclePlate, { ...conflict, detected_at: clock().toISOString() });
+    console.warn(`⚠️ Vehicle ${vehiclePlate} has ${conflict.conflicting_trip_ids.length + 1} started trips - tracking ${conflict.active_trip_id}, ignoring ${ids} until it completes`);
+    emitEvent('trip:conflict', { plate: vehiclePlate, trip_id: conflict.active_trip_id, ...conflict });
+  }
+
+  // The one trip this vehicle's fixes and stops belong to right now (see trip-sequencing.js)
+  async function findActiveTrip(vehiclePlate, { started = false } = {}) {
+    const { data: openTrips } = await store.trips.findOpen({ vehiclePlate });
+    const { trip, conflict } = selectActiveTrip(openTrips || [], clock(), { currentTripId: vehicleTrips.get(vehiclePlate) });
+    reportTripConflict(vehiclePlate, conflict);
+
+    if (!trip || (started && !trip.actual_start_time)) return null;
+    return trip;
+  }
+
+  // Line up the vehicle's next trip of the day once the current one completes
+  async function handOverVehicle(completedTripId, vehiclePlate) {
+    let plate = vehiclePlate;
+    if (!plate) {
+      const { data: completedTrip } = await store.trips.findById(completedTripId);
+      plate = completedTrip ? completedTrip.vehicle_plate : null;
+    }
+    if (!plate) return;
+
+    const next = await findActiveTrip(plate);
+    if (!next) return;
+
+    vehicleTrips.set(plate, next.trip_id);
+    startTripMonitoring(next.trip_id, plate);
+    console.log(`🔁 Vehicle ${plate} handed over from trip ${completedTripId} to trip ${next.trip_id}`);
+    emitEvent('trip:handover', { plate, trip_id: next.trip_id, previous_trip_id: completedTripId });
+  }
+
+  // Ending a trip (completion or a close rule) runs one at a time per trip, so the overdue sweep and
+  // a fix can't both end it - each re-reads the trip inside the lock
+  const tripLocks = new Map(); // tripId -> tail of the queue
+
+  function withTripLock(tripId, task) {
+    const run = (tripLocks.get(tripId) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    tripLocks.set(tripId, tail);
+    tail.then(() => {
+      if (tripLocks.get(tripId) === tail) tripLocks.delete(tripId);
+    });
+    return run;
+  }
+
+  // Complete a trip once every customer is done - trips that already ended (completed or closed) stay as they are.
+  // Resolves true when it completed the trip.
+  function checkTripCompletion(tripId) {
+    return withTripLock(tripId, () => completeTripIfDone(tripId));
+  }
+
+  async function completeTripIfDone(tripId) {
+    const { data: trip, error: tripError } = await store.trips.findById(tripId);
+    if (tripError) {
+      console.error(`Error loading trip ${tripId}:`, tripError);
+      return false;
+    }
+    if (!trip || trip.actual_end_time) return false;
+
+    const { data: customers } = await store.customers.findByTrip(tripId);
+
+    if (customers && customers.length > 0) {
+      const allCompleted = customers.every(c => c.completed);
+
+      if (allCompleted) {
+        // Calculate duration using SQL
+        const { error } = await store.trips.complete(tripId);
+        if (error) {
+          console.error(`Error completing trip ${tripId}:`, error);
+          return false;
+        }
+
+        console.log(`Trip ${tripId} completed - all customers visited`);
+        await finishTrip(tripId, vehiclePlateForTrip(tripId) || trip.vehicle_plate, 'trip:completed', { customers: customers.length });
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Shared wind-down once a trip has its end time: release the vehicle, audit, hand over
+  async function finishTrip(tripId, tripPlate, eventType, payload) {
+    etaMonitor.forgetTrip(tripId);
+    closeMonitor.forgetTrip(tripId);
+    depotMonitor.forgetTrip(tripId);
+    for (const [plate, activeTripId] of vehicleTrips) {
+      if (activeTripId === tripId) vehicleTrips.delete(plate);
+    }
+    emitEvent(eventType, { plate: tripPlate, trip_id: tripId, ...payload });
+
+    try {
+      // The audit reads the track back - write out held-back and buffered points first
+      for (const point of await trackRecorder.flushTrip(tripId)) {
+        await recordTrackPoints(tripId, point.plate, [point]);
+      }
+      // ...and end a deviation still open at the last off-route position
+      await routeDeviation.endTrip(tripId);
+      await coordinateWriter.flush();
+      await generateTripAudit(store, tripId);
+    } catch (error) {
+      console.error(`Error generating audit for trip ${tripId}:`, error);
+    }
+    routeDeviation.forgetTrip(tripId);
+
+    await handOverVehicle(tripId, tripPlate);
+  }
+
+  // End a trip that will not complete every customer (see trip-close-rules.js). It stays
+  // completed = false; close_reason says which rule ended it and the audit marks it partial or abandoned.
+  // Resolves the status, or null when the trip had already ended or could not be closed.
+  function closeTrip(trip, closure) {
+    return withTripLock(trip.trip_id, () => closeOpenTrip(trip.trip_id, closure));
+  }
+
+  async function closeOpenTrip(tripId, { reason, endTime, detail }) {
+    const { data: trip, error: tripError } = await store.trips.findById(tripId);
+    if (tripError) {
+      console.error(`Error loading trip ${tripId}:`, tripError);
+      return null;
+    }
+    if (!trip || trip.actual_end_time) return null;
+
+    const start = trip.actual_start_time ? new Date(trip.actual_start_time) : null;
+    const end = start && endTime < start ? start : endTime;
+    const fields = {
+      actual_end_time: end.toISOString(),
+      actual_duration_minutes: start ? Math.round((end - start) / 1000 / 60) : null,
+      completed: false,
+      close_reason: reason
+    };
+    const { error } = await store.trips.update(trip.trip_id, fields);
+    if (error) {
+      console.error(`Error closing trip ${trip.trip_id}:`, error);
+      return null;
+    }
+
+    const { data: customers } = await store.customers.findByTrip(trip.trip_id);
+    const total = (customers || []).length;
+    const completed = (customers || []).filter(c => c.completed).length;
+    const status = deriveTripStatus({ ...trip, ...fields }, completed, total);
+
+    console.log(`🛑 Trip ${trip.trip_id} closed as ${status} (${reason}: ${detail}) - ${completed}/${total} customers`);
+    await finishTrip(trip.trip_id, trip.vehicle_plate, 'trip:closed', { reason, status, completed_customers: completed, total_customers: total });
+    return status;
+  }
+
+  // Apply the end-of-day and engine-off rules to every open trip - run periodically. Trips
+  // left open from earlier days are closed here rather than ignored.
+  async function closeOverdueTrips() {
+    const { data: openTrips, error } = await store.trips.findOpen({});
+    if (error) {
+      console.error('Error loading open trips to close:', error);
+      return 0;
+    }
+
+    let closed = 0;
+    for (const trip of openTrips || []) {
+      // Vehicles still waiting for data after a feed outage aren't silent, the feed was
+      const closure = closeMonitor.checkOverdue(trip, clock(), {
+        silent: !pendingTelemetryGaps.has(trip.vehicle_plate)
+      });
+      if (closure && await closeTrip(trip, closure)) closed++;
+    }
+    return closed;
+  }
+
+  async function findCustomer(tripId, customerCode) {
+    const { data: customers, error } = await store.customers.findByTrip(tripId);
+    if (error) throw new Error(`Error loading customers for trip ${tripId}: ${error.message}`);
+    return (customers || []).find(c => c.customer_code === customerCode) || null;
+  }
+
+  // Audit trail of dispatcher actions
+  async function logCompletionChange(tripId, customerCode, action, { actor, reason }) {
+    const { error } = await store.completionLog.insert({
+      trip_id: tripId,
+      customer_code: customerCode,
+      action,
+      source: 'manual',
+      actor,
+      reason
+    });
+
+    if (error) {
+      console.error(`Error logging ${action} of customer ${customerCode}:`, error);
+    }
+  }
+
+  // Dispatcher override for a stop the geofence missed.
+  // Resolves { status: 'completed' | 'already_completed' | 'not_found', customer }
+  async function completeCustomerManually(tripId, customerCode, { actor, reason }) {
+    const customer = await findCustomer(tripId, customerCode);
+    if (!customer) return { status: 'not_found', customer: null };
+    if (customer.completed) return { status: 'already_completed', customer };
+
+    const fields = {
+      completed: true,
+      completed_at: clock().toISOString(),
+      completion_source: 'manual',
+      completed_by: actor,
+      completion_reason: reason
+    };
+    const { error } = await store.customers.update(tripId, customerCode, fields);
+    if (error) throw new Error(`Error completing customer ${customerCode}: ${error.message}`);
+
+    await logCompletionChange(tripId, customerCode, 'complete', { actor, reason });
+    console.log(`✅ Customer ${customerCode} manually completed by ${actor} - ${reason}`);
+    emitEvent('customer:completed', {
+      plate: vehiclePlateForTrip(tripId),
+      trip_id: tripId,
+      customer_code: customerCode,
+      source: 'manual',
+      actor,
+      reason
+    });
+
+    await checkTripCompletion(tripId);
+    return { status: 'completed', customer: { ...customer, ...fields } };
+  }
+
+  // Dispatcher override for a stop the geofence wrongly completed. Reopening a customer on a
+  // finished trip reopens the trip too. Resolves { status: 'reopened' | 'not_completed' | 'not_found', tripReopened }
+  async function reopenCustomer(tripId, customerCode, { actor, reason }) {
+    const customer = await findCustomer(tripId, customerCode);
+    if (!customer) return { status: 'not_found', tripReopened: false };
+    if (!customer.completed) return { status: 'not_completed', tripReopened: false };
+
+    const { error } = await store.customers.update(tripId, customerCode, {
+      completed: false,
+      completed_at: null,
+      actual_arrival_time: null,
+      actual_departure_time: null,
+      actual_visit_duration_minutes: null,
+      completion_source: null,
+      completed_by: null,
+      completion_reason: null
+    });
+    if (error) throw new Error(`Error reopening customer ${customerCode}: ${error.message}`);
+
+    await logCompletionChange(tripId, customerCode, 'reopen', { actor, reason });
+    console.log(`↩️ Customer ${customerCode} reopened by ${actor} - ${reason}`);
+    emitEvent('customer:reopened', {
+      plate: vehiclePlateForTrip(tripId),
+      trip_id: tripId,
+      customer_code: customerCode,
+      source: 'manual',
+      actor,
+      reason
+    });
+
+    let tripReopened = false;
+    const { data: trip } = await store.trips.findById(tripId);
+    if (trip && trip.actual_end_time) {
+      const { error: tripError } = await store.trips.update(tripId, {
+        actual_end_time: null,
+        actual_duration_minutes: null,
+        completed: false,
+        close_reason: null
+      });
+      if (tripError) throw new Error(`Error reopening trip ${tripId}: ${tripError.message}`);
+
+      tripReopened = true;
+      console.log(`↩️ Trip ${tripId} reopened - customer ${customerCode} no longer completed`);
+      startTripMonitoring(tripId, trip.vehicle_plate);
+      emitEvent('trip:reopened', { plate: trip.vehicle_plate, trip_id: tripId, actor, reason });
+    }
+
+    await checkTripCompletion(tripId);
+    return { status: 'reopened', tripReopened };
+  }
+
+  function vehiclePlateForTrip(tripId) {
+    if (activeTrips.has(tripId)) return activeTrips.get(tripId).vehiclePlate;
+    const entry = [...vehicleTrips].find(([, activeTripId]) => activeTripId === tripId);
+    return entry ? entry[0] : null;
+  }
+
+  // Record why a stop did (or did not) complete a customer - a re-evaluated stop replaces its earlier decision
+  async function recordStopMatch(tripId, vehiclePlate, stopInfo, stopDurationMinutes, match) {
+    const { error } = await store.stopMatches.upsert({
+      vehicle_stop_id: stopInfo.id,
+      trip_id: tripId,
+      vehicle_plate: vehiclePlate,
+      latitude: parseFloat(stopInfo.location.lat),
+      longitude: parseFloat(stopInfo.location.lng),
+      stop_start: stopInfo.stopStart.toISOString(),
+      stop_duration_minutes: Number(stopDurationMinutes.toFixed(1)),
+      decision: match.decision,
+      customer_code: match.customer ? match.customer.customer_code : null,
+      candidates: match.candidates,
+      reason: match.reason
+    });
+
+    if (error) {
+      console.error(`❌ Error recording stop match for trip ${tripId}:`, error);
+    }
+  }
+
+  // Returns { decision, visit } - the caller re-evaluates ambiguous stops once they end and
+  // records departure for the visit ({ tripId, customerCode, arrivalTime }) when the vehicle moves off
+  async function handleLongStop(vehiclePlate, stopInfo, stopDurationMinutes) {
+    // The trip the vehicle is driving - stops before it starts don't complete anyone
+    const todaysTrip = await findActiveTrip(vehiclePlate, { started: true });
+
+    if (!todaysTrip) return null;
+
+    const { trip_id } = todaysTrip;
+
+    // Get incomplete customers for this trip
+    const { data: customers } = await store.customers.findByTrip(trip_id, { completed: false });
+
+    if (!customers || customers.length === 0) return null;
+
+    console.log(`Vehicle ${vehiclePlate} stopped for ${stopDurationMinutes.toFixed(1)} min - checking ${customers.length} customers`);
+
+    const match = matchStopToCustomer({
+      location: stopInfo.location,
+      stopDurationMinutes,
+      customers,
+      trip: todaysTrip
+    });
+
+    for (const candidate of match.candidates) {
+      console.log(`Stop check - Customer ${candidate.customer_code}: ${candidate.distance_km}km away (geofence ${candidate.radius_km}km, score ${candidate.score})`);
+    }
+
+    await recordStopMatch(trip_id, vehiclePlate, stopInfo, stopDurationMinutes, match);
+
+    if (match.decision === 'review') {
+      console.log(`⚠️ Stop flagged for review - ${match.reason}`);
+      return { decision: match.decision, visit: null };
+    }
+
+    if (match.decision !== 'completed') return { decision: match.decision, visit: null };
+
+    // Arrival is the GPS time the stop began, not the time the 5 minute threshold was crossed
+    const { customer_code } = match.customer;
+    const arrivalTime = stopInfo.stopStart.toISOString();
+    console.log(`🎯 Attempting to complete customer ${customer_code} - ${match.reason}`);
+    const { error } = await store.customers.update(trip_id, customer_code, {
+      completed: true,
+      completed_at: arrivalTime,
+      actual_arrival_time: arrivalTime,
+      completion_source: 'live_stop'
+    });
+
+    if (error) {
+      console.error(`❌ Error completing customer ${customer_code}:`, error);
+      return { decision: match.decision, visit: null };
+    }
+
+    console.log(`✅ Customer ${customer_code} auto-completed after ${stopDurationMinutes.toFixed(1)}min stop - arrived ${arrivalTime}`);
+    emitEvent('customer:completed', {
+      plate: vehiclePlate,
+      trip_id,
+      customer_code,
+      arrival_time: arrivalTime,
+      source: 'live_stop',
+      reason: match.reason
+    });
+
+    // Check if trip is now complete
+    await checkTripCompletion(trip_id);
+
+    return {
+      decision: match.decision,
+      visit: { tripId: trip_id, customerCode: customer_code, arrivalTime: stopInfo.stopStart }
+    };
+  }
+
+  // A stop found after the fact (reconcile.js) completes a customer the way a live stop does: arrival
+  // and departure from the stop ({ start, end } GPS times) and the same customer:completed event.
+  // The caller checks trip completion. Resolves { error }
+  async function completeCustomerFromStop(tripId, vehiclePlate, customerCode, stop, { source = 'script', reason = null } = {}) {
+    const arrivalTime = stop.start.toISOString();
+    const { error } = await store.customers.update(tripId, customerCode, {
+      completed: true,
+      completed_at: arrivalTime,
+      actual_arrival_time: arrivalTime,
+      actual_departure_time: stop.end.toISOString(),
+      actual_visit_duration_minutes: Math.round((stop.end - stop.start) / 1000 / 60),
+      completion_source: source
+    });
+    if (error) return { error };
+
+    emitEvent('customer:completed', {
+      plate: vehiclePlate,
+      trip_id: tripId,
+      customer_code: customerCode,
+      arrival_time: arrivalTime,
+      source,
+      reason
+    });
+    return { error: null };
+  }
+
+  function stopFields(stopInfo, stop) {
+    return {
+      trip_id: stopInfo.tripId || (stopInfo.visit ? stopInfo.visit.tripId : null),
+      last_fix_time: stop.lastTime.toISOString(),
+      centroid_latitude: Number(stop.centroid.lat.toFixed(6)),
+      centroid_longitude: Number(stop.centroid.lng.toFixed(6)),
+      fix_count: stop.fixCount,
+      max_drift_m: Math.round(stop.maxDriftM),
+      decision: stopInfo.decision || null,
+      customer_code: stopInfo.visit ? stopInfo.visit.customerCode : null
+    };
+  }
+
+  async function persistStop(stopInfo, stop, extraFields = {}) {
+    stopInfo.persistedAt = stop.lastTime;
+    if (stopInfo.id == null) return;
+    const { error } = await store.vehicleStops.update(stopInfo.id, { ...stopFields(stopInfo, stop), ...extraFields });
+    if (error) {
+      console.error(`Error saving stop ${stopInfo.id}:`, error);
+    }
+  }
+
+  async function openStop(vehiclePlate, tripId, stop) {
+    const stopInfo = {
+      id: null,
+      tripId,
+      stopStart: stop.start,
+      location: stop.centroid,
+      lastLocTime: stop.lastTime,
+      persistedAt: stop.lastTime,
+      processed: false,
+      decision: null,
+      visit: null
+    };
+    vehicleStops.set(vehiclePlate, stopInfo);
+    console.log(`Vehicle ${vehiclePlate} stopped at ${stop.start.toISOString()}`);
+
+    const { data, error } = await store.vehicleStops.insert({
+      vehicle_plate: vehiclePlate,
+      start_time: stop.start.toISOString(),
+      ...stopFields(stopInfo, stop)
+    });
+    if (error) {
+      console.error(`Error recording stop for ${vehiclePlate}:`, error);
+    } else {
+      stopInfo.id = data.id;
+    }
+
+    emitEvent('stop:start', {
+      plate: vehiclePlate,
+      trip_id: tripId,
+      latitude: stop.centroid.lat,
+      longitude: stop.centroid.lng,
+      stop_start: stop.start.toISOString()
+    });
+  }
+
+  async function evaluateStop(vehiclePlate, stopInfo, stopDurationMinutes) {
+    const outcome = await handleLongStop(vehiclePlate, stopInfo, stopDurationMinutes);
+    stopInfo.processed = true;
+    stopInfo.decision = outcome && outcome.decision;
+    stopInfo.visit = outcome && outcome.visit;
+  }
+
+  // Still stopped - match against customers once the stop reaches 5 minutes
+  async function progressStop(vehiclePlate, stop) {
+    const stopInfo = vehicleStops.get(vehiclePlate);
+    if (!stopInfo) return;
+    stopInfo.location = stop.centroid;
+    stopInfo.lastLocTime = stop.lastTime;
+
+    const stopDuration = (stop.lastTime - stop.start) / 1000 / 60; // minutes
+    if (stopDuration >= 5 && !stopInfo.processed) {
+      await evaluateStop(vehiclePlate, stopInfo, stopDuration);
+      await persistStop(stopInfo, stop);
+    } else if ((stop.lastTime - stopInfo.persistedAt) / 1000 >= STOP_PERSIST_SECONDS) {
+      await persistStop(stopInfo, stop);
+    }
+  }
+
+  async function closeStop(vehiclePlate, tripId, stop) {
+    const stopInfo = vehicleStops.get(vehiclePlate);
+    vehicleStops.delete(vehiclePlate);
+    if (!stopInfo) return;
+    stopInfo.location = stop.centroid;
+
+    // Ambiguous stops get a second look with their full duration; sparse fixes can
+    // also carry a stop past 5 minutes without a stopped fix to trigger the match
+    const durationMinutes = (stop.end - stop.start) / 1000 / 60;
+    if (stopInfo.decision === 'review' || (!stopInfo.processed && durationMinutes >= 5)) {
+      await evaluateStop(vehiclePlate, stopInfo, durationMinutes);
+    }
+
+    // Close the visit this stop completed
+    if (stopInfo.visit) {
+      await recordDeparture(stopInfo.visit, stop.end);
+    }
+
+    await persistStop(stopInfo, stop, {
+      end_time: stop.end.toISOString(),
+      duration_minutes: Number(durationMinutes.toFixed(1))
+    });
+
+    emitEvent('stop:end', {
+      plate: vehiclePlate,
+      // A stop belongs to the trip it began on, even if the vehicle was handed over meanwhile
+      trip_id: stopInfo.tripId || tripId,
+      latitude: stop.centroid.lat,
+      longitude: stop.centroid.lng,
+      stop_start: stop.start.toISOString(),
+      stop_end: stop.end.toISOString(),
+      duration_minutes: Number(durationMinutes.toFixed(1)),
+      customer_code: stopInfo.visit ? stopInfo.visit.customerCode : null
+    });
+  }
+
+  // Pick up stops that were in progress when the server last stopped. Stops with no fix for
+  // STOP_RESTORE_MAX_AGE_HOURS are closed at their last fix instead.
+  async function restoreOpenStops() {
+    const { data: openStops, error } = await store.vehicleStops.findOpen();
+    if (error) {
+      console.error('Error loading open stops:', error);
+      return;
+    }
+
+    let restored = 0;
+    for (const row of openStops || []) {
+      const start = new Date(row.start_time);
+      const lastTime = new Date(row.last_fix_time || row.start_time);
+
+      if ((clock() - lastTime) / 1000 / 60 / 60 > STOP_RESTORE_MAX_AGE_HOURS) {
+        const { error: closeError } = await store.vehicleStops.update(row.id, {
+          end_time: lastTime.toISOString(),
+          duration_minutes: Number(((lastTime - start) / 1000 / 60).toFixed(1))
+        });
+        if (closeError) console.error(`Error closing stale stop ${row.id}:`, closeError);
+        continue;
+      }
+
+      const centroid = { lat: Number(row.centroid_latitude), lng: Number(row.centroid_longitude) };
+      stopDetector.restore(row.vehicle_plate, {
+        start,
+        lastTime,
+        centroid,
+        fixCount: row.fix_count || 1,
+        maxDriftM: Number(row.max_drift_m) || 0
+      });
+      vehicleStops.set(row.vehicle_plate, {
+        id: row.id,
+        tripId: row.trip_id,
+        stopStart: start,
+        location: centroid,
+        lastLocTime: lastTime,
+        persistedAt: lastTime,
+        processed: row.decision != null,
+        decision: row.decision,
+        visit: row.decision === 'completed' && row.customer_code
+          ? { tripId: row.trip_id, customerCode: row.customer_code, arrivalTime: start }
+          : null
+      });
+      restored++;
+    }
+    console.log(`Restored ${restored} in-progress stops`);
+  }
+
+  // Departure is the GPS time of the first moving fix after the stop; dwell is measured in GPS time
+  async function recordDeparture(visit, departureTime) {
+    const dwellMinutes = Math.round((departureTime - visit.arrivalTime) / 1000 / 60);
+
+    const { error } = await store.customers.update(visit.tripId, visit.customerCode, {
+      actual_departure_time: departureTime.toISOString(),
+      actual_visit_duration_minutes: dwellMinutes
+    });
+
+    if (error) {
+      console.error(`❌ Error recording departure for customer ${visit.customerCode}:`, error);
+    } else {
+      console.log(`🚚 Departed customer ${visit.customerCode} at ${departureTime.toISOString()} - ${dwellMinutes}min on site`);
+    }
+  }
+
+  // Process vehicle data from WebSocket
+  // stopTransition/stop come from the stop detector when this fix started or ended a stop
+  async function processVehicleData(vehicleData, { stopTransition = null, stop = null } = {}) {
+    let trip_id;
+    try {
+      const { Plate, Speed, Latitude, Longitude } = vehicleData;
+
+      if (!Plate || !Latitude || !Longitude) return;
+
+      // One trip at a time: the started trip, else the next planned trip of the day
+      const trip = await findActiveTrip(Plate);
+
+      if (!trip) return; // No open trip today
+
+      trip_id = trip.trip_id;
+      let { actual_start_time } = trip;
+      vehicleTrips.set(Plate, trip_id);
+
+      // GPS time of this fix (server time if the feed sent none)
+      const parsedLocTime = vehicleData.LocTime ? parseLocTime(vehicleData.LocTime) : clock();
+      const locTime = isNaN(parsedLocTime.getTime()) ? clock() : parsedLocTime;
+
+      const fix = {
+        lat: parseFloat(Latitude),
+        lng: parseFloat(Longitude),
+        speed: parseFloat(Speed) || 0,
+        time: locTime
+      };
+      const depotCheck = await depotMonitor.checkFix(trip, fix);
+
+      // Start the trip when the vehicle leaves its depot (or, without one, drives off - see depots.js),
+      // at the GPS time it crossed the boundary or of this fix - not when the message arrived
+      if (!actual_start_time && depotCheck.startTrip) {
+        actual_start_time = (depotCheck.departed || locTime).toISOString();
+        const fields = { actual_start_time };
+        if (depotCheck.departed) fields.depot_departure_time = depotCheck.departed.toISOString();
+        await store.trips.update(trip_id, fields);
+        const trigger = depotCheck.depot ? `left depot ${depotCheck.depot.name || depotCheck.depot.id}` : 'vehicle moving';
+        console.log(`Trip ${trip_id} started - ${trigger} at ${Speed} km/h`);
+        emitEvent('trip:started', {
+          plate: Plate,
+          trip_id,
+          speed: Speed,
+          loc_time: vehicleData.LocTime || null,
+          depot_id: depotCheck.depot ? depotCheck.depot.id : null,
+          depot_departure_time: fields.depot_departure_time || null
+        });
+      } else if (actual_start_time && (depotCheck.departed || depotCheck.returned)) {
+        // First departure and latest return - a vehicle can pop back mid-trip
+        const fields = {};
+        if (depotCheck.departed && !trip.depot_departure_time) fields.depot_departure_time = depotCheck.departed.toISOString();
+        if (depotCheck.returned) fields.depot_return_time = depotCheck.returned.toISOString();
+        if (Object.keys(fields).length > 0) {
+          await store.trips.update(trip_id, fields);
+          if (depotCheck.returned) console.log(`🏠 Vehicle ${Plate} back at depot ${depotCheck.depot.name || depotCheck.depot.id} at ${fields.depot_return_time}`);
+        }
+      }
+
+      // Only process if trip has started
+      if (!actual_start_time) return;
+
+      // Refresh live ETAs for the remaining stops
+      await etaMonitor.update(trip, { lat: Latitude, lng: Longitude, speed: Speed, time: locTime });
+
+      // Record the track: stop start/end at the stop's centroid, then this fix if it earns a point
+      const points = stopTransition
+        ? await trackRecorder.recordStop(trip_id, Plate, stop.centroid,
+          stopTransition === 'start' ? stop.start : stop.end, `stop_${stopTransition}`)
+        : [];
+      points.push(...await trackRecorder.recordFix(trip_id, Plate, { ...fix, receivedAt: clock() }));
+      await recordTrackPoints(trip_id, Plate, points);
+
+      // Only log coordinates - customer completion happens after 5+ minute stops
+
+      // Back at the depot or idle too long - close the trip with whatever was completed
+      const closure = await closeMonitor.checkFix(trip, { ...fix, atDepot: depotCheck.atDepot });
+      if (closure) await closeTrip(trip, closure);
+
+    } catch (error) {
+      console.error('Error processing vehicle data:', error);
+      // Cleanup on error
+      if (trip_id) {
+        await stopTripMonitoring(trip_id);
+      }
+    }
+  }
+
+  // Stop tracking and trip processing for one parsed feed message
+  async function handleVehicleData(vehicleData) {
+    await closeTelemetryGap(vehicleData);
+
+    const quality = gpsQuality.check(vehicleData, vehicleData.LocTime ? parseLocTime(vehicleData.LocTime) : null);
+    if (!quality.accepted) {
+      rejectFix(vehicleData, quality.reasons);
+      return;
+    }
+
+    // Cache latest vehicle data
+    vehicleDataCache.set(vehicleData.Plate, vehicleData);
+
+    // Validate coordinates
+    if (!vehicleData.Latitude || !vehicleData.Longitude) {
+      console.error(`Missing coordinates for vehicle ${vehicleData.Plate}`);
+      return;
+    }
+
+    // Track vehicle stops using GPS LocTime
+    if (!vehicleData.LocTime) return;
+
+    const locTime = parseLocTime(vehicleData.LocTime);
+    if (isNaN(locTime.getTime())) {
+      console.error(`Invalid LocTime format: ${vehicleData.LocTime}`);
+      return;
+    }
+
+    const activeTripId = vehicleTrips.get(vehicleData.Plate) || null;
+    emitEvent('position', {
+      plate: vehicleData.Plate,
+      trip_id: activeTripId,
+      latitude: parseFloat(vehicleData.Latitude),
+      longitude: parseFloat(vehicleData.Longitude),
+      speed: vehicleData.Speed,
+      head: vehicleData.Head,
+      address: vehicleData.Address,
+      loc_time: locTime.toISOString()
+    });
+
+    const { transition, stop } = stopDetector.update(vehicleData.Plate, {
+      lat: parseFloat(vehicleData.Latitude),
+      lng: parseFloat(vehicleData.Longitude),
+      speed: parseFloat(vehicleData.Speed) || 0,
+      time: locTime
+    });
+
+    // Sparse fixes can confirm a stop that is already 5+ minutes old - check it straight away
+    if (transition === 'start') {
+      await openStop(vehicleData.Plate, activeTripId, stop);
+    }
+    if (transition === 'end') {
+      await closeStop(vehicleData.Plate, activeTripId, stop);
+    } else if (stop) {
+      await progressStop(vehicleData.Plate, stop);
+    }
+
+    await processVehicleData(vehicleData, { stopTransition: transition, stop });
+  }
+
+  // A fix that failed the quality checks never starts a trip, moves a stop or completes a customer.
+  // In tag mode it is still kept on the vehicle's trip track, flagged.
+  function rejectFix(vehicleData, reasons) {
+    const tripId = vehicleTrips.get(vehicleData.Plate) || null;
+    console.warn(`🚫 Rejected fix from ${vehicleData.Plate} at ${vehicleData.LocTime} - ${reasons.join(', ')}`);
+    emitEvent('position:rejected', {
+      plate: vehicleData.Plate,
+      trip_id: tripId,
+      latitude: parseFloat(vehicleData.Latitude),
+      longitude: parseFloat(vehicleData.Longitude),
+      loc_time: vehicleData.LocTime,
+      reasons
+    });
+
+    if (gpsQuality.action === 'tag' && tripId) {
+      logCoordinates(tripId, vehicleData.Plate, vehicleData, { qualityFlags: reasons });
+    }
+  }
+
+  // Telemetry gaps left by feed disconnects
+  const pendingTelemetryGaps = new Map(); // plate -> { gapStart, lastLocTime }
+
+  function openTelemetryGaps(disconnectedAt) {
+    for (const [plate, vehicleData] of vehicleDataCache) {
+      // A gap already open from an earlier drop keeps its original start
+      if (pendingTelemetryGaps.has(plate)) continue;
+      pendingTelemetryGaps.set(plate, {
+        gapStart: disconnectedAt,
+        lastLocTime: vehicleData.LocTime || null
+      });
+    }
+  }
+
+  // Close the vehicle's gap on its first message after a reconnect
+  async function closeTelemetryGap(vehicleData) {
+    const gap = pendingTelemetryGaps.get(vehicleData.Plate);
+    if (!gap) return;
+    pendingTelemetryGaps.delete(vehicleData.Plate);
+
+    const monitored = [...activeTrips].find(([, trip]) => trip.vehiclePlate === vehicleData.Plate);
+    const gapEnd = clock();
+
+    const { error } = await store.telemetryGaps.insert({
+      vehicle_plate: vehicleData.Plate,
+      trip_id: monitored ? monitored[0] : null,
+      gap_start: gap.gapStart.toISOString(),
+      gap_end: gapEnd.toISOString(),
+      gap_minutes: Number(((gapEnd - gap.gapStart) / 1000 / 60).toFixed(1)),
+      last_loc_time_before: gap.lastLocTime,
+      first_loc_time_after: vehicleData.LocTime || null
+    });
+
+    if (error) {
+      console.error(`Error recording telemetry gap for ${vehicleData.Plate}:`, error);
+    }
+  }
+
+  // Start monitoring existing active trips of today's operating day. Every timezone's operating day began
+  // within the last RESUME_LOOKBACK_HOURS, so older open trips are left to closeOverdueTrips.
+  async function resumeActiveTrips() {
+    try {
+      const createdFrom = new Date(clock().getTime() - RESUME_LOOKBACK_HOURS * 60 * 60 * 1000).toISOString();
+      const { data: openTrips } = await store.trips.findOpen({ started: true, createdFrom });
+
+      if (openTrips) {
+        const todaysTrips = openTrips.filter(t => isTripOnOperatingDay(t, clock()));
+        for (const trip of todaysTrips) {
+          startTripMonitoring(trip.trip_id, trip.vehicle_plate);
+        }
+        console.log(`Resumed monitoring ${todaysTrips.length} active trips`);
+      }
+    } catch (error) {
+      console.error('Error loading active trips:', error);
+    }
+  }
+
+  // Initialize subscriptions after WebSocket connects
+  let subscriptionsInitialized = false;
+
+  function initializeSubscriptions() {
+    if (subscriptionsInitialized) return;
+
+    store.changes.subscribe({
+      onTripCreated: (trip) => {
+        console.log('New trip created:', trip);
+        startTripMonitoring(trip.trip_id, trip.vehicle_plate);
+      },
+      onTripUpdated: (trip, old) => {
+        if (trip.actual_end_time && !old.actual_end_time) {
+          stopTripMonitoring(trip.trip_id).catch(error => console.error(`Error stopping trip ${trip.trip_id}:`, error));
+        }
+      }
+    });
+
+    subscriptionsInitialized = true;
+    console.log('Database subscriptions initialized');
+  }
+
+  return {
+    store,
+    events,
+    activeTrips,
+    vehicleDataCache,
+    vehicleTrips,
+    tripConflicts,
+    vehicleStops,
+    pendingTelemetryGaps,
+    startTripMonitoring,
+    stopTripMonitoring,
+    getLatestVehicleData,
+    getGpsQualityMetrics: gpsQuality.getMetrics,
+    getTripEtas: etaMonitor.getTripEtas,
+    coordinateWriter,
+    logCoordinates,
+    checkTripCompletion,
+    closeTrip,
+    closeOverdueTrips,
+    completeCustomerManually,
+    completeCustomerFromStop,
+    reopenCustomer,
+    handleLongStop,
+    restoreOpenStops,
+    processVehicleData,
+    handleVehicleData,
+    openTelemetryGaps,
+    closeTelemetryGap,
+    resumeActiveTrips,
+    initializeSubscriptions
+  };
+}
+
+module.exports = {
+  createTripTracker
+};
@@ -0,0 +1,603 @@
+const crypto = require('crypto');
+const express = require('express');
+const { AUDIT_STATUSES, generateTripAudit } = require('./trip-audit');
+const { averageRouteOffsetKm, summarizeDeviations } = require('./route-deviation');
+const { analyzeSequence } = require('./sequence-compliance');
+const { DEFAULT_TIMEZONE, dayBoundsUtc } = require('./trip-day');
+const { EXPORT_FORMATS, loadTripExport, loadVehicleDayExport, formatExport } = require('./trip-export');
+const { generateSecret } = require('./webhooks');
+
+const TRIP_STATUSES = ['planned', 'active', 'completed'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+// Bearer token for the /webhooks routes - they hand out signing secrets and decide where tracker
+// data is sent, so they answer 404 until a token is set
+const WEBHOOK_ADMIN_TOKEN = process.env.WEBHOOK_ADMIN_TOKEN || '';
+
+// Request errors that map to a 400 response
+class BadRequestError extends Error {}
+
+function parsePagination(query, { defaultLimit = 50, maxLimit = 500 } = {}) {
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if (!(limit > 0) || limit > maxLimit) throw new BadRequestError(`limit must be between 1 and ${maxLimit}`);
+  if (!(offset >= 0)) throw new BadRequestError('offset must be 0 or more');
+  return { limit, offset };
+}
+
+function parseTime(value, name) {
+  if (value === undefined) return null;
+  const time = new Date(value);
+  if (isNaN(time.getTime())) throw new BadRequestError(`${name} must be an ISO date/time`);
+  return time.toISOString();
+}
+
+// Dispatcher overrides must say who made them and why
+function parseOverride(body) {
+  const actor = body && typeof body.actor === 'string' ? body.actor.trim() : '';
+  const reason = body && typeof body.reason === 'string' ? body.reason.trim() : '';
+  if (!actor) throw new BadRequestError('actor is required');
+  if (!reason) throw new BadRequestError('reason is required');
+  return { actor, reason };
+}
+
+// Optional trip_status override for a regenerated audit
+function parseAuditStatus(body) {
+  const status = body ? body.status : undefined;
+  if (status === undefined || status === null) return null;
+  if (!AUDIT_STATUSES.includes(status)) throw new BadRequestError(`status must be one of ${AUDIT_STATUSES.join(', ')}`);
+  return status;
+}
+
+function parseExportFormat(query) {
+  const format = query.format || 'geojson';
+  if (!EXPORT_FORMATS[format]) throw new BadRequestError(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  return format;
+}
+
+function sendExport(res, tripExports, format, name) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.type(contentType);
+  res.attachment(`${name}.${extension}`);
+  res.send(formatExport(tripExports, format));
+}
+
+function parseId(value, name) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) throw new BadRequestError(`${name} must be a positive integer`);
+  return id;
+}
+
+// Endpoint fields from a register/update body - required ones only when registering.
+// webhooks is the dispatcher: its event types and destination rules
+function parseEndpoint(body, webhooks, { partial = false } = {}) {
+  const { eventTypes } = webhooks;
+  const fields = {};
+  const input = body || {};
+  if (!partial || input.url !== undefined) {
+    const problem = typeof input.url === 'string' ? webhooks.destinationError(input.url) : 'url must be an http(s) URL';
+    if (problem) throw new BadRequestError(problem);
+    fields.url = new URL(input.url).toString();
+  }
+  if (input.event_types !== undefined) {
+    const types = input.event_types;
+    if (!Array.isArray(types) || types.some(type => !eventTypes.includes(type))) {
+      throw new BadRequestError(`event_types must be a list of ${eventTypes.join(', ')}`);
+    }
+    fields.event_types = [...new Set(types)];
+  }
+  if (input.description !== undefined) fields.description = input.description == null ? null : String(input.description);
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') throw new BadRequestError('active must be true or false');
+    fields.active = input.active;
+  }
+  return fields;
+}
+
+// Constant-time comparison of an Authorization: Bearer header with the expected token
+function hasBearerToken(req, token) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+// The secret is only shown when an endpoint is registered
+function endpointSummary({ secret, ...endpoint }) {
+  return endpoint;
+}
+
+function sendError(res, error, context) {
+  if (error instanceof BadRequestError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Leave the heavy planned path and waypoint JSONB out of API responses
+function tripSummary({ route_coordinates, waypoint_coordinates, ...trip }) {
+  return trip;
+}
+
+function tripProgress(trip, customers) {
+  const totalStops = customers.length || Number(trip.total_stops) || 0;
+  const completedStops = customers.filter(c => c.completed).length;
+  return {
+    total_stops: totalStops,
+    completed_stops: completedStops,
+    progress_percentage: totalStops > 0 ? Number((completedStops * 100 / totalStops).toFixed(1)) : 0
+  };
+}
+
+// Versioned trip API, mounted at /api/v1
+function createTripsRouter({ store, tracker, ingest, webhooks, webhookAdminToken = WEBHOOK_ADMIN_TOKEN }) {
+  const router = express.Router();
+  if (webhooks && !webhookAdminToken) console.warn('⚠️ WEBHOOK_ADMIN_TOKEN is not set - webhook endpoint routes are disabled');
+
+  // Trips by operating day (?date=YYYY-MM-DD[&timezone=]) or created_at range (?from=&to=),
+  // filtered by ?status=planned|active|completed and ?plate=
+  router.get('/trips', async (req, res) => {
+    try {
+      const { date, status, plate } = req.query;
+      const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+      const { limit, offset } = parsePagination(req.query);
+
+      if (status && !TRIP_STATUSES.includes(status)) {
+        throw new BadRequestError(`status must be one of ${TRIP_STATUSES.join(', ')}`);
+      }
+
+      let start = parseTime(req.query.from, 'from');
+      let end = parseTime(req.query.to, 'to');
+      if (date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new BadRequestError('date must be YYYY-MM-DD');
+        ({ start, end } = dayBoundsUtc(date, timezone));
+      }
+
+      const { data, count, error } = await store.trips.list({ start, end, status, vehiclePlate: plate, limit, offset });
+      if (error) throw error;
+
+      res.json({
+        data: (data || []).map(tripSummary),
+        pagination: { limit, offset, total: count ?? null }
+      });
+    } catch (error) {
+      sendError(res, error, 'listing trips');
+    }
+  });
+
+  // Trip with progress and per-customer completion status
+  router.get('/trips/:tripId', async (req, res) => {
+    try {
+      const { tripId } = req.params;
+      const { data: trip, error } = await store.trips.findById(tripId);
+      if (error) throw error;
+      if (!trip) {
+        return res.status(404).json({ error: `Trip ${tripId} not found` });
+      }
+
+      const { data: customers, error: customersError } = await store.customers.findByTrip(tripId);
+      if (customersError) throw customersError;
+      const stops = (customers || [])
+        .sort((a, b) => (a.sequence_order ?? Infinity) - (b.sequence_order ?? Infinity))
+        .map(c => ({
+          customer_code: c.customer_code,
+          customer_name: c.customer_name,
+          sequence_order: c.sequence_order,
+          latitude: c.latitude,
+          longitude: c.longitude,
+          planned_eta: c.planned_eta,
+          completed: Boolean(c.completed),
+          completed_at: c.completed_at || null,
+          actual_arrival_time: c.actual_arrival_time || null,
+          actual_departure_time: c.actual_departure_time || null,
+          actual_visit_duration_minutes: c.actual_visit_duration_minutes ?? null
+        }));
+
+      res.json({
+        ...tripSummary(trip),
+        progress: tripProgress(trip, stops),
+        customers: stops
+      });
+    } catch (error) {
+      sendError(res, error, `loading trip ${req.params.tripId}`);
+    }
+  });
+
+  // Recorded track, oldest first, optionally within ?from=&to=
+  router.get('/trips/:tripId/coordinates', async (req, res) => {
+    try {
+      const { tripId } = req.params;
+      const { limit, offset } = parsePagination(req.query, { defaultLimit: 1000, maxLimit: 5000 });
+      const from = parseTime(req.query.from, 'from');
+      const to = parseTime(req.query.to, 'to');
+
+      const { data, count, error } = await store.coordinates.list(tripId, { from, to, limit, offset });
+      if (error) throw error;
+
+      res.json({
+        trip_id: tripId,
+        data: data || [],
+        pagination: { limit, offset, total: count ?? null }
+      });
+    } catch (error) {
+      sendError(res, error, `loading coordinates for trip ${req.params.tripId}`);
+    }
+  });
+
+  // Planned route, actual track, customer stops and detected stops as ?format=geojson|gpx|kml
+  router.get('/trips/:tripId/export', async (req, res) => {
+    try {
+      const { tripId } = req.params;
+      const format = parseExportFormat(req.query);
+      const tripExport = await loadTripExport(store, tripId);
+      if (!tripExport) {
+        return res.status(404).json({ error: `Trip ${tripId} not found` });
+      }
+      sendExport(res, [tripExport], format, `trip-${tripId}`);
+    } catch (error) {
+      sendError(res, error, `exporting trip ${req.params.tripId}`);
+    }
+  });
+
+  // The same for every trip of a vehicle on an operating day (?date=YYYY-MM-DD[&timezone=])
+  router.get('/vehicles/:plate/export', async (req, res) => {
+    try {
+      const { plate } = req.params;
+      const { date } = req.query;
+      const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+      const format = parseExportFormat(req.query);
+      if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new BadRequestError('date must be YYYY-MM-DD');
+
+      const tripExports = await loadVehicleDayExport(store, plate, date, timezone);
+      if (tripExports.length === 0) {
+        return res.status(404).json({ error: `No trips for vehicle ${plate} on ${date}` });
+      }
+      sendExport(res, tripExports, format, `${plate}-${date}`);
+    } catch (error) {
+      sendError(res, error, `exporting vehicle ${req.params.plate}`);
+    }
+  });
+
+  // Latest feed message for a vehicle and the trip it is driving
+  router.get('/vehicles/:plate/current', async (req, res) => {
+    try {
+      const { plate } = req.params;
+      const latest = tracker.getLatestVehicleData(plate);
+      const { data: openTrips, error } = await store.trips.findOpen({ vehiclePlate: plate, started: true });
+      if (error) throw error;
+
+      if (!latest && (!openTrips || openTrips.length === 0)) {
+        return res.status(404).json({ error: `No current data for vehicle ${plate}` });
+      }
+
+      const tripId = tracker.vehicleTrips.get(plate);
+      const trip = (openTrips || []).find(t => t.trip_id === tripId) || (openTrips || [])[0] || null;
+
+      res.json({
+        plate,
+        position: latest ? {
+          latitude: parseFloat(latest.Latitude),
+          longitude: parseFloat(latest.Longitude),
+          speed: latest.Speed,
+          head: latest.Head,
+          address: latest.Address,
+          loc_time: latest.LocTime
+        } : null,
+        stopped: tracker.vehicleStops.has(plate),
+        trip: trip ? tripSummary(trip) : null,
+        trip_conflict: tracker.tripConflicts.get(plate) || null
+      });
+    } catch (error) {
+      sendError(res, error, `loading current data for vehicle ${req.params.plate}`);
+    }
+  });
+
+  // Regenerate the trip_audit record (e.g. after a manual fix or a force-closed trip).
+  // Optional body { status } (completed | partial | abandoned | in_progress) overrides the derived trip_status.
+  router.post('/trips/:tripId/audit', async (req, res) => {
+    try {
+      const status = parseAuditStatus(req.body);
+      await tracker.coordinateWriter.flush();
+      const audit = await generateTripAudit(store, req.params.tripId, { status });
+
+      if (!audit) {
+        return res.status(404).json({ error: `Trip ${req.params.tripId} not found` });
+      }
+
+      res.json({ success: true, audit });
+    } catch (error) {
+      sendError(res, error, `regenerating audit for trip ${req.params.tripId}`);
+    }
+  });
+
+  // Route deviation events and totals for a trip
+  router.get('/trips/:tripId/deviations', async (req, res) => {
+    try {
+      const { tripId } = req.params;
+      const { data: trip, error: tripError } = await store.trips.findById(tripId);
+      if (tripError) throw tripError;
+      if (!trip) {
+        return res.status(404).json({ error: `Trip ${tripId} not found` });
+      }
+
+      const { data: deviations, error } = await store.deviations.findByTrip(tripId);
+      if (error) throw error;
+      const { data: coordinates } = await store.coordinates.findByTrip(tripId);
+      const averageOffset = averageRouteOffsetKm(trip.route_coordinates, coordinates || []);
+
+      res.json({
+        trip_id: tripId,
+        summary: {
+          ...summarizeDeviations(deviations || []),
+          avg_route_deviation_km: averageOffset == null ? null : Number(averageOffset.toFixed(3))
+        },
+        deviations: deviations || []
+      });
+    } catch (error) {
+      sendError(res, error, `loading deviations for trip ${req.params.tripId}`);
+    }
+  });
+
+  // Actual visit order against sequence_order: out-of-sequence and skipped stops, compliance score
+  router.get('/trips/:tripId/sequence', async (req, res) => {
+    try {
+      const { tripId } = req.params;
+      const { data: trip, error: tripError } = await store.trips.findById(tripId);
+      if (tripError) throw tripError;
+      if (!trip) {
+        return res.status(404).json({ error: `Trip ${tripId} not found` });
+      }
+
+      const { data: customers, error } = await store.customers.findByTrip(tripId);
+      if (error) throw error;
+
+      res.json({ trip_id: tripId, ...analyzeSequence(customers || []) });
+    } catch (error) {
+      sendError(res, error, `loading sequence compliance for trip ${req.params.tripId}`);
+    }
+  });
+
+  // Current ETA set for the remaining stops, plus lateness events raised so far
+  router.get('/trips/:tripId/eta', async (req, res) => {
+    try {
+      const { tripId } = req.params;
+      const { data: lateness, error } = await store.latenessEvents.findByTrip(tripId);
+      if (error) throw error;
+
+      const etas = tracker.getTripEtas(tripId);
+      if (!etas && (!lateness || lateness.length === 0)) {
+        return res.status(404).json({ error: `No live ETAs for trip ${tripId}` });
+      }
+
+      res.json({
+        trip_id: tripId,
+        computed_at: etas ? etas.computed_at : null,
+        speed_kmh: etas ? etas.speed_kmh : null,
+        stops: etas ? etas.stops : [],
+        lateness_events: lateness || []
+      });
+    } catch (error) {
+      sendError(res, error, `loading ETAs for trip ${req.params.tripId}`);
+    }
+  });
+
+  // Coordinate writer counters - explains gaps in recorded tracks
+  router.get('/metrics/coordinates', async (req, res) => {
+    try {
+      res.json(await tracker.coordinateWriter.getMetrics());
+    } catch (error) {
+      sendError(res, error, 'loading coordinate writer metrics');
+    }
+  });
+
+  // Feed counters - accepted vs malformed frames per source and why frames were quarantined
+  router.get('/metrics/feed', (req, res) => {
+    if (!ingest) {
+      return res.status(404).json({ error: 'Feed ingest not configured' });
+    }
+    res.json(ingest.getMetrics());
+  });
+
+  // GPS quality filter counters - rejections by reason, overall and per plate (?plate= for one vehicle)
+  router.get('/metrics/gps-quality', (req, res) => {
+    if (!req.query.plate) return res.json(tracker.getGpsQualityMetrics());
+    const plateMetrics = tracker.getGpsQualityMetrics(req.query.plate);
+    if (!plateMetrics) {
+      return res.status(404).json({ error: `No fixes checked for vehicle ${req.query.plate}` });
+    }
+    res.json({ plate: req.query.plate, ...plateMetrics });
+  });
+
+  // Manually complete a customer the geofence missed. Body { actor, reason }
+  router.post('/trips/:tripId/customers/:customerCode/complete', async (req, res) => {
+    try {
+      const { tripId, customerCode } = req.params;
+      const override = parseOverride(req.body);
+      const { status, customer } = await tracker.completeCustomerManually(tripId, customerCode, override);
+
+      if (status === 'not_found') {
+        return res.status(404).json({ error: `Customer ${customerCode} not found on trip ${tripId}` });
+      }
+      if (status === 'already_completed') {
+        return res.status(409).json({ error: `Customer ${customerCode} is already completed`, customer });
+      }
+
+      res.json({ success: true, customer });
+    } catch (error) {
+      sendError(res, error, `completing customer ${req.params.customerCode}`);
+    }
+  });
+
+  // Reopen a completed customer; reopens the trip too if it had already finished. Body { actor, reason }
+  router.post('/trips/:tripId/customers/:customerCode/reopen', async (req, res) => {
+    try {
+      const { tripId, customerCode } = req.params;
+      const override = parseOverride(req.body);
+      const { status, tripReopened } = await tracker.reopenCustomer(tripId, customerCode, override);
+
+      if (status === 'not_found') {
+        return res.status(404).json({ error: `Customer ${customerCode} not found on trip ${tripId}` });
+      }
+      if (status === 'not_completed') {
+        return res.status(409).json({ error: `Customer ${customerCode} is not completed` });
+      }
+
+      res.json({ success: true, trip_reopened: tripReopened });
+    } catch (error) {
+      sendError(res, error, `reopening customer ${req.params.customerCode}`);
+    }
+  });
+
+  // Manual complete/reopen history for a trip's customers
+  router.get('/trips/:tripId/completion-log', async (req, res) => {
+    try {
+      const { data, error } = await store.completionLog.findByTrip(req.params.tripId);
+      if (error) throw error;
+      res.json({ trip_id: req.params.tripId, entries: data || [] });
+    } catch (error) {
+      sendError(res, error, `loading completion log for trip ${req.params.tripId}`);
+    }
+  });
+
+  // Webhook endpoints and their delivery log - see webhooks.js. Authorization: Bearer <WEBHOOK_ADMIN_TOKEN>
+  router.use('/webhooks', (req, res, next) => {
+    if (!webhooks || !webhookAdminToken) return res.status(404).json({ error: 'Webhooks not configured' });
+    if (!hasBearerToken(req, webhookAdminToken)) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'A valid bearer token is required' });
+    }
+    next();
+  });
+
+  router.get('/webhooks/endpoints', async (req, res) => {
+    try {
+      const { data, error } = await store.webhookEndpoints.list();
+      if (error) throw error;
+      res.json({ data: (data || []).map(endpointSummary), event_types: webhooks.eventTypes });
+    } catch (error) {
+      sendError(res, error, 'listing webhook endpoints');
+    }
+  });
+
+  // { url, event_types?, description?, secret? } - the response carries the signing secret
+  router.post('/webhooks/endpoints', async (req, res) => {
+    try {
+      const fields = parseEndpoint(req.body, webhooks);
+      const { secret: requestedSecret } = req.body || {};
+      const secret = requestedSecret === undefined ? generateSecret() : String(requestedSecret);
+      if (secret.length < 16) throw new BadRequestError('secret must be at least 16 characters');
+
+      const { data, error } = await store.webhookEndpoints.insert({ event_types: [], active: true, ...fields, secret });
+      if (error) throw error;
+      webhooks.refreshEndpoints();
+      console.log(`🔗 Webhook endpoint ${data.id} registered: ${data.url}`);
+      res.status(201).json(data);
+    } catch (error) {
+      sendError(res, error, 'registering webhook endpoint');
+    }
+  });
+
+  // { url?, event_types?, description?, active? } - deliveries held while the endpoint was
+  // inactive go out as soon as it is active again
+  router.patch('/webhooks/endpoints/:id', async (req, res) => {
+    try {
+      const id = parseId(req.params.id, 'id');
+      const fields = parseEndpoint(req.body, webhooks, { partial: true });
+      if (Object.keys(fields).length === 0) throw new BadRequestError('Nothing to update');
+
+      const { data, error } = await store.webhookEndpoints.update(id, fields);
+      if (error) throw error;
+      if (!data) {
+        return res.status(404).json({ error: `Webhook endpoint ${id} not found` });
+      }
+      webhooks.refreshEndpoints();
+      if (fields.active === true) await webhooks.resumeDeliveries(id);
+      res.json(endpointSummary(data));
+    } catch (error) {
+      sendError(res, error, `updating webhook endpoint ${req.params.id}`);
+    }
+  });
+
+  // Deliveries stay in the log; pending ones are failed
+  router.delete('/webhooks/endpoints/:id', async (req, res) => {
+    try {
+      const id = parseId(req.params.id, 'id');
+      const { data: endpoint, error: findError } = await store.webhookEndpoints.findById(id);
+      if (findError) throw findError;
+      if (!endpoint) {
+        return res.status(404).json({ error: `Webhook endpoint ${id} not found` });
+      }
+      await webhooks.failDeliveries(id);
+      const { error } = await store.webhookEndpoints.remove(id);
+      if (error) throw error;
+      webhooks.refreshEndpoints();
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, `removing webhook endpoint ${req.params.id}`);
+    }
+  });
+
+  // Delivery log, newest first, filtered by ?endpoint_id=&event_type=&status=&trip_id=&from=&to=
+  router.get('/webhooks/deliveries', async (req, res) => {
+    try {
+      const { limit, offset } = parsePagination(req.query);
+      const { event_type: eventType, status, trip_id: tripId } = req.query;
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        throw new BadRequestError(`status must be one of ${DELIVERY_STATUSES.join(', ')}`);
+      }
+      const endpointId = req.query.endpoint_id === undefined ? null : parseId(req.query.endpoint_id, 'endpoint_id');
+      const from = parseTime(req.query.from, 'from');
+      const to = parseTime(req.query.to, 'to');
+
+      const { data, count, error } = await store.webhookDeliveries.list({ endpointId, eventType, status, tripId, from, to, limit, offset });
+      if (error) throw error;
+      res.json({
+        data: data || [],
+        pagination: { limit, offset, total: count ?? null }
+      });
+    } catch (error) {
+      sendError(res, error, 'listing webhook deliveries');
+    }
+  });
+
+  router.get('/webhooks/deliveries/:id', async (req, res) => {
+    try {
+      const id = parseId(req.params.id, 'id');
+      const { data, error } = await store.webhookDeliveries.findById(id);
+      if (error) throw error;
+      if (!data) {
+        return res.status(404).json({ error: `Webhook delivery ${id} not found` });
+      }
+      res.json(data);
+    } catch (error) {
+      sendError(res, error, `loading webhook delivery ${req.params.id}`);
+    }
+  });
+
+  // Send a delivery again (same event id and payload) as a new delivery
+  router.post('/webhooks/deliveries/:id/replay', async (req, res) => {
+    try {
+      const id = parseId(req.params.id, 'id');
+      const { data: delivery, error } = await store.webhookDeliveries.findById(id);
+      if (error) throw error;
+      if (!delivery) {
+        return res.status(404).json({ error: `Webhook delivery ${id} not found` });
+      }
+      if (delivery.endpoint_id == null) {
+        return res.status(409).json({ error: 'The endpoint of this delivery was removed' });
+      }
+      if (delivery.status === 'pending') {
+        return res.status(409).json({ error: `Delivery ${id} is still pending` });
+      }
+      const replayed = await webhooks.replay(id);
+      res.status(202).json(replayed);
+    } catch (error) {
+      sendError(res, error, `replaying webhook delivery ${req.params.id}`);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createTripsRouter
+};
@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
+const { DEFAULT_TIMEZONE, operatingDay, tripOperatingDay } = require('./trip-day');
 
 // Supabase client
 const supabase = createClient(
@@ -15,7 +16,7 @@ async function simulateProcessVehicleData(vehiclePlate, simulatedDate = null) {
     // Get all trips for this vehicle (not filtered by date yet)
     const { data: trips } = await supabase
       .from('route_plans')
-      .select('trip_id, vehicle_plate, actual_start_time, created_at')
+      .select('trip_id, vehicle_plate, actual_start_time, created_at, timezone')
       .eq('vehicle_plate', vehiclePlate)
       .is('actual_end_time', null);
     
@@ -27,20 +28,20 @@ async function simulateProcessVehicleData(vehiclePlate, simulatedDate = null) {
     console.log(`📋 Found ${trips.length} active trips for ${vehiclePlate}`);
     
     // Simulate getting today's date dynamically (like the server does)
-    const today = simulatedDate || new Date().toISOString().split('T')[0];
+    const today = simulatedDate || operatingDay();
     console.log(`📅 Using date: ${today}`);
     
-    // Check if trip was created today (exact server logic)
-    const trip = trips.find(t => t.created_at.split('T')[0] === today);
+    // Check if trip was created on this operating day (exact server logic)
+    const trip = trips.find(t => tripOperatingDay(t) === today);
     
     if (!trip) {
       console.log(`⏰ No trip created on ${today} for vehicle ${vehiclePlate}`);
-      console.log(`Available trip dates: ${trips.map(t => t.created_at.split('T')[0]).join(', ')}`);
+      console.log(`Available trip dates: ${trips.map(t => tripOperatingDay(t)).join(', ')}`);
       return { processed: false, reason: 'No trip created today' };
     }
     
     console.log(`✅ Found trip ${trip.trip_id} created on ${today}`);
-    return { processed: true, tripId: trip.trip_id, createdDate: trip.created_at.split('T')[0] };
+    return { processed: true, tripId: trip.trip_id, createdDate: tripOperatingDay(trip) };
     
   } catch (error) {
     console.error('Error in simulation:', error);
@@ -56,7 +57,7 @@ async function simulateHandleLongStop(vehiclePlate, simulatedDate = null) {
     // Get active trips for this vehicle
     const { data: trips } = await supabase
       .from('route_plans')
-      .select('trip_id, created_at')
+      .select('trip_id, created_at, timezone')
       .eq('vehicle_plate', vehiclePlate)
       .not('actual_start_time', 'is', null)
       .is('actual_end_time', null);
@@ -67,20 +68,20 @@ async function simulateHandleLongStop(vehiclePlate, simulatedDate = null) {
     }
     
     // Simulate getting today's date dynamically
-    const today = simulatedDate || new Date().toISOString().split('T')[0];
+    const today = simulatedDate || operatingDay();
     console.log(`📅 Using date: ${today}`);
     
-    // Check if trip was created today (exact server logic)
-    const todaysTrip = trips.find(t => t.created_at.split('T')[0] === today);
+    // Check if trip was created on this operating day (exact server logic)
+    const todaysTrip = trips.find(t => tripOperatingDay(t) === today);
     
     if (!todaysTrip) {
       console.log(`⏰ No trip created on ${today} for vehicle ${vehiclePlate}`);
-      console.log(`Available trip dates: ${trips.map(t => t.created_at.split('T')[0]).join(', ')}`);
+      console.log(`Available trip dates: ${trips.map(t => tripOperatingDay(t)).join(', ')}`);
       return { processed: false, reason: 'No trip created today' };
     }
     
     console.log(`✅ Found trip ${todaysTrip.trip_id} created on ${today}`);
-    return { processed: true, tripId: todaysTrip.trip_id, createdDate: todaysTrip.created_at.split('T')[0] };
+    return { processed: true, tripId: todaysTrip.trip_id, createdDate: tripOperatingDay(todaysTrip) };
     
   } catch (error) {
     console.error('Error in simulation:', error);
@@ -94,17 +95,15 @@ async function verifyDateFiltering() {
   
   // Test with current date (should work)
   console.log('\n📅 TEST 1: Current Date (Should Process)');
-  const currentDate = new Date().toISOString().split('T')[0];
-  console.log(`Testing with date: ${currentDate}`);
+  const currentDate = operatingDay();
+  console.log(`Testing with date: ${currentDate} (${DEFAULT_TIMEZONE})`);
   
   const result1 = await simulateProcessVehicleData('XRV985GP', currentDate);
   const result2 = await simulateHandleLongStop('XRV985GP', currentDate);
   
   // Test with yesterday's date (should NOT work)
   console.log('\n📅 TEST 2: Yesterday\'s Date (Should NOT Process)');
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayStr = yesterday.toISOString().split('T')[0];
+  const yesterdayStr = operatingDay(new Date(Date.now() - 24 * 60 * 60 * 1000));
   console.log(`Testing with date: ${yesterdayStr}`);
   
   const result3 = await simulateProcessVehicleData('XRV985GP', yesterdayStr);
@@ -112,9 +111,7 @@ async function verifyDateFiltering() {
   
   // Test with tomorrow's date (should NOT work)
   console.log('\n📅 TEST 3: Tomorrow\'s Date (Should NOT Process)');
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const tomorrowStr = tomorrow.toISOString().split('T')[0];
+  const tomorrowStr = operatingDay(new Date(Date.now() + 24 * 60 * 60 * 1000));
   console.log(`Testing with date: ${tomorrowStr}`);
   
   const result5 = await simulateProcessVehicleData('XRV985GP', tomorrowStr);
@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+// Tracker events that can be sent to webhook endpoints (comma separated) - position updates are left
+// to the fleet stream
+const WEBHOOK_EVENT_TYPES = (process.env.WEBHOOK_EVENT_TYPES ??
+  'trip:started,trip:completed,trip:closed,trip:reopened,trip:handover,trip:conflict,' +
+  'customer:completed,customer:reopened,stop:start,stop:end')
+  .split(',').map(type => type.trim()).filter(Boolean);
+// Due deliveries are picked up this often, this many at a time
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const WEBHOOK_BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 20;
+// A request gets this long to answer with a 2xx
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// Failed attempts back off exponentially from the base delay up to the cap; after the last
+// attempt the delivery is marked failed (it can still be replayed)
+const WEBHOOK_RETRY_BASE_SECONDS = parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const WEBHOOK_RETRY_MAX_SECONDS = parseFloat(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 3600;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+// Active endpoints are re-read from the store at most this often
+const WEBHOOK_ENDPOINT_CACHE_SECONDS = parseFloat(process.env.WEBHOOK_ENDPOINT_CACHE_SECONDS) || 60;
+// Endpoints must resolve to public addresses - private, loopback, link-local and reserved ranges are
+// refused at registration and again when each request connects. true allows them (local development)
+const WEBHOOK_ALLOW_PRIVATE_DESTINATIONS = process.env.WEBHOOK_ALLOW_PRIVATE_DESTINATIONS === 'true';
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges by BlockList itself;
+// NAT64 and 6to4 can reach those ranges too
+for (const [network, prefix] of [
+  ['::', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Why a webhook URL can't be used, or null. Host names pass here and are checked once resolved (publicLookup)
+function destinationError(url, { allowPrivate = WEBHOOK_ALLOW_PRIVATE_DESTINATIONS } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must be an http(s) URL';
+  if (allowPrivate) return null;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+    return `${host} is not a public address`;
+  }
+  return null;
+}
+
+// dns.lookup for deliveries that refuses private addresses, so a public name can't be pointed at
+// the internal network after it was registered
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    callback(null, address, family);
+  });
+}
+
+// X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the endpoint secret>
+function signPayload(secret, body, timestamp) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// An endpoint with no event_types takes every webhook event
+function endpointWants(endpoint, type) {
+  return !endpoint.event_types || endpoint.event_types.length === 0 || endpoint.event_types.includes(type);
+}
+
+// Sends tracker events to registered endpoints. webhook_deliveries is both the retry queue and the
+// delivery log: handleEvent() queues one row per matching endpoint, deliverDue() works through the
+// rows that are due, replay() queues a delivered or failed one again. Deliveries for a deactivated
+// endpoint stay pending until resumeDeliveries() (reactivated) or failDeliveries() (removed).
+function createWebhookDispatcher(store, {
+  eventTypes = WEBHOOK_EVENT_TYPES,
+  pollIntervalMs = WEBHOOK_POLL_INTERVAL_MS,
+  batchSize = WEBHOOK_BATCH_SIZE,
+  timeoutMs = WEBHOOK_TIMEOUT_MS,
+  retryBaseSeconds = WEBHOOK_RETRY_BASE_SECONDS,
+  retryMaxSeconds = WEBHOOK_RETRY_MAX_SECONDS,
+  maxAttempts = WEBHOOK_MAX_ATTEMPTS,
+  endpointCacheSeconds = WEBHOOK_ENDPOINT_CACHE_SECONDS,
+  allowPrivateDestinations = WEBHOOK_ALLOW_PRIVATE_DESTINATIONS,
+  clock = () => new Date(),
+  post = (url, body, options) => axios.post(url, body, options)
+} = {}) {
+  const enabledTypes = new Set(eventTypes);
+  let endpoints = null;
+  let loadedAt = 0;
+  // Deliveries run one batch at a time
+  let delivering = null;
+  let deliverAgain = false;
+
+  async function loadEndpoints() {
+    if (endpoints && Date.now() - loadedAt < endpointCacheSeconds * 1000) return endpoints;
+    const { data, error } = await store.webhookEndpoints.list({ active: true });
+    if (error) {
+      console.error('Error loading webhook endpoints:', error);
+      return endpoints || [];
+    }
+    endpoints = data || [];
+    loadedAt = Date.now();
+    return endpoints;
+  }
+
+  // Call after endpoints change so new events see them straight away
+  function refreshEndpoints() {
+    endpoints = null;
+  }
+
+  function retryDelaySeconds(attempts) {
+    return Math.min(retryBaseSeconds * 2 ** (attempts - 1), retryMaxSeconds);
+  }
+
+  async function handleEvent(event) {
+    if (!enabledTypes.has(event.type)) return;
+    try {
+      const targets = (await loadEndpoints()).filter(endpoint => endpointWants(endpoint, event.type));
+      if (targets.length === 0) return;
+
+      const { type, emitted_at, ...data } = event;
+      const payload = { id: crypto.randomUUID(), type, created_at: emitted_at, data };
+      const now = clock().toISOString();
+      const { error } = await store.webhookDeliveries.insert(targets.map(endpoint => ({
+        endpoint_id: endpoint.id,
+        event_id: payload.id,
+        event_type: type,
+        trip_id: event.trip_id || null,
+        vehicle_plate: event.plate || null,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now
+      })));
+      if (error) throw error;
+      deliverDue();
+    } catch (error) {
+      console.error(`Error queueing ${event.type} webhooks:`, error);
+    }
+  }
+
+  async function attempt(delivery, endpoint) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(clock().getTime() / 1000);
+    try {
+      const response = await post(endpoint.url, body, {
+        timeout: timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'fidelity-server-webhooks',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Signature': signPayload(endpoint.secret, body, timestamp)
+        },
+        // Any answer is an outcome - only 2xx counts as delivered
+        validateStatus: () => true,
+        maxRedirects: 0,
+        lookup: allowPrivateDestinations ? undefined : publicLookup
+      });
+      const ok = response.status >= 200 && response.status < 300;
+      return { ok, status: response.status, error: ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+      return { ok: false, status: null, error: error.message || String(error) };
+    }
+  }
+
+  async function fail(delivery, reason) {
+    const { error } = await store.webhookDeliveries.update(delivery.id, { status: 'failed', last_error: reason, next_attempt_at: null });
+    if (error) console.error(`Error recording webhook delivery ${delivery.id}:`, error);
+  }
+
+  async function deliver(delivery, activeEndpoints) {
+    const now = clock();
+    if (delivery.endpoint_id == null) return fail(delivery, 'Endpoint removed');
+
+    const endpoint = activeEndpoints.find(e => e.id === delivery.endpoint_id);
+    if (!endpoint) {
+      // Inactive: park it without using up an attempt - reactivating the endpoint brings it forward
+      const { error } = await store.webhookDeliveries.update(delivery.id, {
+        next_attempt_at: new Date(now.getTime() + retryMaxSeconds * 1000).toISOString()
+      });
+      if (error) console.error(`Error postponing webhook delivery ${delivery.id}:`, error);
+      return;
+    }
+
+    const blocked = destinationError(endpoint.url, { allowPrivate: allowPrivateDestinations });
+    if (blocked) {
+      console.error(`❌ Webhook ${delivery.event_type} to ${endpoint.url} refused: ${blocked}`);
+      return fail(delivery, blocked);
+    }
+
+    const result = await attempt(delivery, endpoint);
+    const attempts = (delivery.attempts || 0) + 1;
+    const fields = {
+      attempts,
+      last_attempt_at: now.toISOString(),
+      response_status: result.status,
+      last_error: result.error
+    };
+
+    if (result.ok) {
+      Object.assign(fields, { status: 'delivered', delivered_at: clock().toISOString(), next_attempt_at: null });
+      console.log(`📨 Webhook ${delivery.event_type} delivered to ${endpoint.url} (delivery ${delivery.id})`);
+    } else if (attempts >= maxAttempts) {
+      Object.assign(fields, { status: 'failed', next_attempt_at: null });
+      console.error(`❌ Webhook ${delivery.event_type} to ${endpoint.url} failed after ${attempts} attempts: ${result.error}`);
+    } else {
+      const delaySeconds = retryDelaySeconds(attempts);
+      fields.next_attempt_at = new Date(now.getTime() + delaySeconds * 1000).toISOString();
+      console.warn(`⚠️ Webhook ${delivery.event_type} to ${endpoint.url} failed (${result.error}) - retry ${attempts + 1}/${maxAttempts} in ${delaySeconds}s`);
+    }
+
+    const { error } = await store.webhookDeliveries.update(delivery.id, fields);
+    if (error) console.error(`Error recording webhook delivery ${delivery.id}:`, error);
+  }
+
+  async function deliverBatches() {
+    do {
+      deliverAgain = false;
+      const { data: due, error } = await store.webhookDeliveries.findDue(clock().toISOString(), batchSize);
+      if (error) throw error;
+      if (!due || due.length === 0) return;
+
+      const activeEndpoints = await loadEndpoints();
+      for (const delivery of due) await deliver(delivery, activeEndpoints);
+      // A full batch may have left more behind
+      if (due.length === batchSize) deliverAgain = true;
+    } while (deliverAgain);
+  }
+
+  // Send everything that is due; resolves once the current run is over
+  function deliverDue() {
+    if (delivering) {
+      deliverAgain = true;
+      return delivering;
+    }
+    delivering = deliverBatches()
+      .catch(error => console.error('Error delivering webhooks:', error))
+      .finally(() => { delivering = null; });
+    return delivering;
+  }
+
+  // Queue a delivery again for its endpoint - same event id and payload, so receivers can dedupe.
+  // Resolves to the new delivery row, or null if there is no such delivery
+  async function replay(deliveryId) {
+    const { data: original, error } = await store.webhookDeliveries.findById(deliveryId);
+    if (error) throw error;
+    if (!original) return null;
+
+    const { data: inserted, error: insertError } = await store.webhookDeliveries.insert([{
+      endpoint_id: original.endpoint_id,
+      event_id: original.event_id,
+      event_type: original.event_type,
+      trip_id: original.trip_id,
+      vehicle_plate: original.vehicle_plate,
+      payload: original.payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: clock().toISOString(),
+      replay_of: original.id
+    }]);
+    if (insertError) throw insertError;
+    deliverDue();
+    return inserted[0];
+  }
+
+  // An endpoint was reactivated - send what waited for it now
+  async function resumeDeliveries(endpointId) {
+    refreshEndpoints();
+    const { data, error } = await store.webhookDeliveries.updatePending(endpointId, { next_attempt_at: clock().toISOString() });
+    if (error) throw error;
+    if (data && data.length > 0) deliverDue();
+    return data ? data.length : 0;
+  }
+
+  // An endpoint is being removed - nothing pending for it will ever be sent
+  async function failDeliveries(endpointId, reason = 'Endpoint removed') {
+    refreshEndpoints();
+    const { data, error } = await store.webhookDeliveries.updatePending(endpointId, { status: 'failed', last_error: reason, next_attempt_at: null });
+    if (error) throw error;
+    return data ? data.length : 0;
+  }
+
+  // Retries wait in the store, so a restart picks them up here
+  const pollTimer = setInterval(deliverDue, pollIntervalMs);
+  pollTimer.unref();
+
+  async function close() {
+    clearInterval(pollTimer);
+    if (delivering) await delivering;
+  }
+
+  return {
+    eventTypes: [...enabledTypes],
+    handleEvent,
+    deliverDue,
+    replay,
+    refreshEndpoints,
+    resumeDeliveries,
+    failDeliveries,
+    destinationError: url => destinationError(url, { allowPrivate: allowPrivateDestinations }),
+    close
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  signPayload,
+  generateSecret,
+  destinationError,
+  publicLookup,
+  createWebhookDispatcher
+};